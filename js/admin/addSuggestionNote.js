@@ -0,0 +1,52 @@
+/**
+ * Adds an internal note to a suggestion. Notes are only shown to staff, never
+ * to the student who sent the suggestion.
+ *
+ * @param {string} suggestionId - The UUID of the suggestion.
+ * @param {Function} onSuccess - Optional callback function to call after the note is saved (e.g., reload suggestions).
+ */
+async function addSuggestionNote(suggestionId, onSuccess = null) {
+    if (!requireSession()) return;
+
+    const note = prompt('Add an internal note (only staff can see it):');
+    if (note === null) {
+        // User cancelled
+        return;
+    }
+    if (!note.trim()) {
+        alert('The note is empty.');
+        return;
+    }
+
+    try {
+        await apiRequest(`/api/suggestions/${encodeURIComponent(suggestionId)}/notes`, {
+            method: "POST",
+            body: JSON.stringify({ note: note.trim() })
+        });
+
+        if (onSuccess) {
+            onSuccess();
+        }
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (err.status === 403) {
+            alert("You don't have permission to add notes to suggestions.");
+            return;
+        }
+        if (err.status === 404) {
+            alert("Suggestion not found. It may have been deleted.");
+            if (onSuccess) {
+                onSuccess();
+            }
+            return;
+        }
+        console.error("Error adding note:", err);
+        alert("Failed to add the note. Please try again.\n\nError: " + (err.detail || err.message));
+    }
+}
+
+// Export function for global access
+window.addSuggestionNote = addSuggestionNote;
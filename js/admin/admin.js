@@ -1847,19 +1847,7 @@ async function loadProfileData() {
             return;
         }
 
-        const response = await fetch('https://asa-policy-backend.onrender.com/api/auth/me', {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch user info');
-        }
-
-        const userData = await response.json();
+        const userData = await getCurrentUser();
         
         // Update profile fields
         const firstNameEl = document.getElementById('profileFirstName');
@@ -1885,8 +1873,7 @@ async function loadProfileData() {
 
 function handleLogout() {
     if (confirm('Are you sure you want to logout?')) {
-        localStorage.removeItem('accessToken');
-        window.location.href = 'login.html';
+        logout();
     }
 }
 
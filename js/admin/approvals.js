@@ -1,11 +1,16 @@
-// Load and display draft policies and bylaws for approval
+// Load and display draft policies and bylaws for approval. A published policy
+// whose edits are waiting for sign-off is listed with its pending revision.
+
+// Roles that can sign off on a policy, as named in the approval rule
+const APPROVER_ROLE_LABELS = {
+    admin: 'Admin',
+    policy_working_group: 'Policy Working Group'
+};
+
+let approvalsUser = null; // The logged in user, to show their own sign-offs
+
 document.addEventListener("DOMContentLoaded", () => {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to view approvals.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Load pending items on page load
     loadPendingPolicies();
@@ -14,7 +19,8 @@ document.addEventListener("DOMContentLoaded", () => {
 });
 
 /**
- * Loads draft policies from the API and displays them
+ * Loads draft policies, and published policies with pending changes, from the API
+ * and displays them
  */
 async function loadPendingPolicies() {
     const container = document.getElementById('pendingPoliciesList');
@@ -26,28 +32,23 @@ async function loadPendingPolicies() {
     try {
         container.innerHTML = '<div class="empty-state"><div class="empty-state-text">Loading policies...</div></div>';
 
-        const response = await fetch(
-            `https://asa-policy-backend.onrender.com/api/policies?status=draft`,
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
+        let policies;
+        try {
+            policies = await apiRequest("/api/policies");
+        } catch (err) {
+            if (err.status === 401) {
+                handleSessionExpired();
+                return;
             }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401 || response.status === 403) {
+            if (err.status === 403) {
                 alert("You don't have permission to view policies. Please login with an admin or policy_working_group account.");
-                window.location.href = "admin/login.html";
+                redirectToLogin();
                 return;
             }
-            throw new Error(`Failed to load policies: ${response.status}`);
+            throw err;
         }
-
-        const policies = await response.json();
-        const draftPolicies = policies.filter(p => p.status === 'draft');
+        const draftPolicies = policies.filter(p =>
+            p.status === 'draft' || (p.revision && p.revision.status === 'draft'));
 
         if (draftPolicies.length === 0) {
             container.innerHTML = `
@@ -60,7 +61,10 @@ async function loadPendingPolicies() {
             return;
         }
 
-        container.innerHTML = draftPolicies.map(policy => renderApprovalItem(policy, 'policy')).join('');
+        approvalsUser = await getCurrentUser().catch(() => null);
+        container.innerHTML = draftPolicies
+            .map(policy => renderApprovalItem(getPendingPolicy(policy), 'policy', policy.revision ? policy : null))
+            .join('');
     } catch (err) {
         console.error("Error loading policies:", err);
         container.innerHTML = `
@@ -73,6 +77,23 @@ async function loadPendingPolicies() {
     }
 }
 
+/**
+ * Gets the policy as it would read once approved: a published policy's pending
+ * revision laid over it, or the draft itself
+ * @param {Object} policy - Policy from the API (with any revision)
+ * @returns {Object} The policy to show for approval. For a revision, only review
+ *   comments made on it are kept.
+ */
+function getPendingPolicy(policy) {
+    if (!policy.revision) return policy;
+    return {
+        ...policy,
+        ...policy.revision,
+        review_comments: (policy.review_comments || [])
+            .filter(c => c.created_at >= policy.revision.created_at)
+    };
+}
+
 /**
  * Loads draft bylaws from the API and displays them
  */
@@ -86,27 +107,21 @@ async function loadPendingBylaws() {
     try {
         container.innerHTML = '<div class="empty-state"><div class="empty-state-text">Loading bylaws...</div></div>';
 
-        const response = await fetch(
-            `https://asa-policy-backend.onrender.com/api/bylaws?status=draft`,
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
+        let bylaws;
+        try {
+            bylaws = await apiRequest("/api/bylaws?status=draft");
+        } catch (err) {
+            if (err.status === 401) {
+                handleSessionExpired();
+                return;
             }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401 || response.status === 403) {
+            if (err.status === 403) {
                 alert("You don't have permission to view bylaws. Please login with an admin or policy_working_group account.");
-                window.location.href = "admin/login.html";
+                redirectToLogin();
                 return;
             }
-            throw new Error(`Failed to load bylaws: ${response.status}`);
+            throw err;
         }
-
-        const bylaws = await response.json();
         const draftBylaws = bylaws.filter(b => b.status === 'draft');
 
         if (draftBylaws.length === 0) {
@@ -137,9 +152,11 @@ async function loadPendingBylaws() {
  * Renders an approval item (policy or bylaw)
  * @param {Object} item - Policy or bylaw object from API
  * @param {string} type - 'policy' or 'bylaw'
+ * @param {Object|null} [publishedPolicy] - For policies, the published policy (null for
+ *   a new policy) to show the pending changes against
  * @returns {string} HTML string for the approval item
  */
-function renderApprovalItem(item, type) {
+function renderApprovalItem(item, type, publishedPolicy) {
     const isPolicy = type === 'policy';
     const title = isPolicy ? (item.policy_name || item.name) : (item.bylaw_title || item.title);
     const id = isPolicy ? item.policy_id : `Bylaw #${item.bylaw_number || item.number}`;
@@ -148,6 +165,11 @@ function renderApprovalItem(item, type) {
     const createdDate = item.created_at ? new Date(item.created_at).toLocaleDateString() : 'N/A';
     const itemId = item.id; // UUID for both
     const identifier = isPolicy ? item.policy_id : itemId; // For policies, use policy_id (TEXT) for approve endpoint
+    const approvePermission = isPolicy ? 'policies.sign_off' : 'bylaws.approve'; // Footer is hidden for roles without it (roles.js)
+    const comments = item.review_comments || [];
+    const lastComment = comments[comments.length - 1]; // Set if this is a resubmission
+    const hasSchedule = item.effective_date || item.sunset_date;
+    const isExpired = getScheduleState(item.effective_date, item.sunset_date) === 'expired';
 
     return `
         <div class="approval-item" data-id="${itemId}" data-identifier="${identifier}" data-type="${type}">
@@ -158,18 +180,119 @@ function renderApprovalItem(item, type) {
                         <span class="approval-item-id">${id}</span>
                         ${isPolicy ? `<span class="approval-item-section">${getSectionName(item.section || 'N/A')}</span>` : ''}
                         <span class="approval-item-date">Submitted: ${createdDate}</span>
+                        ${hasSchedule ? `<span class="approval-item-schedule">In effect: ${renderScheduleSummary(item)}</span>` : ''}
                     </div>
                 </div>
                 <div class="approval-item-actions">
                     <button class="btn btn-view" onclick="viewItem('${itemId}', '${type}')">View</button>
                 </div>
             </div>
+            ${isExpired ? `<div class="approval-schedule-warning">The sunset date has passed, so this ${type} can't be approved until the dates are updated.</div>` : ''}
+            ${lastComment ? `<div class="change-request-note">Resubmitted after changes were requested: ${escapeHtml(lastComment.comment)}</div>` : ''}
+            ${isPolicy ? renderPolicyChanges(item, publishedPolicy) : `
             <div class="approval-item-content">
                 <p>${preview.replace(/\n/g, ' ')}</p>
-            </div>
-            <div class="approval-item-footer">
+            </div>`}
+            ${isPolicy && item.approval_progress ? renderApprovalProgress(item.approval_progress) : ''}
+            ${isPolicy && item.approval_progress ? renderPolicyApprovalActions(item) : `
+            <div class="approval-item-footer" data-requires="${approvePermission}">
                 <button class="btn btn-approve" onclick="approveItem('${identifier}', '${type}')">✓ Approve</button>
-                <button class="btn btn-disapprove" onclick="disapproveItem('${identifier}', '${type}')">✗ Disapprove</button>
+                <button class="btn btn-disapprove" onclick="disapproveItem('${identifier}', '${type}')">✗ Request Changes</button>
+            </div>`}
+        </div>
+    `;
+}
+
+/**
+ * Renders how far a draft policy is towards the approval rule: a progress bar per
+ * role and the people who have signed off so far
+ * @param {Object} progress - approval_progress from the API ({satisfied, requirements, approvals})
+ * @returns {string} HTML string for the progress indicator
+ */
+function renderApprovalProgress(progress) {
+    const rows = progress.requirements.map(requirement => {
+        const percent = requirement.required > 0
+            ? Math.min(100, Math.round((requirement.approved / requirement.required) * 100))
+            : 100;
+        return `
+            <div class="approval-progress-row">
+                <span class="approval-progress-role">${APPROVER_ROLE_LABELS[requirement.role] || requirement.role}</span>
+                <div class="approval-progress-bar">
+                    <div class="approval-progress-fill ${percent === 100 ? 'complete' : ''}" style="width: ${percent}%"></div>
+                </div>
+                <span class="approval-progress-count">${requirement.approved} of ${requirement.required}</span>
+            </div>
+        `;
+    }).join('');
+
+    const signers = progress.approvals.length === 0
+        ? '<div class="approval-signers-empty">No sign-offs yet</div>'
+        : `<ul class="approval-signers">${progress.approvals.map(approval => `
+            <li>✓ ${escapeHtml(approval.name || approval.email)} (${APPROVER_ROLE_LABELS[approval.role] || approval.role}) · ${new Date(approval.approved_at).toLocaleString()}</li>
+        `).join('')}</ul>`;
+
+    return `
+        <div class="approval-progress">
+            <div class="approval-progress-title">Sign-offs needed before publishing</div>
+            ${rows}
+            ${signers}
+        </div>
+    `;
+}
+
+/**
+ * Renders the actions for a draft policy. Anyone whose role counts towards the
+ * approval rule may request changes, and approve until they have signed off
+ * @param {Object} policy - Draft policy from the API (with approval_progress)
+ * @returns {string} HTML string for the approval item footer
+ */
+function renderPolicyApprovalActions(policy) {
+    const progress = policy.approval_progress;
+    const hasSigned = approvalsUser && progress.approvals.some(a => a.user_id === approvalsUser.id);
+    const canSign = approvalsUser && progress.requirements.some(r => r.role === approvalsUser.role);
+
+    return `
+        <div class="approval-item-footer" data-requires="policies.sign_off">
+            ${hasSigned ? '<span class="approval-signed">✓ You have approved this draft</span>' : ''}
+            ${canSign && !hasSigned ? `<button class="btn btn-approve" onclick="approveItem('${policy.policy_id}', 'policy')">✓ Approve</button>` : ''}
+            ${canSign ? `<button class="btn btn-disapprove" onclick="disapproveItem('${policy.policy_id}', 'policy')">✗ Request Changes</button>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders a redline of a pending policy against the published text: removed words
+ * struck through and added words underlined, with title and section changes first
+ * @param {Object} policy - Pending policy (see getPendingPolicy)
+ * @param {Object|null} publishedPolicy - The published policy, or null for a new policy
+ * @returns {string} HTML string for the approval item's content
+ */
+function renderPolicyChanges(policy, publishedPolicy) {
+    if (!publishedPolicy) {
+        return `
+            <div class="approval-item-content approval-diff">
+                <div class="approval-diff-label">New policy</div>
+                <div class="approval-diff-body">${policy.policy_content || 'No content'}</div>
+            </div>
+        `;
+    }
+
+    const publishedDate = new Date(publishedPolicy.updated_at).toLocaleDateString();
+    const fieldChanges = [];
+    if (publishedPolicy.policy_name !== policy.policy_name) {
+        fieldChanges.push(`<div class="approval-diff-field"><strong>Title:</strong> ${diffText(publishedPolicy.policy_name, policy.policy_name)}</div>`);
+    }
+    if (getSectionName(publishedPolicy.section) !== getSectionName(policy.section)) {
+        fieldChanges.push(`<div class="approval-diff-field"><strong>Section:</strong> ${diffText(getSectionName(publishedPolicy.section), getSectionName(policy.section))}</div>`);
+    }
+    const content = diffHtml(publishedPolicy.policy_content, policy.policy_content);
+
+    return `
+        <div class="approval-item-content approval-diff">
+            <div class="approval-diff-label">Changes to the published policy (last updated ${publishedDate})</div>
+            ${fieldChanges.join('')}
+            <div class="approval-diff-body">
+                ${content.changed ? content.redlineHtml : '<p class="approval-diff-none">No changes to the policy content</p>'}
             </div>
         </div>
     `;
@@ -1,71 +1,49 @@
 /**
- * Approves a policy
+ * Signs off on a draft policy. The backend publishes it once the approval rule
+ * (e.g. one admin plus a majority of the policy working group) is met
  * @param {string} policyId - Policy ID (TEXT like "1.1.1"), not UUID
  * @param {Function} onSuccess - Optional callback function to call after successful approval
  */
 async function approvePolicy(policyId, onSuccess = null) {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to approve policies.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
-    if (!confirm('Are you sure you want to approve this policy?')) {
+    if (!confirm('Are you sure you want to approve this policy? It is published once everyone required has signed off.')) {
         return;
     }
 
     try {
-        const response = await fetch(
-            `https://asa-policy-backend.onrender.com/api/policies/${encodeURIComponent(policyId)}/approve`,
-            {
-                method: "PUT",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
+        const policy = await apiRequest(`/api/policies/${encodeURIComponent(policyId)}/approve`, {
+            method: "PUT"
+        });
 
-        if (!response.ok) {
-            if (response.status === 401) {
-                alert("Your session has expired. Please login again.");
-                window.location.href = "admin/login.html";
-                return;
-            }
-            if (response.status === 403) {
-                alert("Only admins can approve policies.");
-                return;
-            }
-            if (response.status === 404) {
-                alert("Policy not found. It may have already been deleted.");
-                if (onSuccess) {
-                    onSuccess();
-                }
-                return;
-            }
-            
-            let errorMessage = "Failed to approve policy.";
-            try {
-                const errorData = await response.json();
-                if (errorData.detail) {
-                    errorMessage = errorData.detail;
-                }
-            } catch (e) {
-                errorMessage = `Failed to approve policy: ${response.status} ${response.statusText}`;
-            }
-            alert(errorMessage);
-            return;
+        // A published policy's revision stays pending until the rule is met
+        if (policy.status === 'approved' && !policy.revision) {
+            alert('Policy approved and published!');
+        } else {
+            alert('Your approval has been recorded. The policy will be published once the remaining sign-offs are in.');
         }
-
-        alert('Policy approved successfully!');
         
         if (onSuccess) {
             onSuccess();
         }
     } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (err.status === 403) {
+            alert(err.detail || "Your role can't approve policies.");
+            return;
+        }
+        if (err.status === 404) {
+            alert("Policy not found. It may have already been deleted.");
+            if (onSuccess) {
+                onSuccess();
+            }
+            return;
+        }
         console.error("Error approving policy:", err);
-        alert("Failed to approve policy. Please try again.\n\nError: " + err.message);
+        alert("Failed to approve policy. Please try again.\n\nError: " + (err.detail || err.message));
     }
 }
 
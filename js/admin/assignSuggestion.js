@@ -0,0 +1,39 @@
+/**
+ * Assigns a suggestion to an admin or working group member, or unassigns it.
+ * Both admin and policy_working_group can assign suggestions.
+ *
+ * @param {string} suggestionId - The UUID of the suggestion.
+ * @param {string} userId - The assignee's user id, or '' to unassign.
+ * @param {Function} onSuccess - Optional callback function to call afterwards (e.g., reload suggestions).
+ *   It is also called after a failure, so the dropdown shows the saved assignee again.
+ */
+async function assignSuggestion(suggestionId, userId, onSuccess = null) {
+    if (!requireSession()) return;
+
+    try {
+        await apiRequest(`/api/suggestions/${encodeURIComponent(suggestionId)}/assignee`, {
+            method: "PUT",
+            body: JSON.stringify({ assigned_to: userId || null })
+        });
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (err.status === 403) {
+            alert("You don't have permission to assign suggestions.");
+        } else if (err.status === 404) {
+            alert("Suggestion not found. It may have been deleted.");
+        } else {
+            console.error("Error assigning suggestion:", err);
+            alert("Failed to assign the suggestion. Please try again.\n\nError: " + (err.detail || err.message));
+        }
+    }
+
+    if (onSuccess) {
+        onSuccess();
+    }
+}
+
+// Export function for global access
+window.assignSuggestion = assignSuggestion;
@@ -0,0 +1,356 @@
+// ============================================
+// ASA Policy App - Audit Log
+// ============================================
+// Lists every recorded create, edit, approval, change request, deletion, restore
+// and role change (GET /api/audit-log, admins only) with who did it and the values before
+// and after, filtered by person, action and date, and exports what is shown to CSV.
+
+const AUDIT_ACTIONS = {
+    'policy.created': 'Created policy',
+    'policy.updated': 'Edited policy',
+    'policy.revision_saved': 'Proposed changes to published policy',
+    'policy.signed_off': 'Signed off on policy',
+    'policy.approved': 'Approved policy',
+    'policy.changes_requested': 'Requested changes to policy',
+    'policy.deleted': 'Moved policy to trash',
+    'policy.restored': 'Restored policy from trash',
+    'policy.purged': 'Permanently deleted policy',
+    'bylaw.created': 'Created bylaw',
+    'bylaw.updated': 'Edited bylaw',
+    'bylaw.approved': 'Approved bylaw',
+    'bylaw.changes_requested': 'Requested changes to bylaw',
+    'bylaw.deleted': 'Moved bylaw to trash',
+    'bylaw.restored': 'Restored bylaw from trash',
+    'bylaw.purged': 'Permanently deleted bylaw',
+    'user.created': 'Added user',
+    'user.role_changed': 'Changed user role',
+    'user.deleted': 'Deleted user',
+    'suggestion.status_changed': 'Changed suggestion status',
+    'suggestion.assigned': 'Assigned suggestion',
+    'suggestion.deleted': 'Moved suggestion to trash',
+    'suggestion.restored': 'Restored suggestion from trash',
+    'suggestion.purged': 'Permanently deleted suggestion',
+    'reviews.reset': 'Reset all policy reviews'
+};
+
+// Groups in the action filter; picking a group matches every action in it
+const AUDIT_ACTION_GROUPS = {
+    policy: 'Policies',
+    bylaw: 'Bylaws',
+    user: 'Users',
+    suggestion: 'Suggestions',
+    reviews: 'Policy reviews'
+};
+
+const AUDIT_FIELD_LABELS = {
+    policy_name: 'Name',
+    section: 'Section',
+    policy_content: 'Content',
+    bylaw_title: 'Title',
+    bylaw_content: 'Content',
+    status: 'Status',
+    effective_date: 'Effective date',
+    sunset_date: 'Sunset date',
+    email: 'Email',
+    name: 'Name',
+    role: 'Role',
+    suggestion: 'Suggestion',
+    proposed_policy_title: 'Proposed title',
+    quoted_text: 'Quoted passage',
+    proposed_text: 'Proposed wording',
+    status_reason: 'Reason',
+    assigned_to_email: 'Assigned to',
+    comment: 'Comment',
+    review_count: 'Reviews'
+};
+
+const AUDIT_HTML_FIELDS = ['policy_content', 'bylaw_content'];
+const AUDIT_PREVIEW_LENGTH = 120;
+
+let auditEntries = []; // Entries matching the filters, newest first
+let auditSearchTerm = '';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!document.getElementById('auditLog')) return;
+
+    if (!requireSession()) return;
+
+    populateAuditActions();
+    await loadAuditLog();
+    await populateAuditActors();
+
+    ['auditActor', 'auditAction', 'auditFrom', 'auditTo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadAuditLog);
+    });
+    document.getElementById('auditClearFilters').addEventListener('click', () => {
+        document.getElementById('auditFilters').reset();
+        loadAuditLog();
+    });
+    document.getElementById('auditExport').addEventListener('click', exportAuditLog);
+
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        searchInput.addEventListener('input', (e) => {
+            auditSearchTerm = e.target.value.toLowerCase();
+            renderAuditLog();
+        });
+    }
+});
+
+/**
+ * Fills the action filter with each group followed by its actions.
+ */
+function populateAuditActions() {
+    const select = document.getElementById('auditAction');
+    Object.entries(AUDIT_ACTION_GROUPS).forEach(([group, groupLabel]) => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = groupLabel;
+        optgroup.appendChild(new Option(`All ${groupLabel.toLowerCase()}`, group));
+        Object.entries(AUDIT_ACTIONS)
+            .filter(([action]) => action.startsWith(`${group}.`))
+            .forEach(([action, label]) => optgroup.appendChild(new Option(label, action)));
+        select.appendChild(optgroup);
+    });
+}
+
+/**
+ * Fills the person filter with current users and anyone else in the log (e.g. since deleted).
+ * Call after the first, unfiltered load.
+ */
+async function populateAuditActors() {
+    let users = [];
+    try {
+        users = await apiRequest('/api/auth/users');
+    } catch (err) {
+        console.error('Error loading users:', err);
+    }
+
+    const actors = new Map(users.map(user => [user.email, user.name]));
+    auditEntries.forEach(entry => {
+        if (!actors.has(entry.actor_email)) actors.set(entry.actor_email, entry.actor_name);
+    });
+
+    const select = document.getElementById('auditActor');
+    [...actors.entries()]
+        .sort(([emailA], [emailB]) => emailA.localeCompare(emailB))
+        .forEach(([email, name]) => select.appendChild(new Option(name ? `${name} (${email})` : email, email)));
+}
+
+/**
+ * Builds the audit log query from the filters. Dates are whole days in local time.
+ * @returns {string} The query string, including the leading "?", or ''.
+ */
+function getAuditQuery() {
+    const params = new URLSearchParams();
+    const actor = document.getElementById('auditActor').value;
+    const action = document.getElementById('auditAction').value;
+    const from = document.getElementById('auditFrom').value;
+    const to = document.getElementById('auditTo').value;
+
+    if (actor) params.set('actor', actor);
+    if (action) params.set('action', action);
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Loads the entries matching the filters and shows them.
+ */
+async function loadAuditLog() {
+    const container = document.getElementById('auditLog');
+    container.innerHTML = '<div class="empty-state"><div class="empty-state-text">Loading audit log...</div></div>';
+
+    try {
+        auditEntries = await apiRequest(`/api/audit-log${getAuditQuery()}`);
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        auditEntries = [];
+        const message = err.status === 403
+            ? 'Only admins can view the audit log.'
+            : `Error loading the audit log: ${escapeHtml(err.detail || err.message)}`;
+        container.innerHTML = `<div class="empty-state"><div class="empty-state-text">${message}</div></div>`;
+        return;
+    }
+
+    renderAuditLog();
+}
+
+/**
+ * Gets the loaded entries that match the header search.
+ * @returns {Array<Object>} The entries to show and export.
+ */
+function getVisibleAuditEntries() {
+    if (!auditSearchTerm) return auditEntries;
+    return auditEntries.filter(entry => [
+        entry.actor_name, entry.actor_email, entry.target_label, getAuditActionLabel(entry.action)
+    ].some(text => (text || '').toLowerCase().includes(auditSearchTerm)));
+}
+
+function getAuditActionLabel(action) {
+    return AUDIT_ACTIONS[action] || action;
+}
+
+/**
+ * Turns a before/after value into plain text.
+ * @param {string} field - The field name.
+ * @param {*} value - The stored value.
+ * @param {boolean} [preview=false] - Shorten long text for the table.
+ * @returns {string} The text ('—' for no value).
+ */
+function formatAuditValue(field, value, preview = false) {
+    if (value === null || value === undefined || value === '') return '—';
+
+    let text = String(value);
+    if (AUDIT_HTML_FIELDS.includes(field)) {
+        // DOMParser builds an inert document, so nothing in the stored HTML runs or loads
+        text = new DOMParser().parseFromString(text, 'text/html').body.textContent.trim();
+    }
+    if (field === 'status') {
+        // Policy and bylaw statuses, or a suggestion's (js/shared/suggestionStatus.js)
+        const badge = STATUS_BADGES[text] || SUGGESTION_STATUSES[text];
+        if (badge) text = badge.label;
+    }
+    if (preview && text.length > AUDIT_PREVIEW_LENGTH) {
+        text = `${text.substring(0, AUDIT_PREVIEW_LENGTH)}...`;
+    }
+    return text;
+}
+
+/**
+ * Lists the fields an entry records, in before-then-after order.
+ * @param {Object} entry - An audit log entry.
+ * @returns {Array<string>} Field names.
+ */
+function getAuditFields(entry) {
+    return [...new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})])];
+}
+
+/**
+ * Renders an entry's before and after values.
+ * @param {Object} entry - An audit log entry.
+ * @returns {string} HTML string for the changes cell.
+ */
+function renderAuditChanges(entry) {
+    const fields = getAuditFields(entry);
+    if (fields.length === 0) {
+        return entry.action === 'policy.signed_off'
+            ? '<span class="audit-no-changes">Sign-off recorded; not yet published</span>'
+            : '<span class="audit-no-changes">—</span>';
+    }
+
+    return fields.map(field => {
+        const label = AUDIT_FIELD_LABELS[field] || field;
+        const before = entry.before ? `<del class="diff-removed">${escapeHtml(formatAuditValue(field, entry.before[field], true))}</del>` : '';
+        const after = entry.after ? `<ins class="diff-added">${escapeHtml(formatAuditValue(field, entry.after[field], true))}</ins>` : '';
+        return `
+            <div class="audit-change">
+                <span class="audit-field">${label}:</span>
+                ${before}${before && after ? ' → ' : ''}${after}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Shows the loaded entries as a table.
+ */
+function renderAuditLog() {
+    const container = document.getElementById('auditLog');
+    const entries = getVisibleAuditEntries();
+
+    if (entries.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">📋</div>
+                <div class="empty-state-text">No audit entries match these filters</div>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = entries.map(entry => `
+        <tr>
+            <td class="audit-time">${new Date(entry.created_at).toLocaleString()}</td>
+            <td>
+                <div>${escapeHtml(entry.actor_name || entry.actor_email)}</div>
+                <div class="audit-actor-email">${escapeHtml(entry.actor_email)}</div>
+            </td>
+            <td>${getAuditActionLabel(entry.action)}</td>
+            <td class="audit-target">${escapeHtml(entry.target_label)}</td>
+            <td>${renderAuditChanges(entry)}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <p class="audit-count">${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}</p>
+        <table class="members-table audit-table">
+            <thead>
+                <tr>
+                    <th>When</th>
+                    <th>Who</th>
+                    <th>Action</th>
+                    <th>Target</th>
+                    <th>Before → After</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Quotes a value for CSV. Text that a spreadsheet would run as a formula is
+ * prefixed with an apostrophe.
+ * @param {*} value - The cell value.
+ * @returns {string} The CSV cell.
+ */
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Downloads the entries shown on the page as a CSV file.
+ */
+function exportAuditLog() {
+    const entries = getVisibleAuditEntries();
+    if (entries.length === 0) {
+        alert('There are no audit entries to export.');
+        return;
+    }
+
+    const describe = (entry, values) => values
+        ? getAuditFields(entry).map(field => `${AUDIT_FIELD_LABELS[field] || field}: ${formatAuditValue(field, values[field])}`).join('\n')
+        : '';
+
+    const header = ['Timestamp', 'Name', 'Email', 'Action', 'Target', 'Before', 'After'];
+    const rows = entries.map(entry => [
+        entry.created_at,
+        entry.actor_name,
+        entry.actor_email,
+        getAuditActionLabel(entry.action),
+        entry.target_label,
+        describe(entry, entry.before),
+        describe(entry, entry.after)
+    ]);
+
+    // The byte order mark makes Excel read the file as UTF-8
+    const csv = '\ufeff' + [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n');
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${new Date().toLocaleDateString('en-CA')}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -3,13 +3,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const bylawsList = document.getElementById("bylawsList");
     if (!bylawsList) return;
 
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        // Not logged in, redirect to login page
-        alert("Please login to view bylaws.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Load bylaws on page load
     loadBylaws();
@@ -41,27 +35,21 @@ async function loadBylaws() {
         // Show loading state
         bylawsList.innerHTML = '<div class="empty-state"><div class="empty-state-text">Loading bylaws...</div></div>';
 
-        const response = await fetch(
-            "https://asa-policy-backend.onrender.com/api/bylaws",
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
+        let bylaws;
+        try {
+            bylaws = await apiRequest("/api/bylaws");
+        } catch (err) {
+            if (err.status === 401) {
+                handleSessionExpired();
+                return;
             }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401 || response.status === 403) {
+            if (err.status === 403) {
                 alert("You don't have permission to view bylaws. Please login with an admin or policy_working_group account.");
-                window.location.href = "admin/login.html";
+                redirectToLogin();
                 return;
             }
-            throw new Error(`Failed to load bylaws: ${response.status}`);
+            throw err;
         }
-
-        const bylaws = await response.json();
         console.log("Bylaws loaded:", bylaws);
 
         if (bylaws.length === 0) {
@@ -103,9 +91,7 @@ async function loadBylaws() {
  * @returns {string} HTML string for the bylaw item.
  */
 function renderBylawItem(bylaw) {
-    const status = bylaw.status || 'draft';
-    const statusClass = status === 'approved' ? 'approved' : 'pending';
-    const statusText = status === 'approved' ? 'Approved' : 'Pending';
+    const changeRequest = getChangeRequest(bylaw);
     const bylawNumber = bylaw.bylaw_number || 'N/A';
     const bylawTitle = bylaw.bylaw_title || 'Untitled Bylaw';
     const bylawContent = bylaw.bylaw_content || '';
@@ -117,8 +103,8 @@ function renderBylawItem(bylaw) {
                 <div class="bylaw-item-title">Bylaw #${bylawNumber}</div>
                 <div class="bylaw-item-actions">
                     <button class="action-btn view" onclick="viewBylaw('${bylawUuid}')" title="View">👁️</button>
-                    <button class="action-btn edit" onclick="editBylaw('${bylawUuid}')" title="Edit">✏️</button>
-                    <button class="action-btn delete" onclick="deleteBylawFromList('${bylawUuid}', '${bylawNumber}', '${bylawTitle}', loadBylaws)" title="Delete">🗑️</button>
+                    <button class="action-btn edit" data-requires="bylaws.edit" onclick="editBylaw('${bylawUuid}')" title="Edit">✏️</button>
+                    <button class="action-btn delete" data-requires="bylaws.delete" onclick="deleteBylawFromList('${bylawUuid}', '${bylawNumber}', '${bylawTitle}', loadBylaws)" title="Delete">🗑️</button>
                 </div>
             </div>
             <div class="bylaw-item-content">
@@ -126,8 +112,10 @@ function renderBylawItem(bylaw) {
                 <p>${bylawContent.substring(0, 150)}${bylawContent.length > 150 ? '...' : ''}</p>
             </div>
             <div class="bylaw-item-meta">
-                <div class="policy-status ${statusClass}">${statusText}</div>
+                ${renderStatusBadge(bylaw.status)}
+                ${renderScheduleBadge(bylaw)}
             </div>
+            ${changeRequest ? `<div class="change-request-note">${escapeHtml(changeRequest.comment)}</div>` : ''}
         </div>
     `;
 }
@@ -0,0 +1,90 @@
+// Handle the change password form, including the forced change after first login
+
+document.addEventListener("DOMContentLoaded", async () => {
+    const form = document.getElementById("changePasswordForm");
+    if (!form) return;
+
+    if (!requireSession()) return;
+
+    let user = null;
+    try {
+        user = await getCurrentUser();
+    } catch (err) {
+        console.error("Error loading current user:", err);
+    }
+
+    // New users signing in with a one-time password can't skip this page
+    if (user && user.must_change_password) {
+        showChangePasswordMessage("Please choose a new password to replace your one-time password before continuing.", "info");
+        const backLink = document.getElementById("backToAdminLink");
+        if (backLink) backLink.classList.add("hidden");
+    }
+
+    attachPasswordStrengthMeter(document.getElementById("newPassword"), document.getElementById("passwordStrength"));
+    form.addEventListener("submit", handleChangePasswordSubmit);
+});
+
+/**
+ * Shows a message above the change password form.
+ * @param {string} message - The message to display.
+ * @param {string} type - The message type ('info', 'success' or 'error').
+ */
+function showChangePasswordMessage(message, type) {
+    const messageEl = document.getElementById("changePasswordMessage");
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.className = `notification ${type}`;
+}
+
+/**
+ * Handles change password form submission.
+ * @param {Event} e - The form submit event.
+ */
+async function handleChangePasswordSubmit(e) {
+    e.preventDefault();
+
+    const currentPassword = document.getElementById("currentPassword").value;
+    const newPassword = document.getElementById("newPassword").value;
+    const confirmPassword = document.getElementById("confirmPassword").value;
+
+    const validationError = validateNewPassword(newPassword);
+    if (validationError) {
+        showChangePasswordMessage(validationError, "error");
+        return;
+    }
+    if (newPassword !== confirmPassword) {
+        showChangePasswordMessage("The new passwords do not match.", "error");
+        return;
+    }
+    if (newPassword === currentPassword) {
+        showChangePasswordMessage("The new password must be different from the current one.", "error");
+        return;
+    }
+
+    try {
+        await apiRequest("/api/auth/change-password", {
+            method: "POST",
+            body: JSON.stringify({
+                current_password: currentPassword,
+                new_password: newPassword
+            })
+        });
+
+        // Update the cached user so the role guard stops sending them here
+        const user = await getCurrentUser();
+        if (user) {
+            setCurrentUser({ ...user, must_change_password: false });
+        }
+
+        alert("Your password has been changed.");
+        window.location.href = consumeLoginReturnUrl();
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        console.error("Error changing password:", err);
+        showChangePasswordMessage(err.detail || "Failed to change password. Please try again.", "error");
+    }
+}
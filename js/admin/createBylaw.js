@@ -3,13 +3,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     const form = document.getElementById("bylawForm");
     if (!form) return;
 
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        // Not logged in, redirect to login page
-        alert("Please login to create a bylaw.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Initialize Quill editor
     const quillEditor = new Quill('#bylawContent', {
@@ -34,27 +28,13 @@ document.addEventListener("DOMContentLoaded", async () => {
     const urlParams = new URLSearchParams(window.location.search);
     const bylawId = urlParams.get('id');
     let isEditMode = false;
+    let isResubmission = false; // Editing a draft an approver sent back; saving resubmits it
 
     if (bylawId) {
         // Edit mode - load existing bylaw data
         isEditMode = true;
         try {
-            const response = await fetch(
-                `https://asa-policy-backend.onrender.com/api/bylaws`,
-                {
-                    method: "GET",
-                    headers: {
-                        "Content-Type": "application/json",
-                        "Authorization": `Bearer ${token}`
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error("Failed to load bylaw data");
-            }
-
-            const bylaws = await response.json();
+            const bylaws = await apiRequest("/api/bylaws");
             const bylaw = bylaws.find(b => b.id === bylawId);
 
             if (!bylaw) {
@@ -66,6 +46,8 @@ document.addEventListener("DOMContentLoaded", async () => {
             // Pre-populate form fields
             document.getElementById("bylawNumber").value = bylaw.bylaw_number || '';
             document.getElementById("bylawTitle").value = bylaw.bylaw_title || '';
+            document.getElementById("effectiveDate").value = bylaw.effective_date || '';
+            document.getElementById("sunsetDate").value = bylaw.sunset_date || '';
             // Set content in Quill editor
             if (bylaw.bylaw_content) {
                 quillEditor.root.innerHTML = bylaw.bylaw_content;
@@ -81,6 +63,18 @@ document.addEventListener("DOMContentLoaded", async () => {
                 submitButton.textContent = "Update Bylaw";
             }
 
+            // Sent back by an approver: show what to change and resubmit on save
+            isResubmission = bylaw.status === 'changes_requested';
+            const changeRequest = getChangeRequest(bylaw);
+            if (changeRequest) {
+                const notice = document.getElementById("changeRequestNotice");
+                notice.innerHTML = `<strong>Changes requested:</strong> ${escapeHtml(changeRequest.comment)}`;
+                notice.hidden = false;
+            }
+            if (isResubmission && submitButton) {
+                submitButton.textContent = "Resubmit for Approval";
+            }
+
             // Disable bylaw number field in edit mode (it shouldn't be changed)
             document.getElementById("bylawNumber").disabled = true;
         } catch (err) {
@@ -97,6 +91,8 @@ document.addEventListener("DOMContentLoaded", async () => {
         const bylawTitle = document.getElementById("bylawTitle").value.trim();
         // Get HTML content from Quill editor
         const bylawContent = quillEditor.root.innerHTML.trim();
+        const effectiveDate = document.getElementById("effectiveDate").value;
+        const sunsetDate = document.getElementById("sunsetDate").value;
 
         // Validate required fields
         if (!bylawNumberInput) {
@@ -116,75 +112,68 @@ document.addEventListener("DOMContentLoaded", async () => {
             alert("Please enter Bylaw Content");
             return;
         }
+        if (effectiveDate && sunsetDate && sunsetDate < effectiveDate) {
+            alert("The sunset date cannot be before the effective date");
+            return;
+        }
 
         console.log("Bylaw Number:", bylawNumber);
         console.log("Bylaw Title:", bylawTitle);
         console.log("Bylaw Content:", bylawContent);
 
-        const headers = {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${token}`
-        };
-
     try {
-        let response;
+        let data;
         if (isEditMode && bylawId) {
             // Update existing bylaw (use UUID)
-            response = await fetch(
-                `https://asa-policy-backend.onrender.com/api/bylaws/${bylawId}`,
+            data = await apiRequest(
+                `/api/bylaws/${bylawId}`,
                 {
                     method: "PUT",
-                    headers: headers,
                     body: JSON.stringify({
                         bylaw_title: bylawTitle,
-                        bylaw_content: bylawContent
+                        bylaw_content: bylawContent,
+                        effective_date: effectiveDate || null,
+                        sunset_date: sunsetDate || null,
+                        // Back into the approval queue
+                        ...(isResubmission ? { status: "draft" } : {})
                     })
                 }
             );
         } else {
             // Create new bylaw
-            response = await fetch(
-                "https://asa-policy-backend.onrender.com/api/bylaws",
+            data = await apiRequest(
+                "/api/bylaws",
                 {
                     method: "POST",
-                    headers: headers,
                     body: JSON.stringify({
                         bylaw_number: bylawNumber,
                         bylaw_title: bylawTitle,
                         bylaw_content: bylawContent,
+                        effective_date: effectiveDate || null,
+                        sunset_date: sunsetDate || null,
                         status: "draft"
                     })
                 }
             );
         }
 
-        if (!response.ok) {
-            // Try to get the error message from the response
-            let errorMessage = isEditMode ? "Failed to update bylaw. Please try again." : "Failed to create bylaw. Please try again.";
-            try {
-                const errorData = await response.json();
-                if (errorData.detail) {
-                    errorMessage = errorData.detail;
-                } else if (errorData.message) {
-                    errorMessage = errorData.message;
-                }
-            } catch (e) {
-                // If response is not JSON, use status text
-                errorMessage = `${isEditMode ? 'Failed to update' : 'Failed to create'} bylaw: ${response.status} ${response.statusText}`;
-            }
-            alert(errorMessage);
-            return;
-        }
-
-        const data = await response.json();
         console.log(isEditMode ? "Bylaw updated:" : "Bylaw created:", data.bylaw_title);
 
-        alert(isEditMode ? "Bylaw updated successfully" : "Bylaw created successfully");
+        if (isResubmission) {
+            alert("Bylaw resubmitted for approval");
+        } else {
+            alert(isEditMode ? "Bylaw updated successfully" : "Bylaw created successfully");
+        }
         
         // Redirect back to bylaws page
         window.location.href = "bylaw.html";
     } catch (err) {
         console.error(`Error ${isEditMode ? 'updating' : 'creating'} bylaw:`, err);
+        if (err.detail) {
+            // Show the backend's validation message as-is (e.g. duplicate ID)
+            alert(err.detail);
+            return;
+        }
         alert(`Failed to ${isEditMode ? 'update' : 'create'} bylaw. Please try again.\n\nError: ` + err.message);
     }
     });
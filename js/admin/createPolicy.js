@@ -3,13 +3,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     const form = document.getElementById("policyForm");
     if (!form) return;
 
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        // Not logged in, redirect to login page
-        alert("Please login to create a policy.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Initialize Quill editor
     const quillEditor = new Quill('#policyContent', {
@@ -34,28 +28,15 @@ document.addEventListener("DOMContentLoaded", async () => {
     const urlParams = new URLSearchParams(window.location.search);
     const policyId = urlParams.get('id');
     let isEditMode = false;
+    let isResubmission = false; // Editing a draft an approver sent back; saving resubmits it
+    let isPublished = false; // Editing an approved policy; saving submits a revision for approval
     let originalPolicyId = null; // Store the original policy_id (TEXT) for updates
 
     if (policyId) {
         // Edit mode - load existing policy data
         isEditMode = true;
         try {
-            const response = await fetch(
-                `https://asa-policy-backend.onrender.com/api/policies`,
-                {
-                    method: "GET",
-                    headers: {
-                        "Content-Type": "application/json",
-                        "Authorization": `Bearer ${token}`
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error("Failed to load policy data");
-            }
-
-            const policies = await response.json();
+            const policies = await apiRequest("/api/policies");
             const policy = policies.find(p => p.id === policyId);
 
             if (!policy) {
@@ -64,13 +45,19 @@ document.addEventListener("DOMContentLoaded", async () => {
                 return;
             }
 
+            // A published policy is edited through its pending revision, if it has one
+            isPublished = policy.status === 'approved';
+            const text = policy.revision || policy;
+
             // Pre-populate form fields
             document.getElementById("policyId").value = policy.policy_id || '';
-            document.getElementById("policyName").value = policy.policy_name || '';
-            document.getElementById("section").value = policy.section || '';
+            document.getElementById("policyName").value = text.policy_name || '';
+            document.getElementById("section").value = text.section || '';
+            document.getElementById("effectiveDate").value = policy.effective_date || '';
+            document.getElementById("sunsetDate").value = policy.sunset_date || '';
             // Set content in Quill editor
-            if (policy.policy_content) {
-                quillEditor.root.innerHTML = policy.policy_content;
+            if (text.policy_content) {
+                quillEditor.root.innerHTML = text.policy_content;
             }
 
             // Store original policy_id for update
@@ -86,6 +73,29 @@ document.addEventListener("DOMContentLoaded", async () => {
                 submitButton.textContent = "Update Policy";
             }
 
+            // Sent back by an approver: show what to change and resubmit on save
+            isResubmission = text.status === 'changes_requested';
+            const changeRequest = getChangeRequest(policy);
+            if (changeRequest) {
+                const notice = document.getElementById("changeRequestNotice");
+                notice.innerHTML = `<strong>Changes requested:</strong> ${escapeHtml(changeRequest.comment)}`;
+                notice.hidden = false;
+            }
+            if (isResubmission && submitButton) {
+                submitButton.textContent = "Resubmit for Approval";
+            }
+
+            if (isPublished) {
+                const notice = document.getElementById("revisionNotice");
+                notice.textContent = policy.revision
+                    ? "This policy is published. You are editing its pending changes; the published text stays as it is until they are approved, and saving again clears any sign-offs so far."
+                    : "This policy is published. Changes to its name, section or content are sent for approval and replace the published text once they have been signed off.";
+                notice.hidden = false;
+                if (submitButton && !isResubmission) {
+                    submitButton.textContent = "Submit Changes for Approval";
+                }
+            }
+
             // Disable policy ID field in edit mode (it shouldn't be changed)
             document.getElementById("policyId").disabled = true;
         } catch (err) {
@@ -104,6 +114,8 @@ document.addEventListener("DOMContentLoaded", async () => {
         const section = document.getElementById("section").value.trim();
         // Get HTML content from Quill editor
         const policyContent = quillEditor.root.innerHTML.trim();
+        const effectiveDate = document.getElementById("effectiveDate").value;
+        const sunsetDate = document.getElementById("sunsetDate").value;
 
         // Validate required fields (skip policyId check in edit mode since it's disabled)
         if (!isEditMode && !policyId) {
@@ -122,78 +134,73 @@ document.addEventListener("DOMContentLoaded", async () => {
             alert("Please enter Policy Content");
             return;
         }
+        if (effectiveDate && sunsetDate && sunsetDate < effectiveDate) {
+            alert("The sunset date cannot be before the effective date");
+            return;
+        }
 
         console.log("Policy ID:", policyId);
         console.log("Policy Name:", policyName);
         console.log("Section:", section);
         console.log("Policy Content:", policyContent);
 
-        const headers = {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${token}`
-        };
-
     try {
-        let response;
+        let data;
         if (isEditMode && originalPolicyId) {
             // Update existing policy
-            response = await fetch(
-                `https://asa-policy-backend.onrender.com/api/policies/${encodeURIComponent(originalPolicyId)}`,
+            data = await apiRequest(
+                `/api/policies/${encodeURIComponent(originalPolicyId)}`,
                 {
                     method: "PUT",
-                    headers: headers,
                     body: JSON.stringify({
                         policy_name: policyName,
                         section: section,
-                        policy_content: policyContent
+                        policy_content: policyContent,
+                        effective_date: effectiveDate || null,
+                        sunset_date: sunsetDate || null,
+                        // Back into the approval queue
+                        ...(isResubmission ? { status: "draft" } : {})
                     })
                 }
             );
         } else {
             // Create new policy
-            response = await fetch(
-                "https://asa-policy-backend.onrender.com/api/policies",
+            data = await apiRequest(
+                "/api/policies",
                 {
                     method: "POST",
-                    headers: headers,
                     body: JSON.stringify({
                         policy_id: policyId,
                         policy_name: policyName,
                         section: section,
                         policy_content: policyContent,
+                        effective_date: effectiveDate || null,
+                        sunset_date: sunsetDate || null,
                         status: "draft"
                     })
                 }
             );
         }
 
-        if (!response.ok) {
-            // Try to get the error message from the response
-            let errorMessage = isEditMode ? "Failed to update policy. Please try again." : "Failed to create policy. Please try again.";
-            try {
-                const errorData = await response.json();
-                if (errorData.detail) {
-                    errorMessage = errorData.detail;
-                } else if (errorData.message) {
-                    errorMessage = errorData.message;
-                }
-            } catch (e) {
-                // If response is not JSON, use status text
-                errorMessage = `${isEditMode ? 'Failed to update' : 'Failed to create'} policy: ${response.status} ${response.statusText}`;
-            }
-            alert(errorMessage);
-            return;
-        }
-
-        const data = await response.json();
         console.log(isEditMode ? "Policy updated:" : "Policy created:", data.policy_name, "in section:", data.section);
 
-        alert(isEditMode ? "Policy updated successfully" : "Policy created successfully");
+        if (isResubmission) {
+            alert("Policy resubmitted for approval");
+        } else if (isPublished && data.revision) {
+            alert("Changes submitted for approval. The published policy stays as it is until they are signed off.");
+        } else {
+            alert(isEditMode ? "Policy updated successfully" : "Policy created successfully");
+        }
         
         // Redirect back to policies page
         window.location.href = "policies.html";
     } catch (err) {
         console.error(`Error ${isEditMode ? 'updating' : 'creating'} policy:`, err);
+        if (err.detail) {
+            // Show the backend's validation message as-is (e.g. duplicate ID)
+            alert(err.detail);
+            return;
+        }
         alert(`Failed to ${isEditMode ? 'update' : 'create'} policy. Please try again.\n\nError: ` + err.message);
     }
     });
@@ -1,5 +1,5 @@
 /**
- * Deletes a bylaw from the API.
+ * Moves a bylaw to the trash through the API.
  * Only admins can delete bylaws.
  * 
  * @param {string} bylawId - The UUID of the bylaw to delete.
@@ -8,40 +8,12 @@
  * @param {Function} onSuccess - Optional callback function to call after successful deletion (e.g., reload bylaws).
  */
 async function deleteBylaw(bylawId, bylawNumber, bylawTitle, onSuccess = null) {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to delete bylaws.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     try {
-        // Get current user info to check role
-        const userResponse = await fetch(
-            "https://asa-policy-backend.onrender.com/api/auth/me",
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
-        if (!userResponse.ok) {
-            if (userResponse.status === 401) {
-                alert("Your session has expired. Please login again.");
-                window.location.href = "admin/login.html";
-                return;
-            }
-            throw new Error("Failed to get user information");
-        }
-
-        const userData = await userResponse.json();
-        const userRole = userData.role;
-
-        // Check if user is admin - only admins can delete bylaws
-        if (userRole !== "admin") {
+        // Check the cached user's role - only admins can delete bylaws
+        await getCurrentUser();
+        if (!can("bylaws.delete")) {
             alert("Sorry, only admin is allowed to delete bylaw.");
             return;
         }
@@ -49,7 +21,7 @@ async function deleteBylaw(bylawId, bylawNumber, bylawTitle, onSuccess = null) {
         // Show confirmation dialog only for admins
         const confirmed = confirm(
             `⚠️ WARNING: Are you sure you want to delete "Bylaw #${bylawNumber}: ${bylawTitle}"?\n\n` +
-            `This action cannot be undone. The bylaw will be permanently removed from the system.`
+            `The bylaw will be moved to the trash, where an admin can restore it until it is purged.`
         );
 
         if (!confirmed) {
@@ -63,50 +35,36 @@ async function deleteBylaw(bylawId, bylawNumber, bylawTitle, onSuccess = null) {
 
     try {
         // Use UUID in the API endpoint
-        const response = await fetch(
-            `https://asa-policy-backend.onrender.com/api/bylaws/${encodeURIComponent(bylawId)}`,
-            {
-                method: "DELETE",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401) {
-                alert("Your session has expired. Please login again.");
-                window.location.href = "admin/login.html";
-                return;
-            }
-            if (response.status === 403) {
-                alert("Sorry, only admin is allowed to delete bylaw.");
-                return;
-            }
-            if (response.status === 404) {
-                alert("Bylaw not found. It may have already been deleted.");
-                // Still call onSuccess to refresh the list
-                if (onSuccess) {
-                    onSuccess();
-                }
-                return;
-            }
-            
-            const errorText = await response.text();
-            throw new Error(`Failed to delete bylaw: ${response.status} - ${errorText}`);
-        }
+        await apiRequest(`/api/bylaws/${encodeURIComponent(bylawId)}`, {
+            method: "DELETE"
+        });
 
         // Success - bylaw deleted (204 No Content)
-        alert("Bylaw deleted successfully.");
+        alert("Bylaw moved to the trash.");
         
         // Call success callback if provided (e.g., to reload bylaws)
         if (onSuccess) {
             onSuccess();
         }
     } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (err.status === 403) {
+            alert("Sorry, only admin is allowed to delete bylaw.");
+            return;
+        }
+        if (err.status === 404) {
+            alert("Bylaw not found. It may have already been deleted.");
+            // Still call onSuccess to refresh the list
+            if (onSuccess) {
+                onSuccess();
+            }
+            return;
+        }
         console.error("Error deleting bylaw:", err);
-        alert("Failed to delete bylaw. Please try again.\n\nError: " + err.message);
+        alert("Failed to delete bylaw. Please try again.\n\nError: " + (err.detail || err.message));
     }
 }
 
@@ -1,5 +1,5 @@
 /**
- * Deletes a policy from the API.
+ * Moves a policy to the trash through the API (see admin/trash.html).
  * Only admins can delete policies.
  * 
  * @param {string} policyId - The policy_id (TEXT identifier like "1.1.1"), not UUID.
@@ -7,40 +7,12 @@
  * @param {Function} onSuccess - Optional callback function to call after successful deletion (e.g., reload policies).
  */
 async function deletePolicy(policyId, policyName, onSuccess = null) {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to delete policies.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     try {
-        // Get current user info to check role
-        const userResponse = await fetch(
-            "https://asa-policy-backend.onrender.com/api/auth/me",
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
-        if (!userResponse.ok) {
-            if (userResponse.status === 401) {
-                alert("Your session has expired. Please login again.");
-                window.location.href = "admin/login.html";
-                return;
-            }
-            throw new Error("Failed to get user information");
-        }
-
-        const userData = await userResponse.json();
-        const userRole = userData.role;
-
-        // Check if user is admin - only admins can delete policies
-        if (userRole !== "admin") {
+        // Check the cached user's role - only admins can delete policies
+        await getCurrentUser();
+        if (!can("policies.delete")) {
             alert("Sorry, only admin is allowed to delete policy.");
             return;
         }
@@ -48,7 +20,7 @@ async function deletePolicy(policyId, policyName, onSuccess = null) {
         // Show confirmation dialog only for admins
         const confirmed = confirm(
             `⚠️ WARNING: Are you sure you want to delete "${policyName}"?\n\n` +
-            `This action cannot be undone. The policy will be permanently removed from the system.`
+            `The policy will be moved to the trash, where an admin can restore it until it is purged.`
         );
 
         if (!confirmed) {
@@ -62,50 +34,36 @@ async function deletePolicy(policyId, policyName, onSuccess = null) {
 
     try {
         // Use policy_id (TEXT like "1.1.1") in the API endpoint
-        const response = await fetch(
-            `https://asa-policy-backend.onrender.com/api/policies/${encodeURIComponent(policyId)}`,
-            {
-                method: "DELETE",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401) {
-                alert("Your session has expired. Please login again.");
-                window.location.href = "admin/login.html";
-                return;
-            }
-            if (response.status === 403) {
-                alert("Sorry, only admin is allowed to delete policy.");
-                return;
-            }
-            if (response.status === 404) {
-                alert("Policy not found. It may have already been deleted.");
-                // Still call onSuccess to refresh the list
-                if (onSuccess) {
-                    onSuccess();
-                }
-                return;
-            }
-            
-            const errorText = await response.text();
-            throw new Error(`Failed to delete policy: ${response.status} - ${errorText}`);
-        }
+        await apiRequest(`/api/policies/${encodeURIComponent(policyId)}`, {
+            method: "DELETE"
+        });
 
         // Success - policy deleted (204 No Content)
-        alert("Policy deleted successfully.");
+        alert("Policy moved to the trash.");
         
         // Call success callback if provided (e.g., to reload policies)
         if (onSuccess) {
             onSuccess();
         }
     } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (err.status === 403) {
+            alert("Sorry, only admin is allowed to delete policy.");
+            return;
+        }
+        if (err.status === 404) {
+            alert("Policy not found. It may have already been deleted.");
+            // Still call onSuccess to refresh the list
+            if (onSuccess) {
+                onSuccess();
+            }
+            return;
+        }
         console.error("Error deleting policy:", err);
-        alert("Failed to delete policy. Please try again.\n\nError: " + err.message);
+        alert("Failed to delete policy. Please try again.\n\nError: " + (err.detail || err.message));
     }
 }
 
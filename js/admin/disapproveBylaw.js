@@ -1,77 +1,52 @@
 /**
- * Disapproves a bylaw by deleting it
+ * Disapproves a bylaw by sending it back to its author with changes requested.
+ * The draft is kept; the reviewer's comment is shown on the bylaw and the author
+ * can revise and resubmit it.
  * @param {string} bylawId - Bylaw UUID
  * @param {Function} onSuccess - Optional callback function to call after successful disapproval
  */
 async function disapproveBylaw(bylawId, onSuccess = null) {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to disapprove bylaws.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
-    const reason = prompt('Please provide a reason for disapproval (optional):');
-    if (reason === null) {
+    const comment = prompt('What needs to change before this bylaw can be approved?');
+    if (comment === null) {
         // User cancelled
         return;
     }
-
-    if (!confirm('Are you sure you want to disapprove (delete) this bylaw? This action cannot be undone.')) {
+    if (!comment.trim()) {
+        alert('Please describe the changes needed so the author knows what to revise.');
         return;
     }
 
     try {
-        const response = await fetch(
-            `https://asa-policy-backend.onrender.com/api/bylaws/${bylawId}`,
-            {
-                method: "DELETE",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401) {
-                alert("Your session has expired. Please login again.");
-                window.location.href = "admin/login.html";
-                return;
-            }
-            if (response.status === 403) {
-                alert("Only admins can disapprove bylaws.");
-                return;
-            }
-            if (response.status === 404) {
-                alert("Bylaw not found. It may have already been deleted.");
-                if (onSuccess) {
-                    onSuccess();
-                }
-                return;
-            }
-            
-            let errorMessage = "Failed to disapprove bylaw.";
-            try {
-                const errorData = await response.json();
-                if (errorData.detail) {
-                    errorMessage = errorData.detail;
-                }
-            } catch (e) {
-                errorMessage = `Failed to disapprove bylaw: ${response.status} ${response.statusText}`;
-            }
-            alert(errorMessage);
-            return;
-        }
+        await apiRequest(`/api/bylaws/${bylawId}/request-changes`, {
+            method: "PUT",
+            body: JSON.stringify({ comment: comment.trim() })
+        });
 
-        alert('Bylaw has been disapproved and deleted.');
+        alert('Changes requested. The bylaw has been sent back to its author with your comment.');
         
         if (onSuccess) {
             onSuccess();
         }
     } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (err.status === 403) {
+            alert("Only admins can disapprove bylaws.");
+            return;
+        }
+        if (err.status === 404) {
+            alert("Bylaw not found. It may have already been deleted.");
+            if (onSuccess) {
+                onSuccess();
+            }
+            return;
+        }
         console.error("Error disapproving bylaw:", err);
-        alert("Failed to disapprove bylaw. Please try again.\n\nError: " + err.message);
+        alert("Failed to disapprove bylaw. Please try again.\n\nError: " + (err.detail || err.message));
     }
 }
 
@@ -2,6 +2,8 @@
 document.addEventListener("DOMContentLoaded", () => {
     const form = document.getElementById("loginForm");
     if (!form) return;
+
+    showLoginReason();
   
     form.addEventListener("submit", async (e) => {
       e.preventDefault();
@@ -10,25 +12,14 @@ document.addEventListener("DOMContentLoaded", () => {
       const userPassword = document.getElementById("password").value;
   
       try {
-        const response = await fetch(
-          "https://asa-policy-backend.onrender.com/api/auth/login",
-          {
+        const data = await apiRequest("/api/auth/login", {
             method: "POST",
-            headers: {
-              "Content-Type": "application/json"
-            },
+            auth: false,
             body: JSON.stringify({
                 email: userEmail,
                 password: userPassword
             })
-          }
-        );  
-  
-        if (!response.ok) {
-          throw new Error("Invalid login");
-        }
-  
-        const data = await response.json();
+        });
   
         // Example response:
         // {
@@ -42,9 +33,23 @@ document.addEventListener("DOMContentLoaded", () => {
         //     }
         //   }
   
-        localStorage.setItem("accessToken", data.access_token);
+        // Public accounts can log in but have nothing to do in the admin area
+        if (!hasAdminAccess(data.user?.role)) {
+            alert("This account does not have access to the admin area.");
+            return;
+        }
+
+        startSession(data.access_token);
+        setCurrentUser(data.user);
+  
+        // First login with a one-time password; the return page is kept for afterwards
+        if (data.user.must_change_password) {
+            window.location.href = "change-password.html";
+            return;
+        }
   
-        window.location.href = "policies.html";
+        // Go back to the page that sent us here (e.g. the policy being edited)
+        window.location.href = consumeLoginReturnUrl();
   
       } catch (err) {
         alert("Login failed. Check credentials.");
@@ -52,6 +57,21 @@ document.addEventListener("DOMContentLoaded", () => {
       }
     });
   });
-  
 
-  
\ No newline at end of file
+/**
+ * Explains why the user was sent to the login page, based on the ?reason= query parameter.
+ */
+function showLoginReason() {
+    const messages = {
+        expired: "Your session has expired. Please login again.",
+        login: "Please login to continue.",
+        forbidden: "This account does not have access to the admin area.",
+        reset: "Your password has been reset. Please login with your new password."
+    };
+    const reason = new URLSearchParams(window.location.search).get("reason");
+    const messageEl = document.getElementById("loginMessage");
+    if (!messageEl || !messages[reason]) return;
+
+    messageEl.textContent = messages[reason];
+    messageEl.classList.remove("hidden");
+}
@@ -4,13 +4,11 @@
 let currentUserRole = null;
 
 document.addEventListener('DOMContentLoaded', async function() {
+    if (!requireSession()) return;
     await checkUserRole();
     loadMasterDashboard();
     await loadAdminMembers();
     
-    // Update password preview when name changes
-    document.getElementById('memberName')?.addEventListener('input', updatePasswordPreview);
-    
     document.getElementById('sectionFilter').addEventListener('change', function() {
         loadMasterDashboard();
     });
@@ -18,62 +16,66 @@ document.addEventListener('DOMContentLoaded', async function() {
 
 async function checkUserRole() {
     try {
-        const token = localStorage.getItem('accessToken');
-        if (!token) {
-            currentUserRole = null;
-            return;
-        }
-        
-        const response = await fetch('https://asa-policy-backend.onrender.com/api/auth/me', {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        if (response.ok) {
-            const userData = await response.json();
-            currentUserRole = userData.role;
-            
-            // Hide add user button if not admin
-            const addUserButton = document.getElementById('addUserButton');
-            if (addUserButton) {
-                if (currentUserRole !== 'admin') {
-                    addUserButton.style.display = 'none';
-                } else {
-                    addUserButton.style.display = 'inline-block';
-                }
-            }
-            
-            // Hide reset reviews button if not admin
-            const resetReviewsButton = document.getElementById('resetReviewsButton');
-            if (resetReviewsButton) {
-                if (currentUserRole !== 'admin') {
-                    resetReviewsButton.style.display = 'none';
-                } else {
-                    resetReviewsButton.style.display = 'inline-block';
-                }
-            }
-        } else {
-            currentUserRole = null;
-        }
+        // Cached per session by roles.js; buttons marked data-requires are hidden there
+        const userData = await getCurrentUser();
+        currentUserRole = userData ? userData.role : null;
     } catch (error) {
         console.error('Error checking user role:', error);
         currentUserRole = null;
     }
 }
 
-function updatePasswordPreview() {
-    const nameInput = document.getElementById('memberName').value.trim();
-    const passwordField = document.getElementById('memberPassword');
-    
-    if (nameInput) {
-        // Get first name (first word)
-        const firstName = nameInput.split(/\s+/)[0].toLowerCase();
-        passwordField.value = firstName;
-    } else {
-        passwordField.value = '';
+/**
+ * Generates a random one-time password for a new user.
+ * Ambiguous characters (0/O, 1/l/I) are left out so it can be read aloud or retyped.
+ * @param {number} length - Number of characters.
+ * @returns {string} The generated password.
+ */
+function generateOneTimePassword(length = 16) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789!@#$%^&*';
+    const values = crypto.getRandomValues(new Uint32Array(length));
+    return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+}
+
+/**
+ * Shows the new user's invite (login link, email and one-time password) once.
+ * The password is not stored anywhere else in the UI.
+ * @param {string} name - The new user's name.
+ * @param {string} email - The new user's email.
+ * @param {string} password - The one-time password.
+ */
+function showNewUserInvite(name, email, password) {
+    const panel = document.getElementById('newUserInvite');
+    if (!panel) return;
+
+    const loginUrl = `${window.location.origin}/admin/login.html`;
+    const invite = `Hi ${name},\n\n` +
+        `An account has been created for you on the ASA Policy App.\n\n` +
+        `Log in at: ${loginUrl}\n` +
+        `Email: ${email}\n` +
+        `One-time password: ${password}\n\n` +
+        `You will be asked to choose a new password the first time you log in.`;
+
+    document.getElementById('newUserInviteText').value = invite;
+    panel.classList.remove('hidden');
+}
+
+function hideNewUserInvite() {
+    const panel = document.getElementById('newUserInvite');
+    if (!panel) return;
+    panel.classList.add('hidden');
+    document.getElementById('newUserInviteText').value = '';
+}
+
+async function copyNewUserInvite() {
+    const text = document.getElementById('newUserInviteText').value;
+    try {
+        await navigator.clipboard.writeText(text);
+        showNotification('Invite copied to clipboard.', 'success');
+    } catch (error) {
+        // Clipboard access can be blocked; fall back to selecting the text
+        document.getElementById('newUserInviteText').select();
+        showNotification('Press Ctrl+C (Cmd+C on Mac) to copy the invite.', 'info');
     }
 }
 
@@ -84,7 +86,7 @@ async function showAddMemberForm() {
     }
     
     // Check if user is admin
-    if (currentUserRole !== 'admin') {
+    if (!can('users.manage')) {
         showNotification('Can\'t create new user. Only master admin can add new users.', 'error');
         return;
     }
@@ -92,7 +94,7 @@ async function showAddMemberForm() {
     document.getElementById('memberForm').classList.remove('hidden');
     document.getElementById('memberFormTitle').textContent = 'Add New User';
     document.getElementById('adminMemberForm').reset();
-    document.getElementById('memberPassword').value = '';
+    hideNewUserInvite();
 }
 
 function showNotification(message, type = 'info') {
@@ -112,7 +114,6 @@ function showNotification(message, type = 'info') {
 function hideAddMemberForm() {
     document.getElementById('memberForm').classList.add('hidden');
     document.getElementById('adminMemberForm').reset();
-    document.getElementById('memberPassword').value = '';
 }
 
 async function handleMemberSubmit(e) {
@@ -124,7 +125,7 @@ async function handleMemberSubmit(e) {
     }
     
     // Check if user is admin
-    if (currentUserRole !== 'admin') {
+    if (!can('users.manage')) {
         showNotification('Can\'t create new user. Only master admin can add new users.', 'error');
         hideAddMemberForm();
         return;
@@ -132,16 +133,14 @@ async function handleMemberSubmit(e) {
     
     const nameInput = document.getElementById('memberName').value.trim();
     const email = document.getElementById('memberEmail').value.trim().toLowerCase();
-    const passwordField = document.getElementById('memberPassword');
     
     if (!nameInput || !email) {
         alert('Please fill in all fields');
         return;
     }
     
-    // Get first name for password
-    const firstName = nameInput.split(/\s+/)[0].toLowerCase();
-    const password = firstName;
+    // The user must replace this on first login
+    const password = generateOneTimePassword();
     
     // Concatenate all name parts (remove extra spaces)
     const fullName = nameInput.split(/\s+/).filter(part => part.length > 0).join(' ');
@@ -153,28 +152,19 @@ async function handleMemberSubmit(e) {
             return;
         }
         
-        const response = await fetch('https://asa-policy-backend.onrender.com/api/auth/register', {
+        await apiRequest('/api/auth/register', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
             body: JSON.stringify({
                 email: email,
                 password: password,
-                name: fullName
+                name: fullName,
+                must_change_password: true
             })
         });
         
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ detail: 'Failed to register user' }));
-            throw new Error(errorData.detail || `Failed to register user: ${response.status}`);
-        }
-        
-        const result = await response.json();
-        alert(`User ${fullName} (${email}) has been successfully added!\nPassword: ${password}`);
-        
         hideAddMemberForm();
+        showNewUserInvite(fullName, email, password);
+        showNotification(`User ${fullName} (${email}) has been added. Send them the invite below; the password will not be shown again.`, 'success');
         loadAdminMembers();
     } catch (error) {
         console.error('Error adding user:', error);
@@ -193,24 +183,17 @@ async function loadAdminMembers() {
             return;
         }
         
-        const response = await fetch('https://asa-policy-backend.onrender.com/api/auth/users', {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            }
-        });
-        
-        if (!response.ok) {
-            if (response.status === 403) {
+        let users;
+        try {
+            users = await apiRequest('/api/auth/users');
+        } catch (err) {
+            if (err.status === 403) {
                 container.innerHTML = '<p class="empty-message">You don\'t have permission to view users.</p>';
                 return;
             }
-            throw new Error(`Failed to load users: ${response.status}`);
+            throw err;
         }
         
-        const users = await response.json();
-        
         // Show all users (including public) so admins can change roles
         if (users.length === 0) {
             container.innerHTML = '<p class="empty-message">No users found.</p>';
@@ -218,20 +201,17 @@ async function loadAdminMembers() {
         }
         
         // Only show Actions column for admin users
-        const actionsHeader = currentUserRole === 'admin' ? '<th>Actions</th>' : '';
-        let html = `<table class="members-table"><thead><tr><th>Name</th><th>Email</th><th>Password</th><th>Role</th>${actionsHeader}</tr></thead><tbody>`;
+        const actionsHeader = can('users.manage') ? '<th>Actions</th>' : '';
+        let html = `<table class="members-table"><thead><tr><th>Name</th><th>Email</th><th>Role</th>${actionsHeader}</tr></thead><tbody>`;
         
         users.forEach(user => {
-            // Extract first name from full name for password display
-            const firstName = user.name ? user.name.split(/\s+/)[0].toLowerCase() : 'N/A';
-            
             // Only show delete button for admin users
-            const deleteButton = currentUserRole === 'admin' 
+            const deleteButton = can('users.manage') 
                 ? `<button class="btn btn-small btn-danger" onclick="deleteUser('${user.id}', '${user.email}')">Delete</button>`
                 : '';
             
             // Role display - make it editable for admin users
-            const roleDisplay = currentUserRole === 'admin'
+            const roleDisplay = can('users.manage')
                 ? `<select class="role-select ${user.role}" onchange="updateUserRole('${user.id}', this.value)" data-user-id="${user.id}">
                     <option value="public" ${user.role === 'public' ? 'selected' : ''}>Public</option>
                     <option value="admin" ${user.role === 'admin' ? 'selected' : ''}>Admin</option>
@@ -243,9 +223,8 @@ async function loadAdminMembers() {
                 <tr>
                     <td>${user.name || '-'}</td>
                     <td>${user.email}</td>
-                    <td><code>${firstName}</code></td>
                     <td>${roleDisplay}</td>
-                    ${currentUserRole === 'admin' ? `<td>${deleteButton}</td>` : ''}
+                    ${can('users.manage') ? `<td>${deleteButton}</td>` : ''}
                 </tr>
             `;
         });
@@ -264,7 +243,7 @@ async function updateUserRole(userId, newRole) {
         await checkUserRole();
     }
     
-    if (currentUserRole !== 'admin') {
+    if (!can('users.manage')) {
         showNotification('Only master admin can change user roles.', 'error');
         // Reload to reset the select
         await loadAdminMembers();
@@ -279,23 +258,12 @@ async function updateUserRole(userId, newRole) {
             return;
         }
         
-        const response = await fetch(`https://asa-policy-backend.onrender.com/api/auth/users/${userId}/role`, {
+        await apiRequest(`/api/auth/users/${userId}/role`, {
             method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
             body: JSON.stringify({
                 role: newRole
             })
         });
-        
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ detail: 'Failed to update user role' }));
-            throw new Error(errorData.detail || `Failed to update user role: ${response.status}`);
-        }
-        
-        const result = await response.json();
         showNotification(`User role updated to ${newRole} successfully.`, 'success');
         
         // Reload the user list
@@ -314,7 +282,7 @@ async function deleteUser(userId, userEmail) {
         await checkUserRole();
     }
     
-    if (currentUserRole !== 'admin') {
+    if (!can('users.manage')) {
         showNotification('Only master admin can delete users.', 'error');
         return;
     }
@@ -332,20 +300,9 @@ async function deleteUser(userId, userEmail) {
             return;
         }
         
-        const response = await fetch(`https://asa-policy-backend.onrender.com/api/auth/users/${userId}`, {
-            method: 'DELETE',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            }
+        const result = await apiRequest(`/api/auth/users/${userId}`, {
+            method: 'DELETE'
         });
-        
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ detail: 'Failed to delete user' }));
-            throw new Error(errorData.detail || `Failed to delete user: ${response.status}`);
-        }
-        
-        const result = await response.json();
         showNotification(result.message || `User ${userEmail} has been deleted successfully.`, 'success');
         
         // Reload the user list
@@ -364,19 +321,7 @@ async function getPolicies() {
     }
 
     try {
-        const response = await fetch('https://asa-policy-backend.onrender.com/api/policies', {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`Failed to load policies: ${response.status}`);
-        }
-
-        return await response.json();
+        return await apiRequest('/api/policies');
     } catch (error) {
         console.error('Error fetching policies:', error);
         return [];
@@ -390,24 +335,12 @@ async function getPolicyReviews(policyId) {
     }
 
     try {
-        const response = await fetch(`https://asa-policy-backend.onrender.com/api/policies/${policyId}/reviews`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            }
-        });
-
-        if (!response.ok) {
-            if (response.status === 404) {
-                // No reviews yet
-                return { confirmed: { numberOfPeople: 0, people: [] }, needs_work: { numberOfPeople: 0, people: [] } };
-            }
-            throw new Error(`Failed to load reviews: ${response.status}`);
-        }
-
-        return await response.json();
+        return await apiRequest(`/api/policies/${policyId}/reviews`);
     } catch (error) {
+        if (error.status === 404) {
+            // No reviews yet
+            return { confirmed: { numberOfPeople: 0, people: [] }, needs_work: { numberOfPeople: 0, people: [] } };
+        }
         console.error(`Error fetching reviews for policy ${policyId}:`, error);
         return { confirmed: { numberOfPeople: 0, people: [] }, needs_work: { numberOfPeople: 0, people: [] } };
     }
@@ -537,7 +470,7 @@ async function resetAllReviews() {
         await checkUserRole();
     }
     
-    if (currentUserRole !== 'admin') {
+    if (!can('reviews.reset')) {
         showNotification('Only master admin can reset reviews.', 'error');
         return;
     }
@@ -555,20 +488,9 @@ async function resetAllReviews() {
             return;
         }
         
-        const response = await fetch('https://asa-policy-backend.onrender.com/api/policies/reviews/reset-all', {
-            method: 'DELETE',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            }
+        const result = await apiRequest('/api/policies/reviews/reset-all', {
+            method: 'DELETE'
         });
-        
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ detail: 'Failed to reset reviews' }));
-            throw new Error(errorData.detail || `Failed to reset reviews: ${response.status}`);
-        }
-        
-        const result = await response.json();
         showNotification(`Successfully reset ${result.deleted_count || 0} reviews.`, 'success');
         
         // Reload the dashboard to reflect changes
@@ -583,6 +505,8 @@ async function resetAllReviews() {
 window.showAddMemberForm = showAddMemberForm;
 window.hideAddMemberForm = hideAddMemberForm;
 window.handleMemberSubmit = handleMemberSubmit;
+window.copyNewUserInvite = copyNewUserInvite;
+window.hideNewUserInvite = hideNewUserInvite;
 window.updateUserRole = updateUserRole;
 window.deleteUser = deleteUser;
 window.resetAllReviews = resetAllReviews;
@@ -0,0 +1,67 @@
+// ============================================
+// ASA Policy App - Password Rules
+// ============================================
+// Client-side checks shared by the change password, profile panel and reset
+// password forms. The backend still validates every password it receives.
+
+const MIN_PASSWORD_LENGTH = 10;
+
+const PASSWORD_STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+/**
+ * Checks a new password against the password rules.
+ * @param {string} password - The proposed password.
+ * @returns {string|null} An error message, or null if the password is acceptable.
+ */
+function validateNewPassword(password) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        return "Password must contain at least one letter and one number.";
+    }
+    return null;
+}
+
+/**
+ * Scores how strong a password is, for the strength meter.
+ * @param {string} password - The password to score.
+ * @returns {{score: number, label: string}} Score from 0 (too weak) to 4 (strong) and its label.
+ */
+function getPasswordStrength(password) {
+    let score = 0;
+    if (password.length >= MIN_PASSWORD_LENGTH) score++;
+    if (password.length >= 14) score++;
+    if (/[a-z]/.test(password) && /[A-Z]/.test(password)) score++;
+    if (/[0-9]/.test(password) && /[^A-Za-z0-9]/.test(password)) score++;
+
+    // Anything that fails the rules is too weak, however long it is
+    if (validateNewPassword(password)) score = 0;
+
+    return { score, label: PASSWORD_STRENGTH_LABELS[score] };
+}
+
+/**
+ * Keeps a strength meter element in sync with a password input.
+ * @param {HTMLInputElement} input - The new password input.
+ * @param {HTMLElement} meter - The element that shows the strength label.
+ */
+function attachPasswordStrengthMeter(input, meter) {
+    if (!input || !meter) return;
+
+    input.addEventListener('input', () => {
+        if (!input.value) {
+            meter.textContent = '';
+            meter.className = 'password-strength';
+            return;
+        }
+        const { score, label } = getPasswordStrength(input.value);
+        meter.textContent = `Strength: ${label}`;
+        meter.className = `password-strength strength-${score}`;
+    });
+}
+
+// Export for global access
+window.validateNewPassword = validateNewPassword;
+window.getPasswordStrength = getPasswordStrength;
+window.attachPasswordStrengthMeter = attachPasswordStrengthMeter;
@@ -3,13 +3,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const policiesList = document.getElementById("policiesList");
     if (!policiesList) return;
 
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        // Not logged in, redirect to login page
-        alert("Please login to view policies.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Load policies on page load
     loadPolicies();
@@ -55,27 +49,21 @@ async function loadPolicies() {
         // Show loading state
         policiesList.innerHTML = '<div class="empty-state"><div class="empty-state-text">Loading policies...</div></div>';
 
-        const response = await fetch(
-            "https://asa-policy-backend.onrender.com/api/policies",
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
+        let policies;
+        try {
+            policies = await apiRequest("/api/policies");
+        } catch (err) {
+            if (err.status === 401) {
+                handleSessionExpired();
+                return;
             }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401 || response.status === 403) {
+            if (err.status === 403) {
                 alert("You don't have permission to view policies. Please login with an admin or policy_working_group account.");
-                window.location.href = "admin/login.html";
+                redirectToLogin();
                 return;
             }
-            throw new Error(`Failed to load policies: ${response.status}`);
+            throw err;
         }
-
-        const policies = await response.json();
         console.log("Policies loaded:", policies);
 
         if (policies.length === 0) {
@@ -202,9 +190,7 @@ function groupPoliciesBySection(policies) {
  * @returns {string} HTML string for the policy item.
  */
 function renderPolicyItem(policy) {
-    const status = policy.status || 'draft';
-    const statusClass = status === 'approved' ? 'approved' : 'pending';
-    const statusText = status === 'approved' ? 'Approved' : 'Pending';
+    const changeRequest = getChangeRequest(policy);
     const policyId = policy.policy_id || policy.id || 'N/A';
     const policyName = policy.policy_name || 'Untitled Policy';
     const policyUuid = policy.id; // UUID for API calls
@@ -215,14 +201,17 @@ function renderPolicyItem(policy) {
                 <div class="policy-item-title">${policyName}</div>
                 <div class="policy-item-actions">
                     <button class="action-btn view" onclick="viewPolicy('${policyUuid}')" title="View">👁️</button>
-                    <button class="action-btn edit" onclick="editPolicy('${policyUuid}')" title="Edit">✏️</button>
-                    <button class="action-btn delete" onclick="deletePolicy('${policyId}', '${policyName}', loadPolicies)" title="Delete">🗑️</button>
+                    <button class="action-btn edit" data-requires="policies.edit" onclick="editPolicy('${policyUuid}')" title="Edit">✏️</button>
+                    <button class="action-btn delete" data-requires="policies.delete" onclick="deletePolicy('${policyId}', '${policyName}', loadPolicies)" title="Delete">🗑️</button>
                 </div>
             </div>
             <div class="policy-item-meta">
                 <div>ID: ${policyId}</div>
-                <div class="policy-status ${statusClass}">${statusText}</div>
+                ${renderStatusBadge(policy.status)}
+                ${renderRevisionBadge(policy)}
+                ${renderScheduleBadge(policy)}
             </div>
+            ${changeRequest ? `<div class="change-request-note">${escapeHtml(changeRequest.comment)}</div>` : ''}
         </div>
     `;
 }
@@ -1,5 +1,5 @@
 // Profile Panel Functions
-// Handles user profile display and logout functionality
+// Handles user profile display, password changes and logout functionality
 
 async function toggleProfilePanel() {
     const panel = document.getElementById('profilePanel');
@@ -26,19 +26,7 @@ async function loadProfileData() {
             return;
         }
 
-        const response = await fetch('https://asa-policy-backend.onrender.com/api/auth/me', {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch user info');
-        }
-
-        const userData = await response.json();
+        const userData = await getCurrentUser();
         
         // Update profile fields
         const nameEl = document.getElementById('profileName');
@@ -58,10 +46,130 @@ async function loadProfileData() {
     }
 }
 
+/**
+ * Shows or hides the change password form in the profile panel.
+ * The form is created on first use so every admin page gets it without extra markup.
+ */
+function toggleProfilePasswordForm() {
+    let form = document.getElementById('profilePasswordForm');
+    if (!form) {
+        form = createProfilePasswordForm();
+        if (!form) return;
+    } else {
+        form.classList.toggle('hidden');
+    }
+
+    if (!form.classList.contains('hidden')) {
+        document.getElementById('profileCurrentPassword')?.focus();
+    }
+}
+
+/**
+ * Builds the change password form and inserts it above the profile actions.
+ * @returns {HTMLFormElement|null} The form, or null if the page has no profile panel.
+ */
+function createProfilePasswordForm() {
+    const actions = document.querySelector('#profilePanel .profile-actions');
+    if (!actions) return null;
+
+    const form = document.createElement('form');
+    form.id = 'profilePasswordForm';
+    form.className = 'profile-password-form';
+    form.innerHTML = `
+        <h3>Change Password</h3>
+        <div id="profilePasswordMessage" class="notification hidden"></div>
+        <div class="form-group">
+            <label for="profileCurrentPassword">Current Password</label>
+            <input type="password" id="profileCurrentPassword" autocomplete="current-password" required>
+        </div>
+        <div class="form-group">
+            <label for="profileNewPassword">New Password</label>
+            <input type="password" id="profileNewPassword" autocomplete="new-password" required>
+            <div id="profilePasswordStrength" class="password-strength" aria-live="polite"></div>
+            <small class="form-hint">At least 10 characters, with at least one letter and one number.</small>
+        </div>
+        <div class="form-group">
+            <label for="profileConfirmPassword">Confirm New Password</label>
+            <input type="password" id="profileConfirmPassword" autocomplete="new-password" required>
+        </div>
+        <button type="submit" class="btn btn-primary btn-block">Update Password</button>
+    `;
+    actions.parentNode.insertBefore(form, actions);
+
+    attachPasswordStrengthMeter(document.getElementById('profileNewPassword'), document.getElementById('profilePasswordStrength'));
+    form.addEventListener('submit', handleProfilePasswordSubmit);
+    return form;
+}
+
+/**
+ * Shows a message inside the profile panel's change password form.
+ * @param {string} message - The message to display.
+ * @param {string} type - The message type ('success' or 'error').
+ */
+function showProfilePasswordMessage(message, type) {
+    const messageEl = document.getElementById('profilePasswordMessage');
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.className = `notification ${type}`;
+}
+
+/**
+ * Handles the profile panel's change password form submission.
+ * @param {Event} e - The form submit event.
+ */
+async function handleProfilePasswordSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const currentPassword = document.getElementById('profileCurrentPassword').value;
+    const newPassword = document.getElementById('profileNewPassword').value;
+    const confirmPassword = document.getElementById('profileConfirmPassword').value;
+
+    const validationError = validateNewPassword(newPassword);
+    if (validationError) {
+        showProfilePasswordMessage(validationError, 'error');
+        return;
+    }
+    if (newPassword !== confirmPassword) {
+        showProfilePasswordMessage('The new passwords do not match.', 'error');
+        return;
+    }
+    if (newPassword === currentPassword) {
+        showProfilePasswordMessage('The new password must be different from the current one.', 'error');
+        return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        await apiRequest('/api/auth/change-password', {
+            method: 'POST',
+            body: JSON.stringify({
+                current_password: currentPassword,
+                new_password: newPassword
+            })
+        });
+
+        form.reset();
+        document.getElementById('profilePasswordStrength').textContent = '';
+        showProfilePasswordMessage('Your password has been changed.', 'success');
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        console.error('Error changing password:', err);
+        showProfilePasswordMessage(err.detail || 'Failed to change password. Please try again.', 'error');
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
 function handleLogout() {
     if (confirm('Are you sure you want to logout?')) {
-        localStorage.removeItem('accessToken');
-        window.location.href = 'login.html';
+        logout();
     }
 }
 
@@ -69,3 +177,4 @@ function handleLogout() {
 window.toggleProfilePanel = toggleProfilePanel;
 window.closeProfilePanel = closeProfilePanel;
 window.handleLogout = handleLogout;
+window.toggleProfilePasswordForm = toggleProfilePasswordForm;
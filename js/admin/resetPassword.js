@@ -0,0 +1,123 @@
+// Handle the forgot password and reset password pages (reset-by-email-token flow)
+document.addEventListener("DOMContentLoaded", () => {
+    const forgotForm = document.getElementById("forgotPasswordForm");
+    if (forgotForm) {
+        forgotForm.addEventListener("submit", handleForgotPasswordSubmit);
+    }
+
+    const resetForm = document.getElementById("resetPasswordForm");
+    if (resetForm) {
+        const token = new URLSearchParams(window.location.search).get("token");
+        if (!token) {
+            showResetError("This reset link is incomplete. Please request a new one.");
+            resetForm.classList.add("hidden");
+            return;
+        }
+        attachPasswordStrengthMeter(document.getElementById("newPassword"), document.getElementById("passwordStrength"));
+        resetForm.addEventListener("submit", (e) => handleResetPasswordSubmit(e, token));
+    }
+});
+
+/**
+ * Shows a message above the form.
+ * @param {string} message - The message to display.
+ * @param {string} type - The message type ('info', 'success' or 'error').
+ */
+function showResetMessage(message, type) {
+    const messageEl = document.getElementById("resetMessage");
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.className = `notification ${type}`;
+}
+
+/**
+ * Shows an error along with a link to request a new reset email.
+ * @param {string} message - The message to display.
+ */
+function showResetError(message) {
+    showResetMessage(message, "error");
+    document.getElementById("requestNewLink")?.classList.remove("hidden");
+}
+
+/**
+ * Requests a password reset email.
+ * @param {Event} e - The form submit event.
+ */
+async function handleForgotPasswordSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const email = document.getElementById("email").value.trim().toLowerCase();
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        await apiRequest("/api/auth/forgot-password", {
+            method: "POST",
+            auth: false,
+            body: JSON.stringify({
+                email: email,
+                // The backend links to this page in the reset email
+                reset_url: `${window.location.origin}/admin/reset-password.html`
+            })
+        });
+
+        // Same message whether or not the account exists, so emails can't be probed
+        form.classList.add("hidden");
+        showResetMessage(`If an account exists for ${email}, a reset link is on its way. The link expires in one hour.`, "success");
+    } catch (err) {
+        console.error("Error requesting password reset:", err);
+        showResetMessage(err.status === 0 ? err.message : "Could not send the reset email. Please try again later.", "error");
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Sets a new password using the token from the reset email.
+ * @param {Event} e - The form submit event.
+ * @param {string} token - The reset token from the link.
+ */
+async function handleResetPasswordSubmit(e, token) {
+    e.preventDefault();
+
+    const newPassword = document.getElementById("newPassword").value;
+    const confirmPassword = document.getElementById("confirmPassword").value;
+
+    const validationError = validateNewPassword(newPassword);
+    if (validationError) {
+        showResetMessage(validationError, "error");
+        return;
+    }
+    if (newPassword !== confirmPassword) {
+        showResetMessage("The new passwords do not match.", "error");
+        return;
+    }
+
+    const submitButton = e.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        await apiRequest("/api/auth/reset-password", {
+            method: "POST",
+            auth: false,
+            body: JSON.stringify({
+                token: token,
+                new_password: newPassword
+            })
+        });
+
+        window.location.href = "login.html?reason=reset";
+    } catch (err) {
+        console.error("Error resetting password:", err);
+        if (err.status === 400 || err.status === 404) {
+            // Usually an invalid, used or expired token; offer a new link alongside the backend's reason
+            showResetError(err.detail || "This reset link is invalid or has expired.");
+            return;
+        }
+        showResetMessage(err.detail || "Failed to reset password. Please try again.", "error");
+    } finally {
+        submitButton.disabled = false;
+    }
+}
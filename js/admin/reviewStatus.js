@@ -0,0 +1,117 @@
+// ============================================
+// ASA Policy App - Review Status
+// ============================================
+// Status badges and reviewer comments for policies and bylaws. A draft that an
+// admin disapproves moves to "changes_requested" with a comment; saving it again
+// from the edit form resubmits it (status back to "draft"). Edits to a published
+// policy wait for sign-off in policy.revision, which goes through the same
+// statuses. Effective and sunset dates use the helpers in js/shared/schedule.js,
+// which must be loaded first.
+
+const STATUS_BADGES = {
+    approved: { className: 'approved', label: 'Approved' },
+    draft: { className: 'pending', label: 'Pending' },
+    changes_requested: { className: 'changes-requested', label: 'Changes Requested' }
+};
+
+// Badges for a published policy's pending revision, by the revision's status
+const REVISION_BADGES = {
+    draft: { className: 'pending', label: 'Changes Pending Approval' },
+    changes_requested: { className: 'changes-requested', label: 'Changes Requested' }
+};
+
+/**
+ * Renders the status badge for a policy or bylaw.
+ * @param {string} [status='draft'] - The item's status from the API.
+ * @returns {string} HTML string for the badge.
+ */
+function renderStatusBadge(status = 'draft') {
+    const badge = STATUS_BADGES[status] || STATUS_BADGES.draft;
+    return `<span class="policy-status ${badge.className}">${badge.label}</span>`;
+}
+
+/**
+ * Renders a badge for a published policy whose edits are waiting for sign-off.
+ * @param {Object} item - Policy from the API (with any revision).
+ * @returns {string} HTML string for the badge, or '' if there is no pending revision.
+ */
+function renderRevisionBadge(item) {
+    if (!item.revision) return '';
+    const badge = REVISION_BADGES[item.revision.status] || REVISION_BADGES.draft;
+    return `<span class="policy-status ${badge.className}">${badge.label}</span>`;
+}
+
+/**
+ * Renders a badge for an item that is not in effect today: one that takes effect
+ * later, or one past its sunset date (no longer shown on the public site).
+ * @param {Object} item - Policy or bylaw from the API (with effective_date and sunset_date).
+ * @returns {string} HTML string for the badge, or '' if the item is in effect.
+ */
+function renderScheduleBadge(item) {
+    switch (getScheduleState(item.effective_date, item.sunset_date)) {
+        case 'upcoming':
+            return `<span class="policy-status upcoming">Takes effect ${formatScheduleDate(item.effective_date)}</span>`;
+        case 'expired':
+            return `<span class="policy-status expired">Expired ${formatScheduleDate(item.sunset_date)}</span>`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Describes an item's effective and sunset dates for the view pages.
+ * @param {Object} item - Policy or bylaw from the API.
+ * @returns {string} HTML string, e.g. "May 1, 2027 – no sunset date" with any schedule badge.
+ */
+function renderScheduleSummary(item) {
+    const from = item.effective_date ? formatScheduleDate(item.effective_date) : 'On approval';
+    const until = item.sunset_date ? formatScheduleDate(item.sunset_date) : 'no sunset date';
+    return `${from} – ${until} ${renderScheduleBadge(item)}`;
+}
+
+/**
+ * Gets the comment that sent an item, or a published policy's revision, back to
+ * its author, if it is waiting on changes.
+ * @param {Object} item - Policy or bylaw from the API (with review_comments).
+ * @returns {Object|null} The most recent comment, or null.
+ */
+function getChangeRequest(item) {
+    const status = item.revision ? item.revision.status : item.status;
+    if (status !== 'changes_requested' || !item.review_comments || item.review_comments.length === 0) {
+        return null;
+    }
+    return item.review_comments[item.review_comments.length - 1];
+}
+
+/**
+ * Renders an item's reviewer comments, newest first.
+ * @param {Array<Object>} comments - review_comments from the API (oldest first).
+ * @returns {string} HTML string for the comments, or '' if there are none.
+ */
+function renderReviewComments(comments) {
+    if (!comments || comments.length === 0) return '';
+
+    const items = [...comments].reverse().map(comment => `
+        <div class="review-comment">
+            <div class="review-comment-meta">
+                ${escapeHtml(comment.created_by_email || 'Reviewer')} · ${new Date(comment.created_at).toLocaleString()}
+            </div>
+            <p class="review-comment-text">${escapeHtml(comment.comment)}</p>
+        </div>
+    `).join('');
+
+    return `
+        <div class="review-comments">
+            <h3>Reviewer Comments</h3>
+            ${items}
+        </div>
+    `;
+}
+
+// Export for global access
+window.renderStatusBadge = renderStatusBadge;
+window.renderRevisionBadge = renderRevisionBadge;
+window.renderScheduleBadge = renderScheduleBadge;
+window.renderScheduleSummary = renderScheduleSummary;
+window.getChangeRequest = getChangeRequest;
+window.renderReviewComments = renderReviewComments;
@@ -0,0 +1,157 @@
+// ============================================
+// ASA Policy App - Admin Role Guard
+// ============================================
+// Fetches the current user once per session and decides what they may do.
+// Markup opts in with data-requires="<permission>"; elements whose permission
+// the role lacks are hidden, including ones rendered after page load.
+
+const CURRENT_USER_KEY = 'currentUser';
+const CHANGE_PASSWORD_PAGE = '/admin/change-password.html';
+
+// What each role may do. The backend enforces the same rules; this only keeps
+// the UI from offering actions that would fail with a 403.
+const ROLE_PERMISSIONS = {
+    admin: [
+        'policies.edit', 'policies.sign_off', 'policies.delete',
+        'bylaws.edit', 'bylaws.approve', 'bylaws.delete',
+        'suggestions.delete', 'suggestions.manage',
+        'reviews.submit', 'reviews.reset',
+        'users.view', 'users.manage',
+        'audit.view', 'trash.manage'
+    ],
+    policy_working_group: [
+        'policies.edit', 'policies.sign_off',
+        'bylaws.edit',
+        'suggestions.delete', 'suggestions.manage',
+        'reviews.submit',
+        'users.view'
+    ],
+    public: []
+};
+
+// Roles allowed into the admin pages at all
+const ADMIN_SHELL_ROLES = ['admin', 'policy_working_group'];
+
+let currentUser = null;
+let currentUserPromise = null;
+
+/**
+ * Gets the logged in user, calling /api/auth/me at most once per login.
+ * The result is cached in sessionStorage against the current token.
+ * @returns {Promise<Object|null>} The user ({id, email, name, role}), or null if not logged in.
+ */
+async function getCurrentUser() {
+    const token = getAccessToken();
+    if (!token) return null;
+    if (currentUser) return currentUser;
+
+    const cached = JSON.parse(sessionStorage.getItem(CURRENT_USER_KEY) || 'null');
+    if (cached && cached.token === token) {
+        currentUser = cached.user;
+        return currentUser;
+    }
+
+    if (!currentUserPromise) {
+        currentUserPromise = apiRequest('/api/auth/me')
+            .then(user => {
+                setCurrentUser(user);
+                return user;
+            })
+            .finally(() => {
+                currentUserPromise = null;
+            });
+    }
+    return currentUserPromise;
+}
+
+/**
+ * Caches the user returned by /api/auth/login so the next page needn't fetch it.
+ * @param {Object} user - The logged in user.
+ */
+function setCurrentUser(user) {
+    currentUser = user;
+    sessionStorage.setItem(CURRENT_USER_KEY, JSON.stringify({ token: getAccessToken(), user }));
+}
+
+/**
+ * Checks whether a role may use the admin pages at all.
+ * @param {string} role - The user's role.
+ * @returns {boolean} True for admin and policy_working_group.
+ */
+function hasAdminAccess(role) {
+    return ADMIN_SHELL_ROLES.includes(role);
+}
+
+/**
+ * Checks whether the current user's role grants a permission.
+ * Only meaningful once getCurrentUser() has resolved; returns false before that.
+ * @param {string} permission - Permission name, e.g. 'policies.delete'.
+ * @returns {boolean} True if allowed.
+ */
+function can(permission) {
+    const permissions = currentUser ? (ROLE_PERMISSIONS[currentUser.role] || []) : [];
+    return permissions.includes(permission);
+}
+
+/**
+ * Hides every [data-requires] element whose permission the role lacks.
+ * Uses a stylesheet rule per permission so items rendered later are covered too.
+ */
+function applyRolePermissions() {
+    let style = document.getElementById('rolePermissionStyles');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'rolePermissionStyles';
+        document.head.appendChild(style);
+    }
+
+    const allPermissions = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+    const denied = currentUser ? allPermissions.filter(permission => !can(permission)) : null;
+
+    // Until the user is known, hide everything that needs a permission
+    style.textContent = denied === null
+        ? '[data-requires] { display: none !important; }'
+        : denied.map(permission => `[data-requires="${permission}"] { display: none !important; }`).join('\n');
+}
+
+/**
+ * Blocks the admin pages for users whose role has no admin access.
+ * Runs on every admin page that loads this script.
+ */
+async function guardAdminShell() {
+    applyRolePermissions();
+    if (!hasValidSession()) return; // session.js sends the user to login
+
+    let user;
+    try {
+        user = await getCurrentUser();
+    } catch (err) {
+        console.error('Error loading current user:', err);
+        return;
+    }
+    if (!user) return;
+
+    if (!hasAdminAccess(user.role)) {
+        endSession();
+        window.location.href = `${LOGIN_PAGE}?reason=forbidden`;
+        return;
+    }
+
+    // Accounts still on their one-time password must change it first
+    if (user.must_change_password && window.location.pathname !== CHANGE_PASSWORD_PAGE) {
+        window.location.href = CHANGE_PASSWORD_PAGE;
+        return;
+    }
+
+    applyRolePermissions();
+}
+
+if (window.location.pathname !== LOGIN_PAGE) {
+    guardAdminShell();
+}
+
+// Export for global access
+window.getCurrentUser = getCurrentUser;
+window.setCurrentUser = setCurrentUser;
+window.hasAdminAccess = hasAdminAccess;
+window.can = can;
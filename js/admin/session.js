@@ -0,0 +1,184 @@
+// ============================================
+// ASA Policy App - Admin Session Guard
+// ============================================
+// Owns the stored access token: checks its expiry, warns before it lapses,
+// logs out when it does, and remembers the page to return to after login.
+
+const SESSION_TOKEN_KEY = 'accessToken';
+const SESSION_RETURN_KEY = 'loginReturnTo';
+const SESSION_WARNING_MS = 5 * 60 * 1000; // warn 5 minutes before expiry
+const LOGIN_PAGE = '/admin/login.html';
+const DEFAULT_ADMIN_PAGE = '/admin/policies.html';
+
+let sessionWarningTimer = null;
+let sessionExpiryTimer = null;
+let sessionEnding = false;
+
+/**
+ * Decodes the payload of a JWT access token without verifying it.
+ * @param {string} token - The access token.
+ * @returns {Object|null} The payload, or null if the token is not a JWT.
+ */
+function decodeTokenPayload(token) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    try {
+        const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        return JSON.parse(atob(padded));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets when the stored access token expires.
+ * @returns {number|null} Expiry time in milliseconds since the epoch, or null if unknown.
+ */
+function getSessionExpiry() {
+    const payload = decodeTokenPayload(localStorage.getItem(SESSION_TOKEN_KEY));
+    return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+/**
+ * Checks whether there is a stored token that has not expired.
+ * Tokens without an exp claim are treated as valid until the API rejects them.
+ * @returns {boolean} True if the session is usable.
+ */
+function hasValidSession() {
+    if (!localStorage.getItem(SESSION_TOKEN_KEY)) return false;
+    const expiry = getSessionExpiry();
+    return expiry === null || expiry > Date.now();
+}
+
+/**
+ * Stores a new access token after a successful login.
+ * @param {string} token - The access token from /api/auth/login.
+ */
+function startSession(token) {
+    localStorage.setItem(SESSION_TOKEN_KEY, token);
+    sessionEnding = false;
+}
+
+/**
+ * Removes the stored token and stops the expiry timers.
+ */
+function endSession() {
+    localStorage.removeItem(SESSION_TOKEN_KEY);
+    clearTimeout(sessionWarningTimer);
+    clearTimeout(sessionExpiryTimer);
+}
+
+/**
+ * Sends the user to the login page, remembering the current page so they come back to it.
+ * @param {string} reason - Why the user is being sent to login ('login' or 'expired').
+ */
+function redirectToLogin(reason = 'login') {
+    if (window.location.pathname !== LOGIN_PAGE) {
+        sessionStorage.setItem(SESSION_RETURN_KEY, window.location.pathname + window.location.search);
+    }
+    window.location.href = `${LOGIN_PAGE}?reason=${encodeURIComponent(reason)}`;
+}
+
+/**
+ * Logs the user out because their session lapsed or the API rejected the token.
+ * Safe to call more than once; only the first call redirects.
+ */
+function handleSessionExpired() {
+    if (sessionEnding) return;
+    sessionEnding = true;
+    endSession();
+    redirectToLogin('expired');
+}
+
+/**
+ * Logs the user out at their own request.
+ */
+function logout() {
+    endSession();
+    sessionStorage.removeItem(SESSION_RETURN_KEY);
+    window.location.href = LOGIN_PAGE;
+}
+
+/**
+ * Gets (and forgets) the page to return to after login.
+ * Only admin pages on this site are accepted.
+ * @returns {string} The path to go to.
+ */
+function consumeLoginReturnUrl() {
+    const returnTo = sessionStorage.getItem(SESSION_RETURN_KEY);
+    sessionStorage.removeItem(SESSION_RETURN_KEY);
+
+    if (returnTo && returnTo.startsWith('/admin/') && !returnTo.startsWith(LOGIN_PAGE)) {
+        return returnTo;
+    }
+    return DEFAULT_ADMIN_PAGE;
+}
+
+/**
+ * Shows a banner warning that the session is about to expire.
+ * @param {number} expiry - Expiry time in milliseconds since the epoch.
+ */
+function showSessionWarning(expiry) {
+    let banner = document.getElementById('sessionWarning');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'sessionWarning';
+        banner.className = 'notification info session-warning';
+        document.body.appendChild(banner);
+    }
+    const minutes = Math.max(1, Math.round((expiry - Date.now()) / 60000));
+    banner.textContent = `Your session will expire in about ${minutes} minute${minutes === 1 ? '' : 's'}. Save your work, then log in again to continue.`;
+}
+
+/**
+ * Schedules the expiry warning and automatic logout for the current token.
+ */
+function scheduleSessionTimers() {
+    clearTimeout(sessionWarningTimer);
+    clearTimeout(sessionExpiryTimer);
+
+    const expiry = getSessionExpiry();
+    if (expiry === null) return;
+
+    const remaining = expiry - Date.now();
+    // setTimeout overflows past ~24.8 days; such long sessions are checked again on the next page load
+    if (remaining > 2147483647) return;
+
+    sessionWarningTimer = setTimeout(() => showSessionWarning(expiry), Math.max(0, remaining - SESSION_WARNING_MS));
+    sessionExpiryTimer = setTimeout(handleSessionExpired, remaining);
+}
+
+/**
+ * Guards an admin page: redirects to login if there is no valid session,
+ * otherwise starts watching for expiry.
+ * @returns {boolean} True if the page may continue loading.
+ */
+function requireSession() {
+    if (!hasValidSession()) {
+        const reason = localStorage.getItem(SESSION_TOKEN_KEY) ? 'expired' : 'login';
+        endSession();
+        redirectToLogin(reason);
+        return false;
+    }
+    scheduleSessionTimers();
+    return true;
+}
+
+// Log out in every open tab when the token is removed in another one
+window.addEventListener('storage', (e) => {
+    if (e.key === SESSION_TOKEN_KEY && !e.newValue && window.location.pathname !== LOGIN_PAGE) {
+        handleSessionExpired();
+    }
+});
+
+// Export for global access
+window.requireSession = requireSession;
+window.hasValidSession = hasValidSession;
+window.startSession = startSession;
+window.endSession = endSession;
+window.redirectToLogin = redirectToLogin;
+window.handleSessionExpired = handleSessionExpired;
+window.consumeLoginReturnUrl = consumeLoginReturnUrl;
+window.logout = logout;
@@ -1,31 +1,81 @@
-// Load and display suggestions from the API
-document.addEventListener("DOMContentLoaded", () => {
+// Load, triage and display suggestions from the API
+let allSuggestions = []; // Suggestions loaded from the API, newest first
+let staffUsers = []; // Admins and working group members suggestions can be assigned to
+let suggestionSearchTerm = "";
+
+document.addEventListener("DOMContentLoaded", async () => {
     const suggestionsList = document.getElementById("suggestionsList");
     if (!suggestionsList) return;
 
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        // Not logged in, redirect to login page
-        alert("Please login to view suggestions.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
+
+    populateSuggestionStatusFilter();
+    await loadStaffUsers();
 
     // Load suggestions on page load
     loadSuggestions();
 
+    // Unverified suggestions are hidden unless asked for
+    const showUnverified = document.getElementById("showUnverified");
+    if (showUnverified) {
+        showUnverified.addEventListener("change", () => loadSuggestions());
+    }
+
+    ["suggestionStatusFilter", "suggestionAssigneeFilter", "suggestionTopicFilter"].forEach(id => {
+        document.getElementById(id).addEventListener("change", renderSuggestions);
+    });
+    document.getElementById("suggestionClearFilters").addEventListener("click", () => {
+        const reloadNeeded = showUnverified && showUnverified.checked;
+        document.getElementById("suggestionFilters").reset();
+        if (reloadNeeded) {
+            loadSuggestions();
+        } else {
+            renderSuggestions();
+        }
+    });
+
     // Handle search functionality
     const searchInput = document.getElementById("searchInput");
     if (searchInput) {
         searchInput.addEventListener("input", (e) => {
-            const query = e.target.value.toLowerCase();
-            filterSuggestions(query);
+            suggestionSearchTerm = e.target.value.toLowerCase();
+            renderSuggestions();
         });
     }
 });
 
 /**
- * Loads all suggestions from the API and displays them.
+ * Fills the status filter with every suggestion status.
+ */
+function populateSuggestionStatusFilter() {
+    const select = document.getElementById("suggestionStatusFilter");
+    Object.keys(SUGGESTION_STATUSES).forEach(status => {
+        select.appendChild(new Option(getSuggestionStatusLabel(status, true), status));
+    });
+}
+
+/**
+ * Loads the admins and working group members suggestions can be assigned to,
+ * and adds them to the assignee filter.
+ */
+async function loadStaffUsers() {
+    try {
+        const users = await apiRequest("/api/auth/users");
+        staffUsers = users
+            .filter(user => ["admin", "policy_working_group"].includes(user.role))
+            .sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email));
+    } catch (err) {
+        console.error("Error loading users:", err);
+        staffUsers = [];
+    }
+
+    const select = document.getElementById("suggestionAssigneeFilter");
+    staffUsers.forEach(user => select.appendChild(new Option(user.name || user.email, user.id)));
+}
+
+/**
+ * Loads suggestions from the API and displays them. Only suggestions whose
+ * submitter confirmed their email are loaded unless "show unverified" is checked.
  */
 async function loadSuggestions() {
     const suggestionsList = document.getElementById("suggestionsList");
@@ -41,48 +91,34 @@ async function loadSuggestions() {
         // Show loading state
         suggestionsList.innerHTML = '<div class="empty-state"><div class="empty-state-text">Loading suggestions...</div></div>';
 
-        // Fetch suggestions (now includes policy/bylaw info in response)
-        const suggestionsResponse = await fetch("https://asa-policy-backend.onrender.com/api/suggestions", {
-            method: "GET",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${token}`
+        // Fetch suggestions (includes policy/bylaw info, assignee and internal notes)
+        let suggestions;
+        try {
+            const showUnverified = document.getElementById("showUnverified");
+            const query = showUnverified && showUnverified.checked ? "?include_unverified=true" : "";
+            suggestions = await apiRequest(`/api/suggestions${query}`);
+        } catch (err) {
+            if (err.status === 401) {
+                handleSessionExpired();
+                return;
             }
-        });
-
-        if (!suggestionsResponse.ok) {
-            if (suggestionsResponse.status === 401 || suggestionsResponse.status === 403) {
+            if (err.status === 403) {
                 alert("You don't have permission to view suggestions. Please login with an admin or policy_working_group account.");
-                window.location.href = "admin/login.html";
+                redirectToLogin();
                 return;
             }
-            throw new Error(`Failed to load suggestions: ${suggestionsResponse.status}`);
-        }
-
-        const suggestions = await suggestionsResponse.json();
-        console.log("Suggestions loaded:", suggestions);
-
-        if (suggestions.length === 0) {
-            suggestionsList.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">💡</div>
-                    <div class="empty-state-text">No suggestions found</div>
-                    <div class="empty-state-subtext">Student suggestions will appear here</div>
-                </div>
-            `;
-            return;
+            throw err;
         }
 
         // Sort by date (newest first) - API already orders by created_at desc, but ensure it's sorted
-        const sortedSuggestions = [...suggestions].sort((a, b) => {
+        allSuggestions = [...suggestions].sort((a, b) => {
             const dateA = new Date(a.created_at || 0);
             const dateB = new Date(b.created_at || 0);
             return dateB - dateA;
         });
 
-        // Render suggestions (policy/bylaw info is now included in each suggestion)
-        let html = sortedSuggestions.map(suggestion => renderSuggestionItem(suggestion)).join('');
-        suggestionsList.innerHTML = html;
+        populateSuggestionTopicFilter();
+        renderSuggestions();
     } catch (err) {
         console.error("Error loading suggestions:", err);
         suggestionsList.innerHTML = `
@@ -96,19 +132,31 @@ async function loadSuggestions() {
 }
 
 /**
- * Renders a single suggestion item.
+ * Identifies what a suggestion refers to, for the policy/bylaw filter.
+ * @param {Object} suggestion - Suggestion object from the API.
+ * @returns {string} "policy:<policy id>", "bylaw:<bylaw UUID>", "section:<section>", "new_policy" or "general".
+ */
+function getSuggestionTopicKey(suggestion) {
+    if (suggestion.topic === 'new_policy') return "new_policy";
+    if (suggestion.topic === 'section') return `section:${suggestion.section}`;
+    if (suggestion.policy_id) return `policy:${suggestion.policy_id_text || suggestion.policy_id}`;
+    if (suggestion.bylaw_id) return `bylaw:${suggestion.bylaw_id}`;
+    return "general";
+}
+
+/**
+ * Gets the text shown for what a suggestion refers to.
  * @param {Object} suggestion - Suggestion object from the API (includes policy_id_text, policy_name, bylaw_number, bylaw_title).
- * @returns {string} HTML string for the suggestion item.
+ * @returns {string} e.g. "Policy: 1.1.1 - Mission and Vision", "New Policy Proposal: Club Funding", or "General".
  */
-function renderSuggestionItem(suggestion) {
-    const date = suggestion.created_at ? new Date(suggestion.created_at).toLocaleDateString() : 'N/A';
-    const suggestionId = suggestion.id;
-    const suggestionText = suggestion.suggestion || '';
-    const status = suggestion.status || 'pending';
-    
+function getSuggestionReferenceText(suggestion) {
     // Determine reference text using fields directly from API response
     let referenceText = 'General';
-    if (suggestion.policy_id_text && suggestion.policy_name) {
+    if (suggestion.topic === 'new_policy') {
+        referenceText = `New Policy Proposal: ${suggestion.proposed_policy_title}${suggestion.section ? ` (${suggestion.section})` : ''}`;
+    } else if (suggestion.topic === 'section') {
+        referenceText = `Section: ${suggestion.section}`;
+    } else if (suggestion.policy_id_text && suggestion.policy_name) {
         referenceText = `Policy: ${suggestion.policy_id_text} - ${suggestion.policy_name}`;
     } else if (suggestion.bylaw_number !== null && suggestion.bylaw_number !== undefined && suggestion.bylaw_title) {
         referenceText = `Bylaw #${suggestion.bylaw_number}: ${suggestion.bylaw_title}`;
@@ -119,35 +167,193 @@ function renderSuggestionItem(suggestion) {
         // Fallback if bylaw info not available
         referenceText = `Bylaw: ${suggestion.bylaw_id.substring(0, 8)}...`;
     }
+    return referenceText;
+}
+
+/**
+ * Fills the policy/bylaw filter with everything the loaded suggestions refer to,
+ * keeping the current selection.
+ */
+function populateSuggestionTopicFilter() {
+    const select = document.getElementById("suggestionTopicFilter");
+    const selected = select.value;
+    const topics = new Map();
+    allSuggestions.forEach(suggestion => {
+        const key = getSuggestionTopicKey(suggestion);
+        topics.set(key, key === "new_policy" ? "New Policy Proposals" : getSuggestionReferenceText(suggestion));
+    });
+
+    // Existing policies, bylaws and sections first, then new policy proposals and general suggestions
+    const lastKeys = ["new_policy", "general"];
+    select.innerHTML = '<option value="">All topics</option>';
+    [...topics.entries()]
+        .sort(([keyA, labelA], [keyB, labelB]) => (lastKeys.indexOf(keyA) - lastKeys.indexOf(keyB))
+            || labelA.localeCompare(labelB, undefined, { numeric: true }))
+        .forEach(([key, label]) => select.appendChild(new Option(label, key)));
+    select.value = topics.has(selected) ? selected : "";
+}
+
+/**
+ * Shows the loaded suggestions that match the filters and the header search.
+ */
+function renderSuggestions() {
+    const suggestionsList = document.getElementById("suggestionsList");
+    const status = document.getElementById("suggestionStatusFilter").value;
+    const assignee = document.getElementById("suggestionAssigneeFilter").value;
+    const topic = document.getElementById("suggestionTopicFilter").value;
+
+    const suggestions = allSuggestions.filter(suggestion =>
+        (!status || (suggestion.status || "pending") === status)
+        && (!assignee || (assignee === "unassigned" ? !suggestion.assigned_to : suggestion.assigned_to === assignee))
+        && (!topic || getSuggestionTopicKey(suggestion) === topic)
+        && (!suggestionSearchTerm || [
+            suggestion.suggestion, suggestion.reference, suggestion.email, getSuggestionReferenceText(suggestion),
+            ...(suggestion.internal_notes || []).map(note => note.note)
+        ].some(text => (text || "").toLowerCase().includes(suggestionSearchTerm)))
+    );
+
+    if (suggestions.length === 0) {
+        const filtered = allSuggestions.length > 0;
+        suggestionsList.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">💡</div>
+                <div class="empty-state-text">${filtered ? "No suggestions match these filters" : "No suggestions found"}</div>
+                <div class="empty-state-subtext">${filtered ? "Try clearing the filters" : "Student suggestions will appear here"}</div>
+            </div>
+        `;
+        return;
+    }
+
+    suggestionsList.innerHTML = suggestions.map(suggestion => renderSuggestionItem(suggestion)).join('');
+}
+
+/**
+ * Renders a single suggestion item.
+ * @param {Object} suggestion - Suggestion object from the API (includes policy_id_text, policy_name, bylaw_number,
+ *   bylaw_title, assigned_to and internal_notes).
+ * @returns {string} HTML string for the suggestion item.
+ */
+function renderSuggestionItem(suggestion) {
+    const date = suggestion.created_at ? new Date(suggestion.created_at).toLocaleDateString() : 'N/A';
+    const suggestionId = suggestion.id;
+    const suggestionText = suggestion.suggestion || '';
+    const status = suggestion.status || 'pending';
+    const outcome = describeSuggestionOutcome(suggestion);
+    const referenceText = getSuggestionReferenceText(suggestion);
+    const assignee = suggestion.assigned_to_name || suggestion.assigned_to_email;
 
     return `
-        <div class="suggestion-item" data-id="${suggestionId}" data-suggestion="${suggestionText.toLowerCase()}">
+        <div class="suggestion-item" data-id="${suggestionId}">
             <div class="suggestion-header">
                 <div class="suggestion-meta">
-                    <div class="suggestion-policy">${referenceText}</div>
-                    <div class="suggestion-date">${date}</div>
+                    <div class="suggestion-policy">${suggestion.reference ? `${suggestion.reference} · ` : ''}${escapeHtml(referenceText)}</div>
+                    <div class="suggestion-date">${date}${suggestion.email ? ` · ${escapeHtml(suggestion.email)}` : ''}</div>
+                    <div>
+                        ${renderSuggestionStatusBadge(status, true)}
+                        ${suggestion.verified ? '' : '<span class="policy-status unverified">Email not verified</span>'}
+                    </div>
+                    ${outcome ? `<div class="suggestion-outcome">${escapeHtml(outcome)}</div>` : ''}
+                    <div class="suggestion-assignee">${assignee ? `Assigned to ${escapeHtml(assignee)}` : 'Unassigned'}</div>
                 </div>
                 <div class="suggestion-actions">
-                    <button class="btn btn-secondary" onclick="deleteSuggestion('${suggestionId}', '${suggestionText.substring(0, 50).replace(/'/g, "\\'")}', loadSuggestions)">Delete</button>
+                    <select class="suggestion-status-select" aria-label="Status" data-requires="suggestions.manage" onchange="updateSuggestionStatus('${suggestionId}', this.value, { policyId: '${suggestion.policy_id_text || ''}' }, loadSuggestions)">
+                        ${renderSuggestionStatusOptions(status)}
+                    </select>
+                    <select class="suggestion-status-select" aria-label="Assigned to" data-requires="suggestions.manage" onchange="assignSuggestion('${suggestionId}', this.value, loadSuggestions)">
+                        ${renderSuggestionAssigneeOptions(suggestion)}
+                    </select>
+                    <button class="btn btn-secondary" data-requires="suggestions.manage" onclick="addSuggestionNote('${suggestionId}', loadSuggestions)">Add Note</button>
+                    <button class="btn btn-secondary" data-requires="suggestions.delete" onclick="deleteSuggestionItem('${suggestionId}')">Delete</button>
                 </div>
             </div>
-            <div class="suggestion-content">${suggestionText}</div>
+            ${renderSuggestionPassage(suggestion)}
+            <div class="suggestion-content">${escapeHtml(suggestionText)}</div>
+            ${renderSuggestionNotes(suggestion.internal_notes)}
         </div>
     `;
 }
 
 /**
- * Filters suggestions based on search query.
- * @param {string} query - The search query string.
+ * Deletes a suggestion, previewing its text in the confirmation.
+ * @param {string} suggestionId - The UUID of the suggestion.
  */
-function filterSuggestions(query) {
-    const items = document.querySelectorAll('.suggestion-item');
-    items.forEach(item => {
-        const text = item.textContent.toLowerCase();
-        const suggestionText = item.getAttribute('data-suggestion') || '';
-        const shouldShow = text.includes(query) || suggestionText.includes(query);
-        item.style.display = shouldShow ? 'block' : 'none';
-    });
+function deleteSuggestionItem(suggestionId) {
+    const suggestion = allSuggestions.find(s => s.id === suggestionId);
+    deleteSuggestion(suggestionId, suggestion ? suggestion.suggestion.substring(0, 50) : '', loadSuggestions);
+}
+
+/**
+ * Renders the options of a suggestion's status dropdown.
+ * @param {string} currentStatus - The suggestion's status, which is selected.
+ * @returns {string} HTML string of <option> elements.
+ */
+function renderSuggestionStatusOptions(currentStatus) {
+    return Object.keys(SUGGESTION_STATUSES).map(status =>
+        `<option value="${status}"${status === currentStatus ? ' selected' : ''}>${getSuggestionStatusLabel(status, true)}</option>`
+    ).join('');
+}
+
+/**
+ * Renders the options of a suggestion's assignee dropdown.
+ * @param {Object} suggestion - Suggestion object from the API.
+ * @returns {string} HTML string of <option> elements.
+ */
+function renderSuggestionAssigneeOptions(suggestion) {
+    const options = staffUsers.map(user => ({ id: user.id, label: user.name || user.email }));
+    // Keep showing an assignee who has since lost their staff role
+    if (suggestion.assigned_to && !options.some(option => option.id === suggestion.assigned_to)) {
+        options.push({ id: suggestion.assigned_to, label: suggestion.assigned_to_name || suggestion.assigned_to_email || 'Former member' });
+    }
+    return `<option value="">Unassigned</option>` + options.map(option =>
+        `<option value="${option.id}"${option.id === suggestion.assigned_to ? ' selected' : ''}>${escapeHtml(option.label)}</option>`
+    ).join('');
+}
+
+/**
+ * Renders the passage a student highlighted on a policy or bylaw page, next to
+ * the wording they proposed in its place.
+ * @param {Object} suggestion - Suggestion object from the API.
+ * @returns {string} HTML string for the passage, or '' if none was quoted.
+ */
+function renderSuggestionPassage(suggestion) {
+    if (!suggestion.quoted_text) return '';
+
+    return `
+        <div class="suggestion-passage">
+            <div class="suggestion-passage-part">
+                <h4>Current wording</h4>
+                <blockquote class="suggestion-passage-text current">${escapeHtml(suggestion.quoted_text)}</blockquote>
+            </div>
+            <div class="suggestion-passage-part">
+                <h4>Proposed wording</h4>
+                <blockquote class="suggestion-passage-text proposed">${escapeHtml(suggestion.proposed_text || '')}</blockquote>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders a suggestion's internal notes, oldest first. Students never see these.
+ * @param {Array<Object>} notes - internal_notes from the API.
+ * @returns {string} HTML string for the notes, or '' if there are none.
+ */
+function renderSuggestionNotes(notes) {
+    if (!notes || notes.length === 0) return '';
+
+    const items = notes.map(note => `
+        <div class="suggestion-note">
+            <div class="suggestion-note-meta">${escapeHtml(note.created_by_email || 'Staff')} · ${new Date(note.created_at).toLocaleString()}</div>
+            <p class="suggestion-note-text">${escapeHtml(note.note)}</p>
+        </div>
+    `).join('');
+
+    return `
+        <div class="suggestion-notes">
+            <h4>Internal notes</h4>
+            ${items}
+        </div>
+    `;
 }
 
-// Note: deleteSuggestion is exported from deleteSuggestion.js
+// Note: deleteSuggestion, updateSuggestionStatus, assignSuggestion and addSuggestionNote
+// are exported from their own files
@@ -0,0 +1,190 @@
+// ============================================
+// ASA Policy App - Trash
+// ============================================
+// Deleted policies, bylaws and suggestions wait here (GET /api/trash, admins only)
+// until an admin restores them, deletes them permanently, or the backend purges
+// them once its retention period has passed.
+
+const TRASH_TYPE_LABELS = {
+    policy: 'Policy',
+    bylaw: 'Bylaw',
+    suggestion: 'Suggestion'
+};
+const TRASH_TITLE_LENGTH = 100;
+
+let trashItems = []; // Everything in the trash, most recently deleted first
+let trashTab = 'all';
+let trashSearchTerm = '';
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('trashList')) return;
+
+    if (!requireSession()) return;
+
+    loadTrash();
+
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        searchInput.addEventListener('input', (e) => {
+            trashSearchTerm = e.target.value.toLowerCase();
+            renderTrash();
+        });
+    }
+});
+
+/**
+ * Loads the trash and shows the items on the current tab.
+ */
+async function loadTrash() {
+    const container = document.getElementById('trashList');
+    container.innerHTML = '<div class="empty-state"><div class="empty-state-text">Loading trash...</div></div>';
+
+    let trash;
+    try {
+        trash = await apiRequest('/api/trash');
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        const message = err.status === 403
+            ? 'Only admins can view the trash.'
+            : `Error loading the trash: ${escapeHtml(err.detail || err.message)}`;
+        container.innerHTML = `<div class="empty-state"><div class="empty-state-text">${message}</div></div>`;
+        return;
+    }
+
+    trashItems = trash.items;
+    const retention = document.getElementById('trashRetention');
+    if (retention) {
+        retention.textContent = `Deleted policies, bylaws and suggestions can be restored for ${trash.retention_days} days, after which they are permanently deleted`;
+    }
+    renderTrash();
+}
+
+/**
+ * Shows one type of trashed item, or all of them.
+ * @param {string} tab - 'all', 'policy', 'bylaw' or 'suggestion'.
+ */
+function switchTrashTab(tab) {
+    trashTab = tab;
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    renderTrash();
+}
+
+/**
+ * Renders the trashed items on the current tab that match the header search.
+ */
+function renderTrash() {
+    const container = document.getElementById('trashList');
+    const items = trashItems.filter(item => (trashTab === 'all' || item.item_type === trashTab)
+        && (!trashSearchTerm || [item.target_label, item.title, item.deleted_by_email]
+            .some(text => (text || '').toLowerCase().includes(trashSearchTerm))));
+
+    if (items.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🗑️</div>
+                <div class="empty-state-text">The trash is empty</div>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = items.map(item => {
+        const title = item.title.length > TRASH_TITLE_LENGTH
+            ? `${item.title.substring(0, TRASH_TITLE_LENGTH)}...`
+            : item.title;
+        return `
+            <tr>
+                <td>
+                    <div class="trash-item-label">${escapeHtml(item.target_label)}</div>
+                    <div class="trash-item-title">${escapeHtml(title)}</div>
+                </td>
+                <td>${TRASH_TYPE_LABELS[item.item_type] || item.item_type}</td>
+                <td>${escapeHtml(item.deleted_by_email || '')}</td>
+                <td>${new Date(item.deleted_at).toLocaleString()}</td>
+                <td>${new Date(item.purge_at).toLocaleDateString()}</td>
+                <td class="trash-actions">
+                    <button class="btn btn-secondary" onclick="restoreTrashItem('${item.item_type}', '${item.id}')">Restore</button>
+                    <button class="btn btn-danger" onclick="purgeTrashItem('${item.item_type}', '${item.id}')">Delete Permanently</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="members-table trash-table">
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Type</th>
+                    <th>Deleted By</th>
+                    <th>Deleted</th>
+                    <th>Purged On</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function findTrashItem(itemType, itemId) {
+    return trashItems.find(item => item.item_type === itemType && item.id === itemId);
+}
+
+/**
+ * Puts a trashed item back where it was deleted from.
+ * @param {string} itemType - 'policy', 'bylaw' or 'suggestion'.
+ * @param {string} itemId - The item's UUID.
+ */
+async function restoreTrashItem(itemType, itemId) {
+    const item = findTrashItem(itemType, itemId);
+    try {
+        await apiRequest(`/api/trash/${itemType}/${itemId}/restore`, { method: 'POST' });
+        alert(`${item ? item.target_label : TRASH_TYPE_LABELS[itemType]} has been restored.`);
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        console.error('Error restoring item:', err);
+        alert(`Failed to restore the ${itemType}.\n\nError: ${err.detail || err.message}`);
+    }
+    await loadTrash();
+}
+
+/**
+ * Permanently deletes a trashed item after confirmation.
+ * @param {string} itemType - 'policy', 'bylaw' or 'suggestion'.
+ * @param {string} itemId - The item's UUID.
+ */
+async function purgeTrashItem(itemType, itemId) {
+    const item = findTrashItem(itemType, itemId);
+    const confirmed = confirm(
+        `⚠️ WARNING: Permanently delete "${item ? item.target_label : itemType}"?\n\n` +
+        `This action cannot be undone.` +
+        (itemType === 'policy' ? ' Its version history and reviews are deleted too.' : '')
+    );
+    if (!confirmed) return;
+
+    try {
+        await apiRequest(`/api/trash/${itemType}/${itemId}`, { method: 'DELETE' });
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        console.error('Error purging item:', err);
+        alert(`Failed to delete the ${itemType}.\n\nError: ${err.detail || err.message}`);
+    }
+    await loadTrash();
+}
+
+// Export for global access
+window.switchTrashTab = switchTrashTab;
+window.restoreTrashItem = restoreTrashItem;
+window.purgeTrashItem = purgeTrashItem;
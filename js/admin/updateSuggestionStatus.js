@@ -0,0 +1,83 @@
+/**
+ * Moves a suggestion to a new status, which the student sees on My Suggestions.
+ * Declining asks for a reason to show the student; accepting asks which policy,
+ * if any, the suggestion was incorporated into; merging asks for the tracking
+ * reference of the suggestion this one duplicates.
+ * Both admin and policy_working_group can update suggestions.
+ *
+ * @param {string} suggestionId - The UUID of the suggestion.
+ * @param {string} status - 'pending', 'under_review', 'accepted', 'declined' or 'merged'.
+ * @param {Object} [options] - Defaults for the prompts.
+ * @param {string} [options.policyId] - Policy ID (TEXT like "1.1.1") to suggest when accepting.
+ * @param {Function} onSuccess - Optional callback function to call afterwards (e.g., reload suggestions).
+ *   It is also called when the change is cancelled, so a status dropdown can be reset.
+ */
+async function updateSuggestionStatus(suggestionId, status, options = {}, onSuccess = null) {
+    if (!requireSession()) return;
+
+    const body = { status: status };
+
+    if (status === 'declined') {
+        const reason = prompt('Why is this suggestion being declined? The student will see this reason.');
+        if (reason === null || !reason.trim()) {
+            if (reason !== null) {
+                alert('Please give a reason so the student knows why their suggestion was declined.');
+            }
+            if (onSuccess) onSuccess();
+            return;
+        }
+        body.status_reason = reason.trim();
+    }
+
+    if (status === 'accepted') {
+        const policyId = prompt(
+            'Which policy was this suggestion incorporated into? Enter its policy ID (e.g. 2.1.1), or leave blank.',
+            options.policyId || ''
+        );
+        if (policyId === null) {
+            if (onSuccess) onSuccess();
+            return;
+        }
+        body.incorporated_policy_id = policyId.trim() || null;
+    }
+
+    if (status === 'merged') {
+        const reference = prompt('Merge into which suggestion? Enter its tracking reference (e.g. SUG-3F9A2C).');
+        if (reference === null || !reference.trim()) {
+            if (onSuccess) onSuccess();
+            return;
+        }
+        body.merged_into = reference.trim();
+    }
+
+    try {
+        await apiRequest(`/api/suggestions/${encodeURIComponent(suggestionId)}/status`, {
+            method: "PUT",
+            body: JSON.stringify(body)
+        });
+    } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (err.status === 403) {
+            alert("You don't have permission to update suggestions.");
+        } else if (err.status === 404) {
+            alert(body.incorporated_policy_id || body.merged_into
+                ? `${err.detail || 'Not found'}. Check the ${body.merged_into ? 'reference' : 'policy ID'} and try again.`
+                : "Suggestion not found. It may have been deleted.");
+        } else if (err.status === 400) {
+            alert(err.detail || "Failed to update the suggestion.");
+        } else {
+            console.error("Error updating suggestion status:", err);
+            alert("Failed to update the suggestion. Please try again.\n\nError: " + (err.detail || err.message));
+        }
+    }
+
+    if (onSuccess) {
+        onSuccess();
+    }
+}
+
+// Export function for global access
+window.updateSuggestionStatus = updateSuggestionStatus;
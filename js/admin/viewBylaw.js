@@ -1,11 +1,6 @@
 // Load and display a single bylaw from the API
 document.addEventListener("DOMContentLoaded", () => {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to view bylaws.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Get bylaw ID from URL
     const urlParams = new URLSearchParams(window.location.search);
@@ -32,27 +27,21 @@ async function loadBylawView(bylawId) {
 
     try {
         // Fetch all bylaws and find the one with matching UUID
-        const response = await fetch(
-            "https://asa-policy-backend.onrender.com/api/bylaws",
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
+        let bylaws;
+        try {
+            bylaws = await apiRequest("/api/bylaws");
+        } catch (err) {
+            if (err.status === 401) {
+                handleSessionExpired();
+                return;
             }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401 || response.status === 403) {
+            if (err.status === 403) {
                 alert("You don't have permission to view bylaws. Please login with an admin or policy_working_group account.");
-                window.location.href = "admin/login.html";
+                redirectToLogin();
                 return;
             }
-            throw new Error(`Failed to load bylaw: ${response.status}`);
+            throw err;
         }
-
-        const bylaws = await response.json();
         console.log("All bylaws loaded:", bylaws);
 
         // Find the bylaw with matching UUID
@@ -95,10 +84,19 @@ function populateBylawView(bylaw) {
     // Set status
     const bylawStatus = document.getElementById('bylawStatus');
     if (bylawStatus) {
-        const status = bylaw.status || 'draft';
-        const statusClass = status === 'approved' ? 'approved' : 'pending';
-        const statusText = status.charAt(0).toUpperCase() + status.slice(1);
-        bylawStatus.innerHTML = `<span class="policy-status ${statusClass}">${statusText}</span>`;
+        bylawStatus.innerHTML = renderStatusBadge(bylaw.status);
+    }
+
+    // When it takes effect and any sunset date
+    const bylawSchedule = document.getElementById('bylawSchedule');
+    if (bylawSchedule) {
+        bylawSchedule.innerHTML = renderScheduleSummary(bylaw);
+    }
+
+    // Show why an admin sent it back, and any earlier comments
+    const reviewComments = document.getElementById('reviewComments');
+    if (reviewComments) {
+        reviewComments.innerHTML = renderReviewComments(bylaw.review_comments);
     }
 
     // Set content
@@ -123,6 +121,7 @@ function populateBylawView(bylaw) {
     const editBtn = document.getElementById('editBtn');
     if (editBtn) {
         editBtn.dataset.bylawId = bylaw.id;
+        editBtn.textContent = bylaw.status === 'changes_requested' ? 'Revise & Resubmit' : 'Edit Bylaw';
     }
 }
 
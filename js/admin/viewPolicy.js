@@ -1,11 +1,6 @@
 // Load and display a single policy from the API
 document.addEventListener("DOMContentLoaded", () => {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to view policies.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Get policy ID from URL
     const urlParams = new URLSearchParams(window.location.search);
@@ -52,27 +47,21 @@ async function loadPolicyView(policyId) {
 
     try {
         // Fetch all policies and find the one with matching UUID
-        const response = await fetch(
-            "https://asa-policy-backend.onrender.com/api/policies",
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
+        let policies;
+        try {
+            policies = await apiRequest("/api/policies");
+        } catch (err) {
+            if (err.status === 401) {
+                handleSessionExpired();
+                return;
             }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401 || response.status === 403) {
+            if (err.status === 403) {
                 alert("You don't have permission to view policies. Please login with an admin or policy_working_group account.");
-                window.location.href = "admin/login.html";
+                redirectToLogin();
                 return;
             }
-            throw new Error(`Failed to load policy: ${response.status}`);
+            throw err;
         }
-
-        const policies = await response.json();
         console.log("All policies loaded:", policies);
 
         // Find the policy with matching UUID
@@ -127,10 +116,19 @@ function populatePolicyView(policy) {
     // Set status
     const policyStatus = document.getElementById('policyStatus');
     if (policyStatus) {
-        const status = policy.status || 'draft';
-        const statusClass = status === 'approved' ? 'approved' : 'pending';
-        const statusText = status.charAt(0).toUpperCase() + status.slice(1);
-        policyStatus.innerHTML = `<span class="policy-status ${statusClass}">${statusText}</span>`;
+        policyStatus.innerHTML = renderStatusBadge(policy.status) + renderRevisionBadge(policy);
+    }
+
+    // When it takes effect and any sunset date
+    const policySchedule = document.getElementById('policySchedule');
+    if (policySchedule) {
+        policySchedule.innerHTML = renderScheduleSummary(policy);
+    }
+
+    // Show why an admin sent it back, and any earlier comments
+    const reviewComments = document.getElementById('reviewComments');
+    if (reviewComments) {
+        reviewComments.innerHTML = renderReviewComments(policy.review_comments);
     }
 
     // Set content
@@ -155,6 +153,7 @@ function populatePolicyView(policy) {
     const editBtn = document.getElementById('editBtn');
     if (editBtn) {
         editBtn.dataset.policyId = policy.id;
+        editBtn.textContent = getChangeRequest(policy) ? 'Revise & Resubmit' : 'Edit Policy';
         // Also store policy_id (TEXT) for reviews
         editBtn.dataset.policyIdText = policy.policy_id;
     }
@@ -201,41 +200,22 @@ async function loadPolicyReviews(policyIdText) {
 
     try {
         // Get current user info to check if they've already reviewed
-        const userResponse = await fetch(
-            "https://asa-policy-backend.onrender.com/api/auth/me",
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
         let userEmail = null;
-        if (userResponse.ok) {
-            const userData = await userResponse.json();
-            userEmail = userData.email;
+        try {
+            const userData = await getCurrentUser();
+            userEmail = userData?.email || null;
+        } catch (err) {
+            console.warn("Could not load current user:", err);
         }
 
         // Get all reviews for this policy
-        const reviewsResponse = await fetch(
-            `https://asa-policy-backend.onrender.com/api/policies/${encodeURIComponent(policyIdText)}/reviews`,
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
-        if (!reviewsResponse.ok) {
+        let reviewsData;
+        try {
+            reviewsData = await apiRequest(`/api/policies/${encodeURIComponent(policyIdText)}/reviews`);
+        } catch (err) {
             console.error("Failed to load reviews");
             return;
         }
-
-        const reviewsData = await reviewsResponse.json();
         
         // Check if current user has already reviewed
         if (userEmail) {
@@ -304,12 +284,7 @@ function showReviewMessage(message, type) {
 async function handleReviewSubmit(e) {
     e.preventDefault();
     
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to submit a review.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Get policy_id (TEXT) from the edit button where we stored it
     const editBtn = document.getElementById('editBtn');
@@ -328,47 +303,24 @@ async function handleReviewSubmit(e) {
     }
 
     try {
-        const response = await fetch(
-            `https://asa-policy-backend.onrender.com/api/policies/${encodeURIComponent(policyIdText)}/reviews`,
-            {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    review_status: reviewStatus.value
-                })
-            }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401) {
-                alert("Your session has expired. Please login again.");
-                window.location.href = "admin/login.html";
-                return;
-            }
-            
-            let errorMessage = "Failed to submit review.";
-            try {
-                const errorData = await response.json();
-                if (errorData.detail) {
-                    errorMessage = errorData.detail;
-                }
-            } catch (e) {
-                errorMessage = `Failed to submit review: ${response.status} ${response.statusText}`;
-            }
-            showReviewMessage(errorMessage, 'error');
-            return;
-        }
+        await apiRequest(`/api/policies/${encodeURIComponent(policyIdText)}/reviews`, {
+            method: "POST",
+            body: JSON.stringify({
+                review_status: reviewStatus.value
+            })
+        });
 
         showReviewMessage('Review submitted successfully!', 'success');
         
         // Reload reviews to update statistics
         await loadPolicyReviews(policyIdText);
     } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
         console.error("Error submitting review:", err);
-        showReviewMessage("Failed to submit review. Please try again.", 'error');
+        showReviewMessage(err.detail || "Failed to submit review. Please try again.", 'error');
     }
 }
 
@@ -376,33 +328,12 @@ async function handleReviewSubmit(e) {
  * Resets all reviews for all policies (admin only).
  */
 async function resetAllPolicyReviews() {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-        alert("Please login to reset reviews.");
-        window.location.href = "admin/login.html";
-        return;
-    }
+    if (!requireSession()) return;
 
     // Check if user is admin
     try {
-        const userResponse = await fetch(
-            "https://asa-policy-backend.onrender.com/api/auth/me",
-            {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
-        if (!userResponse.ok) {
-            alert("Failed to verify user permissions.");
-            return;
-        }
-
-        const userData = await userResponse.json();
-        if (userData.role !== "admin") {
+        await getCurrentUser();
+        if (!can("reviews.reset")) {
             alert("Only admins can reset all reviews.");
             return;
         }
@@ -417,42 +348,9 @@ async function resetAllPolicyReviews() {
     }
 
     try {
-        const response = await fetch(
-            `https://asa-policy-backend.onrender.com/api/policies/reviews/reset-all`,
-            {
-                method: "DELETE",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`
-                }
-            }
-        );
-
-        if (!response.ok) {
-            if (response.status === 401) {
-                alert("Your session has expired. Please login again.");
-                window.location.href = "admin/login.html";
-                return;
-            }
-            if (response.status === 403) {
-                alert("Only admins can reset all reviews.");
-                return;
-            }
-            
-            let errorMessage = "Failed to reset reviews.";
-            try {
-                const errorData = await response.json();
-                if (errorData.detail) {
-                    errorMessage = errorData.detail;
-                }
-            } catch (e) {
-                errorMessage = `Failed to reset reviews: ${response.status} ${response.statusText}`;
-            }
-            alert(errorMessage);
-            return;
-        }
-
-        const result = await response.json();
+        const result = await apiRequest("/api/policies/reviews/reset-all", {
+            method: "DELETE"
+        });
         alert(`All reviews reset successfully. ${result.deleted_count || 0} review(s) deleted across all policies.`);
         
         // Reload current policy reviews if we're on a policy view page
@@ -467,6 +365,14 @@ async function resetAllPolicyReviews() {
             if (reviewNeedsWork) reviewNeedsWork.checked = false;
         }
     } catch (err) {
+        if (err.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (err.status === 403) {
+            alert("Only admins can reset all reviews.");
+            return;
+        }
         console.error("Error resetting reviews:", err);
         alert("Failed to reset reviews. Please try again.\n\nError: " + err.message);
     }
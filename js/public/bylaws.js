@@ -2,75 +2,53 @@
 // ASA Policy App - Bylaws Page JavaScript
 // ============================================
 
-// API Configuration
-const API_BASE_URL = window.API_BASE_URL || 'https://asa-policy-backend.onrender.com';
-
 /**
- * Makes an API request with error handling
- * @param {string} endpoint - API endpoint (e.g., '/api/bylaws/approved')
- * @param {Object} options - Fetch options (method, body, headers, etc.)
- * @returns {Promise<Object>} The response data or throws an error
+ * Maps a bylaw from the API's field names to the frontend's.
+ * @param {Object} bylaw - The bylaw as returned by the API.
+ * @returns {Object} The mapped bylaw.
  */
-async function apiRequest(endpoint, options = {}) {
-    const url = `${API_BASE_URL}${endpoint}`;
-    const defaultOptions = {
-        headers: {
-            'Content-Type': 'application/json',
-        },
+function mapApiBylaw(bylaw) {
+    return {
+        id: bylaw.id, // UUID
+        bylawNumber: bylaw.bylaw_number,
+        number: bylaw.bylaw_number, // Keep both for compatibility
+        bylawTitle: bylaw.bylaw_title,
+        title: bylaw.bylaw_title, // Keep both for compatibility
+        bylawContent: bylaw.bylaw_content,
+        content: bylaw.bylaw_content, // Keep both for compatibility
+        status: bylaw.status,
+        effectiveDate: bylaw.effective_date || null,
+        sunsetDate: bylaw.sunset_date || null,
+        createdAt: bylaw.created_at,
+        updatedAt: bylaw.updated_at,
+        createdBy: bylaw.created_by,
+        updatedBy: bylaw.updated_by
     };
-    
-    const config = { ...defaultOptions, ...options };
-    
-    try {
-        const response = await fetch(url, config);
-        
-        if (!response.ok) {
-            if (response.status === 404) {
-                throw new Error('Resource not found');
-            } else if (response.status >= 500) {
-                throw new Error('Server error. Please try again later.');
-            } else {
-                const error = await response.json().catch(() => ({ detail: 'Request failed' }));
-                throw new Error(error.detail || 'Request failed');
-            }
-        }
-        
-        // Handle 204 No Content responses
-        if (response.status === 204) {
-            return null;
-        }
-        
-        return await response.json();
-    } catch (error) {
-        if (error instanceof TypeError && error.message === 'Failed to fetch') {
-            throw new Error('Network error. Please check your connection and try again.');
-        }
-        throw error;
-    }
 }
 
 /**
- * Retrieves all approved bylaws from the API.
+ * Maps approved bylaws from the API and drops any past their sunset date; a cached
+ * copy can be older than a sunset date the backend already applies.
+ * @param {Array<Object>} bylaws - Bylaws as returned by the API.
+ * @returns {Array<Object>} The mapped bylaws still in effect or upcoming.
+ */
+function mapApprovedBylaws(bylaws) {
+    return bylaws.map(mapApiBylaw)
+        .filter(bylaw => getScheduleState(bylaw.effectiveDate, bylaw.sunsetDate) !== 'expired');
+}
+
+/**
+ * Retrieves all approved bylaws from the API, leaving out any past their sunset date.
+ * A cached copy is returned straight away when there is one (see js/shared/apiCache.js).
+ * @param {Object} [options] - onUpdate: called with the new bylaws if the cached copy turns out to be stale.
  * @returns {Promise<Array<Object>>} An array of approved bylaw objects.
  */
-async function getApprovedBylaws() {
+async function getApprovedBylaws({ onUpdate } = {}) {
     try {
-        const bylaws = await apiRequest('/api/bylaws/approved');
-        // Map API field names to frontend field names
-        return bylaws.map(bylaw => ({
-            id: bylaw.id, // UUID
-            bylawNumber: bylaw.bylaw_number,
-            number: bylaw.bylaw_number, // Keep both for compatibility
-            bylawTitle: bylaw.bylaw_title,
-            title: bylaw.bylaw_title, // Keep both for compatibility
-            bylawContent: bylaw.bylaw_content,
-            content: bylaw.bylaw_content, // Keep both for compatibility
-            status: bylaw.status,
-            createdAt: bylaw.created_at,
-            updatedAt: bylaw.updated_at,
-            createdBy: bylaw.created_by,
-            updatedBy: bylaw.updated_by
-        }));
+        const bylaws = await cachedApiRequest('/api/bylaws/approved', {
+            onUpdate: onUpdate && (updated => onUpdate(mapApprovedBylaws(updated)))
+        });
+        return mapApprovedBylaws(bylaws);
     } catch (error) {
         console.error('Error fetching bylaws:', error);
         return [];
@@ -82,7 +60,8 @@ let bylawSearchTerm = "";
 
 /**
  * Renders all bylaw cards in the bylaws container.
- * Filters bylaws based on the current search term.
+ * With a search term, bylaws are ranked by relevance across title, number and
+ * content, and each card shows a highlighted snippet of the matching content.
  * @returns {Promise<void>}
  */
 async function renderBylaws() {
@@ -91,22 +70,24 @@ async function renderBylaws() {
     
     container.innerHTML = '';
     
-    // Get approved bylaws from API
-    const approvedBylaws = await getApprovedBylaws();
-    
-    const filteredBylaws = approvedBylaws.filter(bylaw => {
-        const title = (bylaw.title || bylaw.bylawTitle || '').toLowerCase();
-        const number = (bylaw.number || bylaw.bylawNumber || '').toString().toLowerCase();
-        const search = bylawSearchTerm.toLowerCase();
-        return title.includes(search) || number.includes(search);
-    });
+    // Get approved bylaws from API, rendering again if the cached copy was out of date
+    const approvedBylaws = await getApprovedBylaws({ onUpdate: () => renderBylaws() });
     
-    // Sort bylaws by number in ascending order
-    filteredBylaws.sort((a, b) => {
-        const numA = a.number || a.bylawNumber || 0;
-        const numB = b.number || b.bylawNumber || 0;
-        return numA - numB;
-    });
+    let filteredBylaws;
+    if (bylawSearchTerm.trim() === '') {
+        // Sort bylaws by number in ascending order
+        filteredBylaws = approvedBylaws.sort((a, b) => {
+            const numA = a.number || a.bylawNumber || 0;
+            const numB = b.number || b.bylawNumber || 0;
+            return numA - numB;
+        });
+    } else {
+        filteredBylaws = searchItems(approvedBylaws, bylawSearchTerm, bylaw => [
+            { text: bylaw.title || bylaw.bylawTitle, weight: 5 },
+            { text: bylaw.number || bylaw.bylawNumber, weight: 4 },
+            { text: stripHtml(bylaw.content || bylaw.bylawContent), weight: 1, snippet: true }
+        ]).map(result => ({ ...result.item, snippet: result.snippet }));
+    }
     
     if (filteredBylaws.length > 0) {
         const grid = document.createElement('div');
@@ -138,9 +119,11 @@ function createBylawCardElement(bylaw) {
     const number = bylaw.number || bylaw.bylawNumber || '';
     
     card.innerHTML = `
+        ${renderUpcomingBadge(bylaw.effectiveDate, bylaw.sunsetDate)}
         <div class="card-policy-name">${title}</div>
         <div class="card-section-name">Bylaw</div>
         <div class="card-policy-id">Bylaw #${number}</div>
+        ${bylaw.snippet ? `<div class="card-snippet">${bylaw.snippet}</div>` : ''}
     `;
     
     return card;
@@ -154,12 +137,17 @@ function createBylawCardElement(bylaw) {
  */
 function handleBylawCardClick(bylaw) {
     // Navigate to bylaw detail page with the bylaw's id as a query parameter
-    window.location.href = `/public/bylaw-detail.html?id=${bylaw.id}`;
+    let url = `/public/bylaw-detail.html?id=${bylaw.id}`;
+    // Carry the search over so the detail page can highlight and scroll to the match
+    if (bylawSearchTerm.trim() !== '') {
+        url += `&highlight=${encodeURIComponent(bylawSearchTerm.trim())}`;
+    }
+    window.location.href = url;
 }
 
 /**
  * Completed by Dominic del Rosario, 
- * Handles search input events for filtering bylaws.
+ * Handles search input events for searching bylaw titles, numbers and content.
  * @param {Event} e - The input event object.
  * @returns {Promise<void>}
  */
@@ -186,54 +174,62 @@ async function loadBylawDetail() {
     }
     
     try {
-        // API endpoint expects UUID
-        const bylaw = await apiRequest(`/api/bylaws/${bylawId}`);
-        
-        // Map API fields to frontend fields
-        const mappedBylaw = {
-            id: bylaw.id,
-            bylawNumber: bylaw.bylaw_number,
-            number: bylaw.bylaw_number,
-            bylawTitle: bylaw.bylaw_title,
-            title: bylaw.bylaw_title,
-            bylawContent: bylaw.bylaw_content,
-            content: bylaw.bylaw_content,
-            status: bylaw.status,
-            updatedAt: bylaw.updated_at
-        };
-        
-        // Update page content
-        const bylawNumber = document.querySelector('.policy-number');
-        const bylawTitle = document.querySelector('.policy-title');
-        const bylawContent = document.querySelector('.policy-content');
-        const bylawUpdated = document.querySelector('.policy-updated');
-        
-        if (bylawNumber) {
-            bylawNumber.textContent = `Bylaw #${mappedBylaw.number || ''}`;
-        }
-        
-        if (bylawTitle) {
-            bylawTitle.textContent = mappedBylaw.title || 'Untitled';
-        }
-        
-        if (bylawContent) {
-            const content = mappedBylaw.content || 'No content available.';
-            bylawContent.innerHTML = `<p>${content}</p>`;
-        }
-        
-        if (bylawUpdated && mappedBylaw.updatedAt) {
-            const date = new Date(mappedBylaw.updatedAt);
-            bylawUpdated.textContent = `Last Updated: ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
-        }
-        
-        // Update sidebar with other bylaws
-        await updateBylawSidebar(mappedBylaw);
+        // API endpoint expects UUID.
+        // A cached copy shows immediately; re-render if the backend has a newer one.
+        const bylaw = await cachedApiRequest(`/api/bylaws/${encodeURIComponent(bylawId)}`, {
+            onUpdate: updated => renderBylawDetail(mapApiBylaw(updated), { isUpdate: true })
+        });
+        await renderBylawDetail(mapApiBylaw(bylaw));
     } catch (error) {
         console.error('Error loading bylaw detail:', error);
         container.innerHTML = '<div class="no-results">Bylaw not found</div>';
     }
 }
 
+/**
+ * Fills the bylaw detail page with a bylaw and updates the sidebar.
+ * @param {Object} mappedBylaw - The mapped bylaw.
+ * @param {Object} [options] - isUpdate: true when replacing content already shown,
+ *   so search matches are re-highlighted without scrolling the reader away.
+ * @returns {Promise<void>}
+ */
+async function renderBylawDetail(mappedBylaw, { isUpdate = false } = {}) {
+    const urlParams = new URLSearchParams(window.location.search);
+    
+    // Update page content
+    const bylawNumber = document.querySelector('.policy-number');
+    const bylawTitle = document.querySelector('.policy-title');
+    const bylawContent = document.querySelector('.policy-content');
+    const bylawUpdated = document.querySelector('.policy-updated');
+    
+    if (bylawNumber) {
+        bylawNumber.textContent = `Bylaw #${mappedBylaw.number || ''}`;
+    }
+    
+    if (bylawTitle) {
+        bylawTitle.textContent = mappedBylaw.title || 'Untitled';
+    }
+    
+    if (bylawContent) {
+        const content = mappedBylaw.content || 'No content available.';
+        bylawContent.innerHTML = `<p>${content}</p>`;
+
+        const highlight = urlParams.get('highlight');
+        if (highlight) {
+            highlightSearchMatches(bylawContent, highlight, { scroll: !isUpdate });
+        }
+    }
+    
+    if (bylawUpdated && mappedBylaw.updatedAt) {
+        const date = new Date(mappedBylaw.updatedAt);
+        bylawUpdated.textContent = `Last Updated: ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+    renderDetailSchedule(mappedBylaw.effectiveDate, mappedBylaw.sunsetDate);
+    
+    // Update sidebar with other bylaws
+    await updateBylawSidebar(mappedBylaw);
+}
+
 /**
  * Updates the bylaw sidebar with links to other approved bylaws.
  * Excludes the current bylaw from the list.
@@ -293,6 +289,8 @@ function downloadPDFFromAssets(filename) {
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async function() {
+    await appConfigReady;
+
     const searchInput = document.getElementById('searchInput');
     const bylawsContainer = document.getElementById('bylawsContainer');
     const policyDetailContainer = document.querySelector('.policy-detail-container');
@@ -308,6 +306,9 @@ document.addEventListener('DOMContentLoaded', async function() {
         }
         await renderBylaws();
         
+        // Replace the offline copy once the connection is back (see js/shared/offline.js)
+        document.addEventListener('librarysynced', renderBylaws);
+        
         // Download PDF button handler
         const downloadBtn = document.querySelector('.download-pdf-btn');
         if (downloadBtn) {
@@ -322,6 +323,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         
         if (id && isBylawDetailPage) {
             await loadBylawDetail();
+            document.addEventListener('librarysynced', loadBylawDetail);
         }
     }
 });
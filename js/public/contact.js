@@ -0,0 +1,53 @@
+// Fill the contact page from config.json so each deployment can show its own details.
+// The static HTML stays in place as a fallback if the config cannot be loaded.
+document.addEventListener('DOMContentLoaded', async () => {
+    await appConfigReady;
+    renderContactDetails(getAppConfig().contact);
+});
+
+/**
+ * Populates the contact sections with the configured contact details.
+ * @param {Object} contact - The "contact" block from config.json.
+ */
+function renderContactDetails(contact) {
+    if (!contact) return;
+
+    const websiteLink = document.getElementById('contactWebsite');
+    if (websiteLink && contact.website) {
+        websiteLink.href = contact.website;
+        websiteLink.textContent = contact.websiteLabel || contact.website;
+    }
+
+    const emailLink = document.getElementById('contactEmail');
+    if (emailLink && contact.email) {
+        emailLink.href = `mailto:${contact.email}`;
+        emailLink.textContent = contact.email;
+    }
+
+    const phoneLink = document.getElementById('contactPhone');
+    if (phoneLink && contact.phone) {
+        phoneLink.href = `tel:${contact.phone}`;
+        phoneLink.textContent = contact.phoneLabel || contact.phone;
+    }
+
+    renderContactLines('contactLocation', contact.location);
+    renderContactLines('contactOfficeHours', contact.officeHours);
+}
+
+/**
+ * Replaces a container's contents with one paragraph per line.
+ * @param {string} containerId - The ID of the container element.
+ * @param {string[]} lines - The lines of text to display.
+ */
+function renderContactLines(containerId, lines) {
+    const container = document.getElementById(containerId);
+    if (!container || !Array.isArray(lines) || lines.length === 0) return;
+
+    container.innerHTML = '';
+    lines.forEach(line => {
+        const p = document.createElement('p');
+        p.className = 'contact-text';
+        p.textContent = line;
+        container.appendChild(p);
+    });
+}
@@ -2,53 +2,6 @@
 // ASA Policy App - Policies Page JavaScript
 // ============================================
 
-// API Configuration
-const API_BASE_URL = window.API_BASE_URL || 'https://asa-policy-backend.onrender.com';
-
-/**
- * Makes an API request with error handling
- * @param {string} endpoint - API endpoint (e.g., '/api/policies/approved')
- * @param {Object} options - Fetch options (method, body, headers, etc.)
- * @returns {Promise<Object>} The response data or throws an error
- */
-async function apiRequest(endpoint, options = {}) {
-    const url = `${API_BASE_URL}${endpoint}`;
-    const defaultOptions = {
-        headers: {
-            'Content-Type': 'application/json',
-        },
-    };
-    
-    const config = { ...defaultOptions, ...options };
-    
-    try {
-        const response = await fetch(url, config);
-        
-        if (!response.ok) {
-            if (response.status === 404) {
-                throw new Error('Resource not found');
-            } else if (response.status >= 500) {
-                throw new Error('Server error. Please try again later.');
-            } else {
-                const error = await response.json().catch(() => ({ detail: 'Request failed' }));
-                throw new Error(error.detail || 'Request failed');
-            }
-        }
-        
-        // Handle 204 No Content responses
-        if (response.status === 204) {
-            return null;
-        }
-        
-        return await response.json();
-    } catch (error) {
-        if (error instanceof TypeError && error.message === 'Failed to fetch') {
-            throw new Error('Network error. Please check your connection and try again.');
-        }
-        throw error;
-    }
-}
-
 /** 
  * Gets the human-readable section name from a section number.
  * @param {string|number} section - The section number (1, 2, or 3).
@@ -63,44 +16,57 @@ function getSectionName(section) {
     return sectionNames[section] || `Section ${section}`;
 }
 
+/**
+ * Gets the section number for a full section name, the reverse of getSectionName.
+ * @param {string} sectionName - The full section name stored on the policy.
+ * @returns {string|null} The section number ('1', '2' or '3'), or null if unknown.
+ */
+function getSectionKey(sectionName) {
+    return ['1', '2', '3'].find(key => getSectionName(key) === sectionName) || null;
+}
+
+/**
+ * Compares two policy IDs like "1.1.1", "1.1.2", "2.3.1" by their numeric parts.
+ * @param {string} policyIdA - The first policy ID.
+ * @param {string} policyIdB - The second policy ID.
+ * @returns {number} Negative, zero or positive, as for Array.prototype.sort.
+ */
+function comparePolicyIds(policyIdA = '', policyIdB = '') {
+    // Split policy IDs by dots and convert to numbers for comparison
+    const partsA = policyIdA.split('.').map(part => {
+        const num = parseInt(part, 10);
+        return isNaN(num) ? 0 : num;
+    });
+    const partsB = policyIdB.split('.').map(part => {
+        const num = parseInt(part, 10);
+        return isNaN(num) ? 0 : num;
+    });
+    
+    // Compare each part numerically
+    const maxLength = Math.max(partsA.length, partsB.length);
+    for (let i = 0; i < maxLength; i++) {
+        const partA = partsA[i] || 0;
+        const partB = partsB[i] || 0;
+        
+        if (partA < partB) return -1;
+        if (partA > partB) return 1;
+    }
+    
+    // If all parts are equal, compare as strings as fallback
+    return policyIdA.localeCompare(policyIdB);
+}
+
 /**
  * Sorts policy items by policy number in ascending order.
- * Handles policy IDs like "1.1.1", "1.1.2", "2.3.1" by comparing numeric parts.
  * @param {Array<Object>} items - Array of policy items with policyId property.
  * @returns {Array<Object>} Sorted array of policy items.
  */
 function sortItemsByPolicyNumber(items) {
-    return items.sort((a, b) => {
-        const policyIdA = a.policyId || '';
-        const policyIdB = b.policyId || '';
-        
-        // Split policy IDs by dots and convert to numbers for comparison
-        const partsA = policyIdA.split('.').map(part => {
-            const num = parseInt(part, 10);
-            return isNaN(num) ? 0 : num;
-        });
-        const partsB = policyIdB.split('.').map(part => {
-            const num = parseInt(part, 10);
-            return isNaN(num) ? 0 : num;
-        });
-        
-        // Compare each part numerically
-        const maxLength = Math.max(partsA.length, partsB.length);
-        for (let i = 0; i < maxLength; i++) {
-            const partA = partsA[i] || 0;
-            const partB = partsB[i] || 0;
-            
-            if (partA < partB) return -1;
-            if (partA > partB) return 1;
-        }
-        
-        // If all parts are equal, compare as strings as fallback
-        return policyIdA.localeCompare(policyIdB);
-    });
+    return items.sort((a, b) => comparePolicyIds(a.policyId, b.policyId));
 }
 
 /**
- * Retrieves all approved policies from the API.
+ * Retrieves all approved policies from the API, leaving out any past their sunset date.
  * @param {string|null} sectionName - Optional section filter (full section name like "Organizational Identity & Values"). If provided, only returns policies from that section.
  * @returns {Promise<Array<Object>>} An array of approved policy objects.
  */
@@ -112,25 +78,12 @@ async function getApprovedPolicies(sectionName = null) {
             endpoint += `?section=${encodeURIComponent(sectionName)}`;
         }
         
-        const policies = await apiRequest(endpoint);
-        console.log('Approved policies:', policies);
-        // Map API field names to frontend field names
-        const mappedPolicies = policies.map(policy => ({
-            id: policy.id, // Keep UUID for internal use
-            policyId: policy.policy_id, // TEXT identifier like "1.1.1"
-            name: policy.policy_name,
-            policyName: policy.policy_name, // Keep both for compatibility
-            section: policy.section,
-            content: policy.policy_content,
-            policyContent: policy.policy_content, // Keep both for compatibility
-            status: policy.status,
-            createdAt: policy.created_at,
-            updatedAt: policy.updated_at,
-            createdBy: policy.created_by,
-            updatedBy: policy.updated_by
-        }));    
-        console.log('Mapped policies:', mappedPolicies);
-        return mappedPolicies;
+        // Cached: live updates and the detail page keep the listings current
+        const policies = await cachedApiRequest(endpoint);
+        // Map API field names to frontend field names. A cached copy can be older than
+        // a sunset date the backend already applies, so expired policies are dropped here too.
+        return policies.map(mapApiPolicy)
+            .filter(policy => getScheduleState(policy.effectiveDate, policy.sunsetDate) !== 'expired');
     } catch (error) {
         console.error('Error fetching policies:', error);
         return [];
@@ -140,8 +93,63 @@ async function getApprovedPolicies(sectionName = null) {
 // State
 let openSections = [1, 2, 3]; // Start with all sections open
 let searchTerm = "";
-let currentPolicyIds = new Set(); // Track current policy IDs to detect new ones
+let currentPolicies = new Map(); // policyId -> updatedAt for every approved policy loaded, to detect changes
 let pollingInterval = null; // Store polling interval ID
+let pollingIntervalMs = 0; // Interval to resume polling at when the page is shown again (0 when stopped)
+let policyEventSource = null; // Open EventSource for policy change events
+let pendingPolicyChanges = null; // Change counts waiting to be shown in one notice
+let policyNoticeTimer = null;
+let policyHistoryVersions = []; // Approved versions of the policy on the detail page, newest first
+
+const POLICY_EVENTS_ENDPOINT = '/api/policies/events';
+// Server-sent event names and the kind of change each one announces
+const POLICY_EVENT_TYPES = {
+    'policy.approved': 'added',
+    'policy.updated': 'updated',
+    'policy.removed': 'removed'
+};
+const POLICY_NOTICE_DELAY_MS = 500; // Changes arriving this close together share a notice
+
+/**
+ * Applies the current search term to a section's policies.
+ * With no search term the policies are sorted by policy number; otherwise they are
+ * ranked by relevance across name, policy ID, section and content, and each result
+ * carries a highlighted snippet of the matching content.
+ * @param {Array<Object>} items - Policy items for one section.
+ * @returns {Array<Object>} The items to display, in display order.
+ */
+function filterSectionItems(items) {
+    if (searchTerm.trim() === '') {
+        return sortItemsByPolicyNumber(items);
+    }
+
+    return searchItems(items, searchTerm, item => [
+        { text: item.name, weight: 5 },
+        { text: item.policyId, weight: 4 },
+        { text: item.sectionName, weight: 1 },
+        { text: stripHtml(item.content), weight: 1, snippet: true }
+    ]).map(result => ({ ...result.item, snippet: result.snippet }));
+}
+
+/**
+ * Builds the card item for a policy in a section.
+ * @param {Object} policy - The mapped policy.
+ * @param {string} sectionKey - The section number ('1', '2' or '3').
+ * @returns {Object} The item used by createCardElement.
+ */
+function createSectionItem(policy, sectionKey) {
+    return {
+        id: policy.id,
+        policyId: policy.policyId || policy.id,
+        name: policy.name || policy.policyName || 'Untitled',
+        section: sectionKey,
+        sectionName: getSectionName(sectionKey),
+        content: policy.content,
+        effectiveDate: policy.effectiveDate,
+        sunsetDate: policy.sunsetDate,
+        updatedAt: policy.updatedAt
+    };
+}
 
 /**
  * Renders all policy sections with their cards in the sections container.
@@ -157,7 +165,6 @@ async function renderSections() {
     }
     
     container.innerHTML = '';
-    console.log('Starting renderSections...');
 
     // Define sections to render
     const sections = [
@@ -168,41 +175,22 @@ async function renderSections() {
 
     let sectionsWithItems = [];
     let useFallback = false;
+    const loadedPolicies = new Map(); // Every policy fetched, before the search filter
 
     try {
         // Try fetching policies for each section in parallel
         const sectionPromises = sections.map(async (section) => {
             try {
-                console.log(`Fetching policies for section: ${section.title}...`);
                 // Fetch policies for this specific section from API using full section name
                 const policies = await getApprovedPolicies(section.title);
-                console.log(`Section ${section.title} policies:`, policies);
                 
                 // Map policies to items format
-                const items = policies.map(policy => ({
-                    id: policy.id,
-                    policyId: policy.policyId || policy.id,
-                    name: policy.name || policy.policyName || 'Untitled',
-                    section: section.sectionKey,
-                    sectionName: section.title
-                }));
-
-                // Apply client-side search filter if search term exists
-                let filteredItems = items;
-                if (searchTerm !== '') {
-                    filteredItems = items.filter(item => 
-                        (item.name || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-                        (item.policyId || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-                        (item.sectionName || '').toLowerCase().includes(searchTerm.toLowerCase())
-                    );
-                }
-
-                // Sort items by policy number in ascending order
-                filteredItems = sortItemsByPolicyNumber(filteredItems);
+                const items = policies.map(policy => createSectionItem(policy, section.sectionKey));
+                items.forEach(item => loadedPolicies.set(item.policyId, item.updatedAt));
 
                 return {
                     ...section,
-                    items: filteredItems
+                    items: filterSectionItems(items)
                 };
             } catch (error) {
                 console.error(`Error fetching section ${section.title}:`, error);
@@ -216,7 +204,6 @@ async function renderSections() {
 
         // Wait for all sections to be fetched
         sectionsWithItems = await Promise.all(sectionPromises);
-        console.log('All sections fetched:', sectionsWithItems);
     } catch (error) {
         console.error('Error in section-based fetch, falling back to fetch all:', error);
         useFallback = true;
@@ -224,10 +211,8 @@ async function renderSections() {
 
     // Fallback: If section-based fetching had errors, try fetching all policies
     if (useFallback) {
-        console.log('Using fallback: fetching all policies...');
         try {
             const allPolicies = await getApprovedPolicies();
-            console.log('All policies fetched:', allPolicies);
             
             // Group policies by section
             const sectionsMap = {};
@@ -239,36 +224,18 @@ async function renderSections() {
             });
 
             allPolicies.forEach(policy => {
-                const section = policy.section || '1';
-                if (sectionsMap[section]) {
-                    sectionsMap[section].items.push({
-                        id: policy.id,
-                        policyId: policy.policyId || policy.id,
-                        name: policy.name || policy.policyName || 'Untitled',
-                        section: section,
-                        sectionName: getSectionName(section)
-                    });
-                }
+                // Policies store the full section name
+                const section = getSectionKey(policy.section) || '1';
+                const item = createSectionItem(policy, section);
+                sectionsMap[section].items.push(item);
+                loadedPolicies.set(item.policyId, item.updatedAt);
             });
 
             // Apply search filter and sort
-            sectionsWithItems = Object.values(sectionsMap).map(section => {
-                let filteredItems = section.items;
-                if (searchTerm !== '') {
-                    filteredItems = section.items.filter(item => 
-                        (item.name || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-                        (item.policyId || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-                        (item.sectionName || '').toLowerCase().includes(searchTerm.toLowerCase())
-                    );
-                }
-                // Sort items by policy number in ascending order
-                filteredItems = sortItemsByPolicyNumber(filteredItems);
-                
-                return {
-                    ...section,
-                    items: filteredItems
-                };
-            });
+            sectionsWithItems = Object.values(sectionsMap).map(section => ({
+                ...section,
+                items: filterSectionItems(section.items)
+            }));
         } catch (error) {
             console.error('Error in fallback fetch:', error);
         }
@@ -278,7 +245,6 @@ async function renderSections() {
     sectionsWithItems.forEach(section => {
         // Show section if it has items, or if search is empty (to show empty sections)
         const shouldShow = section.items.length > 0 || searchTerm === '';
-        console.log(`Section ${section.title}: ${section.items.length} items, shouldShow: ${shouldShow}`);
         
         if (shouldShow) {
             const sectionEl = createSectionElement(section, section.items);
@@ -288,18 +254,10 @@ async function renderSections() {
 
     if (container.children.length === 0) {
         container.innerHTML = '<div class="no-results">No results found</div>';
-        console.log('No sections rendered - showing no results message');
-    } else {
-        console.log(`Rendered ${container.children.length} sections`);
     }
     
-    // Update current policy IDs for change detection
-    currentPolicyIds.clear();
-    sectionsWithItems.forEach(section => {
-        section.items.forEach(item => {
-            currentPolicyIds.add(item.policyId || item.id);
-        });
-    });
+    // Remember every loaded policy (not just search matches) for change detection
+    currentPolicies = loadedPolicies;
 }
 
 /**
@@ -356,13 +314,16 @@ function createSectionElement(section, items) {
 function createCardElement(item) {
     const card = document.createElement('div');
     card.className = 'card';
+    card.dataset.policyId = item.policyId;
     card.onclick = () => handleCardClick(item);
     
     // Display: Policy name (bold, top), Section name, Policy ID
     card.innerHTML = `
+        ${renderUpcomingBadge(item.effectiveDate, item.sunsetDate)}
         <div class="card-policy-name">${item.name || 'Untitled'}</div>
         <div class="card-section-name">${item.sectionName}</div>
         <div class="card-policy-id">${item.policyId}</div>
+        ${item.snippet ? `<div class="card-snippet">${item.snippet}</div>` : ''}
     `;
     
     return card;
@@ -418,12 +379,17 @@ function toggleSection(sectionId) {
 function handleCardClick(item) {
     // Navigate to policy detail page with the policy_id (TEXT) as a query parameter
     // The API endpoint /api/policies/{policy_id} expects TEXT like "1.1.1"
-    window.location.href = `/public/policy-detail.html?id=${item.policyId || item.id}`;
+    let url = `/public/policy-detail.html?id=${item.policyId || item.id}`;
+    // Carry the search over so the detail page can highlight and scroll to the match
+    if (searchTerm.trim() !== '') {
+        url += `&highlight=${encodeURIComponent(searchTerm.trim())}`;
+    }
+    window.location.href = url;
 }
 
 /**
  * Completed by Dominic del Rosario, 
- * Handles search input events for filtering policies.
+ * Handles search input events for searching policy names, IDs and content.
  * Opens all sections when a search term is entered.
  * @param {Event} e - The input event object.
  * @returns {Promise<void>}
@@ -457,54 +423,66 @@ async function loadPolicyDetail() {
     }
     
     try {
-        // API endpoint expects policy_id (TEXT like "1.1.1"), not UUID
-        const policy = await apiRequest(`/api/policies/${policyId}`);
-        
-        // Map API fields to frontend fields
-        const mappedPolicy = {
-            id: policy.id,
-            policyId: policy.policy_id,
-            name: policy.policy_name,
-            policyName: policy.policy_name,
-            section: policy.section,
-            content: policy.policy_content,
-            policyContent: policy.policy_content,
-            status: policy.status,
-            updatedAt: policy.updated_at
-        };
-        
-        // Update page content
-        const policyNumber = document.querySelector('.policy-number');
-        const policyTitle = document.querySelector('.policy-title');
-        const policyContent = document.querySelector('.policy-content');
-        const policyUpdated = document.querySelector('.policy-updated');
-        
-        if (policyNumber) {
-            policyNumber.textContent = `Policy # ${mappedPolicy.policyId}`;
-        }
-        
-        if (policyTitle) {
-            policyTitle.textContent = mappedPolicy.name || 'Untitled';
-        }
-        
-        if (policyContent) {
-            const content = mappedPolicy.content || 'No content available.';
-            policyContent.innerHTML = `<p>${content}</p>`;
-        }
-        
-        if (policyUpdated && mappedPolicy.updatedAt) {
-            const date = new Date(mappedPolicy.updatedAt);
-            policyUpdated.textContent = `Last Updated: ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
-        }
-        
-        // Update sidebar with other policies
-        await updatePolicySidebar(mappedPolicy);
+        // API endpoint expects policy_id (TEXT like "1.1.1"), not UUID.
+        // A cached copy shows immediately; re-render if the backend has a newer one.
+        const endpoint = `/api/policies/${encodeURIComponent(policyId)}`;
+        const policy = await cachedApiRequest(endpoint, {
+            onUpdate: updated => renderPolicyDetail(mapApiPolicy(updated), { isUpdate: true })
+        });
+        await renderPolicyDetail(mapApiPolicy(policy));
     } catch (error) {
         console.error('Error loading policy detail:', error);
         container.innerHTML = '<div class="no-results">Policy not found</div>';
     }
 }
 
+/**
+ * Fills the policy detail page with a policy and updates the sidebar.
+ * @param {Object} mappedPolicy - The mapped policy.
+ * @param {Object} [options] - isUpdate: true when replacing content already shown,
+ *   so search matches are re-highlighted without scrolling the reader away.
+ * @returns {Promise<void>}
+ */
+async function renderPolicyDetail(mappedPolicy, { isUpdate = false } = {}) {
+    const urlParams = new URLSearchParams(window.location.search);
+    
+    // Update page content
+    const policyNumber = document.querySelector('.policy-number');
+    const policyTitle = document.querySelector('.policy-title');
+    const policyContent = document.querySelector('.policy-content');
+    const policyUpdated = document.querySelector('.policy-updated');
+    
+    if (policyNumber) {
+        policyNumber.textContent = `Policy # ${mappedPolicy.policyId}`;
+    }
+    
+    if (policyTitle) {
+        policyTitle.textContent = mappedPolicy.name || 'Untitled';
+    }
+    
+    if (policyContent) {
+        const content = mappedPolicy.content || 'No content available.';
+        policyContent.innerHTML = `<p>${content}</p>`;
+
+        const highlight = urlParams.get('highlight');
+        if (highlight) {
+            highlightSearchMatches(policyContent, highlight, { scroll: !isUpdate });
+        }
+    }
+    
+    if (policyUpdated && mappedPolicy.updatedAt) {
+        const date = new Date(mappedPolicy.updatedAt);
+        policyUpdated.textContent = `Last Updated: ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+    renderDetailSchedule(mappedPolicy.effectiveDate, mappedPolicy.sunsetDate);
+    
+    // The History panel changes whenever the policy does
+    await loadPolicyHistory(mappedPolicy.policyId, { isUpdate });
+
+    // Update sidebar with other policies
+    await updatePolicySidebar(mappedPolicy);
+}
+
 /**
  * Updates the policy sidebar with links to other approved policies.
  * Groups policies by section and excludes the current policy.
@@ -554,8 +532,286 @@ async function updatePolicySidebar(currentPolicy) {
 }
 
 /**
- * Checks for newly approved policies and updates the page if found.
- * Preserves the current open/closed state of sections.
+ * Formats a date the way the policy pages show it (e.g. "Jan 14, 2025").
+ * @param {string} value - An ISO date string.
+ * @returns {string} The formatted date.
+ */
+function formatPolicyDate(value) {
+    return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Maps a policy version from the API's field names to the frontend's.
+ * @param {Object} version - The version as returned by the API.
+ * @returns {Object} The mapped version.
+ */
+function mapApiPolicyVersion(version) {
+    return {
+        id: version.id,
+        policyId: version.policy_id,
+        version: version.version,
+        name: version.policy_name,
+        section: version.section,
+        content: version.policy_content,
+        approvedAt: version.approved_at
+    };
+}
+
+/**
+ * Loads the approved versions of a policy into the History panel.
+ * The panel stays hidden if the history can't be loaded (e.g. offline).
+ * @param {string} policyId - The policy_id (TEXT like "1.1.1").
+ * @param {Object} [options] - isUpdate: true when the policy has just changed, so a
+ *   cached history is out of date.
+ * @returns {Promise<void>}
+ */
+async function loadPolicyHistory(policyId, { isUpdate = false } = {}) {
+    const panel = document.getElementById('policyHistory');
+    if (!panel) return;
+
+    const endpoint = `/api/policies/${encodeURIComponent(policyId)}/versions`;
+    if (isUpdate) {
+        invalidateApiCache(endpoint);
+    }
+
+    try {
+        const versions = await cachedApiRequest(endpoint, { onUpdate: renderPolicyHistory });
+        renderPolicyHistory(versions);
+    } catch (error) {
+        console.error('Error loading policy history:', error);
+        panel.hidden = true;
+    }
+}
+
+/**
+ * Lists the versions of the current policy and shows the changes between two of them.
+ * Keeps the versions being compared if they still exist; otherwise compares the
+ * current version with the one before it.
+ * @param {Array<Object>} versions - The versions as returned by the API.
+ * @returns {void}
+ */
+function renderPolicyHistory(versions) {
+    const panel = document.getElementById('policyHistory');
+    const list = document.getElementById('policyHistoryList');
+    const compare = document.getElementById('policyHistoryCompare');
+    const fromSelect = document.getElementById('historyFrom');
+    const toSelect = document.getElementById('historyTo');
+    const diffContainer = document.getElementById('policyDiff');
+    if (!panel || !list) return;
+
+    policyHistoryVersions = versions.map(mapApiPolicyVersion).sort((a, b) => b.version - a.version);
+    if (policyHistoryVersions.length === 0) {
+        panel.hidden = true;
+        return;
+    }
+    panel.hidden = false;
+
+    list.innerHTML = '';
+    policyHistoryVersions.forEach((version, index) => {
+        const item = document.createElement('li');
+        item.className = 'policy-history-item';
+
+        const label = document.createElement('span');
+        label.textContent = `Version ${version.version} — ${formatPolicyDate(version.approvedAt)}${index === 0 ? ' (current)' : ''}`;
+        item.appendChild(label);
+
+        const previous = policyHistoryVersions[index + 1];
+        if (previous) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'policy-history-btn';
+            button.textContent = 'Show changes';
+            button.addEventListener('click', () => {
+                showPolicyDiff(previous.version, version.version);
+                diffContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+            item.appendChild(button);
+        }
+
+        list.appendChild(item);
+    });
+
+    if (policyHistoryVersions.length < 2) {
+        compare.hidden = true;
+        diffContainer.innerHTML = '';
+        return;
+    }
+    compare.hidden = false;
+
+    const hasVersion = value => policyHistoryVersions.some(v => String(v.version) === value);
+    const previousFrom = fromSelect.value;
+    const previousTo = toSelect.value;
+    const options = policyHistoryVersions
+        .map(v => `<option value="${v.version}">Version ${v.version} (${formatPolicyDate(v.approvedAt)})</option>`)
+        .join('');
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+
+    if (hasVersion(previousFrom) && hasVersion(previousTo)) {
+        showPolicyDiff(Number(previousFrom), Number(previousTo));
+    } else {
+        showPolicyDiff(policyHistoryVersions[1].version, policyHistoryVersions[0].version);
+    }
+}
+
+/**
+ * Shows two versions of the current policy side by side, with removed words marked
+ * in the earlier one and added words in the later one.
+ * @param {number} fromVersion - The version shown on the left.
+ * @param {number} toVersion - The version shown on the right.
+ * @returns {void}
+ */
+function showPolicyDiff(fromVersion, toVersion) {
+    const diffContainer = document.getElementById('policyDiff');
+    const fromSelect = document.getElementById('historyFrom');
+    const toSelect = document.getElementById('historyTo');
+    if (!diffContainer) return;
+
+    fromSelect.value = String(fromVersion);
+    toSelect.value = String(toVersion);
+
+    const from = policyHistoryVersions.find(v => v.version === fromVersion);
+    const to = policyHistoryVersions.find(v => v.version === toVersion);
+    if (!from || !to || from === to) {
+        diffContainer.innerHTML = '<div class="no-results">Choose two different versions to compare</div>';
+        return;
+    }
+
+    // The name and section are compared along with the content
+    const versionHtml = version => `<h3 class="policy-diff-name">${escapeHtml(version.name || 'Untitled')}</h3>`
+        + `<p class="policy-diff-section">${escapeHtml(version.section || '')}</p>`
+        + (version.content || '');
+    const diff = diffHtml(versionHtml(from), versionHtml(to));
+    const column = (version, html) => `
+        <div class="policy-diff-column">
+            <div class="policy-diff-heading">Version ${version.version} · ${formatPolicyDate(version.approvedAt)}</div>
+            <div class="policy-diff-content">${html}</div>
+        </div>`;
+
+    diffContainer.innerHTML = `
+        ${diff.changed ? '' : '<p class="policy-diff-unchanged">These versions have the same text.</p>'}
+        <div class="policy-diff-columns">
+            ${column(from, diff.oldHtml)}
+            ${column(to, diff.newHtml)}
+        </div>`;
+}
+
+/**
+ * Compares the versions picked in the History panel's selects.
+ * @returns {void}
+ */
+function handleHistoryCompareChange() {
+    const fromSelect = document.getElementById('historyFrom');
+    const toSelect = document.getElementById('historyTo');
+    showPolicyDiff(Number(fromSelect.value), Number(toSelect.value));
+}
+
+/**
+ * Records a change to an approved policy and updates its card on the page.
+ * Changes the page already reflects (e.g. seen by both an event and a poll) are ignored.
+ * @param {string} type - 'added', 'updated' or 'removed'.
+ * @param {Object} policy - The mapped policy; only policyId is needed for removals.
+ * @returns {void}
+ */
+function applyPolicyChange(type, policy) {
+    const policyId = policy.policyId;
+    if (!policyId) return;
+
+    // The cached listings and detail pages no longer match the backend
+    invalidateApiCache('/api/policies');
+
+    // A policy edited to a sunset date in the past leaves the listings
+    if (type !== 'removed' && getScheduleState(policy.effectiveDate, policy.sunsetDate) === 'expired') {
+        type = 'removed';
+    }
+
+    const known = currentPolicies.has(policyId);
+    if (type === 'removed') {
+        if (!known) return;
+        currentPolicies.delete(policyId);
+    } else {
+        if (known && currentPolicies.get(policyId) === policy.updatedAt) return;
+        type = known ? 'updated' : 'added';
+        currentPolicies.set(policyId, policy.updatedAt);
+    }
+
+    // Search results are re-ranked as a whole once the notice is shown
+    if (searchTerm.trim() === '') {
+        patchPolicyCard(type, policy);
+    }
+    queuePolicyNotice(type);
+}
+
+/**
+ * Adds, replaces or removes a single policy card without re-rendering the sections.
+ * @param {string} type - 'added', 'updated' or 'removed'.
+ * @param {Object} policy - The mapped policy.
+ * @returns {void}
+ */
+function patchPolicyCard(type, policy) {
+    const container = document.getElementById('sectionsContainer');
+    if (!container) return;
+
+    // The policy may have moved section, so always take the old card out first
+    const existing = container.querySelector(`.card[data-policy-id="${CSS.escape(policy.policyId)}"]`);
+    if (existing) {
+        const grid = existing.parentElement;
+        existing.remove();
+        if (grid.children.length === 0) {
+            grid.parentElement.innerHTML = '<div class="no-results">No items in this section</div>';
+        }
+    }
+    if (type === 'removed') return;
+
+    const sectionKey = getSectionKey(policy.section);
+    const sectionEl = sectionKey && container.querySelector(`[data-section-id="${sectionKey}"]`);
+    if (!sectionEl) {
+        renderSections();
+        return;
+    }
+
+    const content = sectionEl.querySelector('.section-content');
+    let grid = content.querySelector('.cards-grid');
+    if (!grid) {
+        content.innerHTML = '';
+        grid = document.createElement('div');
+        grid.className = 'cards-grid';
+        content.appendChild(grid);
+    }
+
+    // Keep the cards in policy number order
+    const item = createSectionItem(policy, sectionKey);
+    const card = createCardElement(item);
+    card.classList.add('card-changed');
+    const nextCard = [...grid.children].find(el => comparePolicyIds(item.policyId, el.dataset.policyId) < 0);
+    grid.insertBefore(card, nextCard || null);
+}
+
+/**
+ * Counts a change towards the next notice, so a burst of changes shows one notice.
+ * @param {string} type - 'added', 'updated' or 'removed'.
+ * @returns {void}
+ */
+function queuePolicyNotice(type) {
+    if (!pendingPolicyChanges) {
+        pendingPolicyChanges = { added: 0, updated: 0, removed: 0 };
+    }
+    pendingPolicyChanges[type]++;
+
+    clearTimeout(policyNoticeTimer);
+    policyNoticeTimer = setTimeout(() => {
+        showNewPoliciesNotification(pendingPolicyChanges);
+        pendingPolicyChanges = null;
+        if (searchTerm.trim() !== '') {
+            renderSections();
+        }
+    }, POLICY_NOTICE_DELAY_MS);
+}
+
+/**
+ * Compares the approved policies on the server with the ones on the page and
+ * applies every approval, update and removal found.
+ * Used by the polling fallback and to catch up after the event stream reconnects.
  * @returns {Promise<void>}
  */
 async function checkForNewPolicies() {
@@ -564,44 +820,35 @@ async function checkForNewPolicies() {
     if (!container) return;
     
     try {
-        console.log('Checking for new policies...');
+        // Call the API directly: getApprovedPolicies() returns [] on errors,
+        // which would look like every policy had been removed
+        const policies = (await apiRequest('/api/policies/approved')).map(mapApiPolicy);
+        const latest = new Map(policies.map(policy => [policy.policyId, policy]));
         
-        // Fetch all approved policies
-        const allPolicies = await getApprovedPolicies();
+        const removedIds = [...currentPolicies.keys()].filter(policyId => !latest.has(policyId));
+        removedIds.forEach(policyId => applyPolicyChange('removed', { policyId }));
         
-        // Check if there are any new policies
-        const newPolicyIds = new Set();
-        allPolicies.forEach(policy => {
-            const policyId = policy.policyId || policy.id;
-            newPolicyIds.add(policyId);
-            if (!currentPolicyIds.has(policyId)) {
-                console.log('New policy found:', policyId, policy.name || policy.policyName);
-            }
-        });
-        
-        // If we have new policies, update the page
-        if (newPolicyIds.size > currentPolicyIds.size) {
-            const newCount = newPolicyIds.size - currentPolicyIds.size;
-            console.log(`Found ${newCount} new policy/policies. Updating page...`);
-            
-            // Show notification
-            showNewPoliciesNotification(newCount);
-            
-            // Re-render sections (this will preserve open/closed state via openSections array)
-            await renderSections();
-        }
+        // applyPolicyChange works out whether each one is new, updated or unchanged
+        policies.forEach(policy => applyPolicyChange('updated', policy));
     } catch (error) {
-        console.error('Error checking for new policies:', error);
+        console.error('Error checking for policy changes:', error);
         // Silently fail - don't disrupt user experience
     }
 }
 
 /**
- * Shows a notification when new policies are found.
- * @param {number} count - Number of new policies found.
+ * Shows a notification summarising policy changes.
+ * @param {{added: number, updated: number, removed: number}} changes - How many policies were approved, updated and removed.
  * @returns {void}
  */
-function showNewPoliciesNotification(count) {
+function showNewPoliciesNotification(changes) {
+    const describe = (count, action) => `${count} ${count === 1 ? 'policy' : 'policies'} ${action}`;
+    const parts = [];
+    if (changes.added) parts.push(describe(changes.added, 'newly approved'));
+    if (changes.updated) parts.push(describe(changes.updated, 'updated'));
+    if (changes.removed) parts.push(describe(changes.removed, 'removed'));
+    if (parts.length === 0) return;
+
     // Remove existing notification if any
     const existing = document.querySelector('.new-policies-notification');
     if (existing) {
@@ -612,7 +859,7 @@ function showNewPoliciesNotification(count) {
     const notification = document.createElement('div');
     notification.className = 'new-policies-notification';
     notification.innerHTML = `
-        <span>✨ ${count} new ${count === 1 ? 'policy' : 'policies'} ${count === 1 ? 'has' : 'have'} been approved!</span>
+        <span>✨ ${parts.join(', ')}</span>
         <button class="notification-close" onclick="this.parentElement.remove()">×</button>
     `;
     
@@ -700,7 +947,81 @@ function showNewPoliciesNotification(count) {
 }
 
 /**
- * Starts polling for new policies.
+ * Starts live policy updates: the server-sent event stream when enabled and
+ * supported, otherwise polling.
+ * @returns {void}
+ */
+function startPolicyUpdates() {
+    if (isFeatureEnabled('policyEvents') && typeof EventSource !== 'undefined') {
+        startPolicyEvents();
+    } else if (isFeatureEnabled('policyPolling')) {
+        startPolicyPolling(getAppConfig().policyPollingIntervalSeconds);
+    }
+}
+
+/**
+ * Stops whichever kind of live policy updates is running.
+ * @returns {void}
+ */
+function stopPolicyUpdates() {
+    stopPolicyEvents();
+    stopPolicyPolling();
+}
+
+/**
+ * Listens for policy approvals, updates and removals pushed by the backend.
+ * Falls back to polling if the stream can't be opened or the backend closes it.
+ * @returns {void}
+ */
+function startPolicyEvents() {
+    stopPolicyEvents();
+
+    const source = new EventSource(`${getApiBaseUrl()}${POLICY_EVENTS_ENDPOINT}`);
+    policyEventSource = source;
+    let opened = false;
+
+    source.addEventListener('open', () => {
+        opened = true;
+        // Catch up on anything that changed before (or while) the stream was connected
+        checkForNewPolicies();
+    });
+
+    Object.entries(POLICY_EVENT_TYPES).forEach(([eventName, type]) => {
+        source.addEventListener(eventName, (event) => {
+            try {
+                applyPolicyChange(type, mapApiPolicy(JSON.parse(event.data)));
+            } catch (error) {
+                console.error(`Invalid ${eventName} event:`, error);
+            }
+        });
+    });
+
+    source.addEventListener('error', () => {
+        // EventSource reconnects by itself after a dropped connection. If the stream
+        // never opened, or the backend refused the reconnect, poll instead.
+        if (!opened || source.readyState === EventSource.CLOSED) {
+            console.warn('Policy event stream unavailable, falling back to polling');
+            stopPolicyEvents();
+            if (isFeatureEnabled('policyPolling')) {
+                startPolicyPolling(getAppConfig().policyPollingIntervalSeconds);
+            }
+        }
+    });
+}
+
+/**
+ * Closes the policy event stream.
+ * @returns {void}
+ */
+function stopPolicyEvents() {
+    if (policyEventSource) {
+        policyEventSource.close();
+        policyEventSource = null;
+    }
+}
+
+/**
+ * Starts polling for policy changes when the event stream is unavailable.
  * Checks every 30 seconds (configurable).
  * @param {number} intervalSeconds - Polling interval in seconds (default: 30).
  * @returns {void}
@@ -715,29 +1036,34 @@ function startPolicyPolling(intervalSeconds = 30) {
     const container = document.getElementById('sectionsContainer');
     if (!container) return;
     
-    console.log(`Starting policy polling (checking every ${intervalSeconds} seconds)...`);
-    
+    pollingIntervalMs = intervalSeconds * 1000;
+
     // Check immediately, then set up interval
     checkForNewPolicies();
-    pollingInterval = setInterval(checkForNewPolicies, intervalSeconds * 1000);
-    
-    // Stop polling when page becomes hidden (to save resources)
-    document.addEventListener('visibilitychange', () => {
-        if (document.hidden) {
-            if (pollingInterval) {
-                clearInterval(pollingInterval);
-                pollingInterval = null;
-                console.log('Polling paused (page hidden)');
-            }
-        } else {
-            // Resume polling when page becomes visible
-            if (!pollingInterval && container) {
-                checkForNewPolicies();
-                pollingInterval = setInterval(checkForNewPolicies, intervalSeconds * 1000);
-                console.log('Polling resumed (page visible)');
-            }
+    pollingInterval = setInterval(checkForNewPolicies, pollingIntervalMs);
+
+    // Stop polling when page becomes hidden (to save resources). Registering the
+    // same named handler again is a no-op, so restarting never stacks listeners.
+    document.addEventListener('visibilitychange', handlePollingVisibilityChange);
+}
+
+/**
+ * Pauses polling while the page is hidden and resumes it when the page is shown again.
+ * @returns {void}
+ */
+function handlePollingVisibilityChange() {
+    if (!pollingIntervalMs) return; // Polling was stopped
+
+    if (document.hidden) {
+        if (pollingInterval) {
+            clearInterval(pollingInterval);
+            pollingInterval = null;
         }
-    });
+    } else if (!pollingInterval) {
+        // Resume polling when page becomes visible
+        checkForNewPolicies();
+        pollingInterval = setInterval(checkForNewPolicies, pollingIntervalMs);
+    }
 }
 
 /**
@@ -748,8 +1074,9 @@ function stopPolicyPolling() {
     if (pollingInterval) {
         clearInterval(pollingInterval);
         pollingInterval = null;
-        console.log('Policy polling stopped');
     }
+    pollingIntervalMs = 0;
+    document.removeEventListener('visibilitychange', handlePollingVisibilityChange);
 }
 
 /**
@@ -866,6 +1193,8 @@ function downloadPolicyAsPDF() {
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async function() {
+    await appConfigReady;
+
     const searchInput = document.getElementById('searchInput');
     const sectionsContainer = document.getElementById('sectionsContainer');
     const policyDetailContainer = document.querySelector('.policy-detail-container');
@@ -881,11 +1210,14 @@ document.addEventListener('DOMContentLoaded', async function() {
         }
         await renderSections();
         
-        // Start polling for new policies (check every 30 seconds)
-        startPolicyPolling(30);
+        // Listen for approved, updated and removed policies (see config.json features)
+        startPolicyUpdates();
         
-        // Clean up polling when page unloads
-        window.addEventListener('beforeunload', stopPolicyPolling);
+        // Clean up the event stream or polling when page unloads
+        window.addEventListener('beforeunload', stopPolicyUpdates);
+        
+        // Replace the offline copy once the connection is back (see js/shared/offline.js)
+        document.addEventListener('librarysynced', renderSections);
     } else if (policyDetailContainer) {
         // Policy detail page
         const urlParams = new URLSearchParams(window.location.search);
@@ -893,6 +1225,15 @@ document.addEventListener('DOMContentLoaded', async function() {
         
         if (id && isPolicyDetailPage) {
             await loadPolicyDetail();
+            document.addEventListener('librarysynced', loadPolicyDetail);
+            
+            // Compare any two versions from the History panel
+            ['historyFrom', 'historyTo'].forEach(selectId => {
+                const select = document.getElementById(selectId);
+                if (select) {
+                    select.addEventListener('change', handleHistoryCompareChange);
+                }
+            });
             
             // Add event listener for download PDF button
             const downloadBtn = document.querySelector('.download-pdf-btn');
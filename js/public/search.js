@@ -0,0 +1,224 @@
+// ============================================
+// ASA Policy App - Search Page JavaScript
+// ============================================
+// Every public page's header search submits here as /public/search.html?q=...
+// Results are grouped into policies, bylaws and contact details.
+
+// State
+let searchData = null; // {policies, bylaws, contacts}, fetched once per page load
+
+/**
+ * Turns the configured contact details into searchable entries.
+ * @param {Object} contact - The "contact" block from config.json.
+ * @returns {Array<Object>} Entries with label and text.
+ */
+function getContactSearchEntries(contact) {
+    if (!contact) return [];
+
+    const entries = [
+        { label: 'Website', text: [contact.websiteLabel, contact.website].filter(Boolean).join(' - ') },
+        { label: 'Email', text: contact.email },
+        { label: 'Phone', text: contact.phoneLabel || contact.phone },
+        { label: 'Location', text: (contact.location || []).join(', ') },
+        { label: 'Office Hours', text: (contact.officeHours || []).join(', ') }
+    ];
+    return entries.filter(entry => entry.text);
+}
+
+/**
+ * Fetches the approved policies and bylaws the first time a search runs.
+ * @returns {Promise<Object>} The searchable policies, bylaws and contact entries.
+ */
+async function loadSearchData() {
+    if (!searchData) {
+        const [policies, bylaws] = await Promise.all([getApprovedPolicies(), getApprovedBylaws()]);
+        searchData = {
+            policies,
+            bylaws,
+            contacts: getContactSearchEntries(getAppConfig().contact)
+        };
+    }
+    return searchData;
+}
+
+/**
+ * Builds the link to a result's page, carrying the query so matches are highlighted there.
+ * @param {string} path - The page path including its own query string.
+ * @param {string} query - The search query.
+ * @returns {string} The result URL.
+ */
+function buildResultUrl(path, query) {
+    return `${path}&highlight=${encodeURIComponent(query)}`;
+}
+
+/**
+ * Creates a result card, using the same markup as the policy and bylaw cards.
+ * @param {Object} result - {title, subtitle, meta, snippet, url}.
+ * @returns {HTMLElement} The card element.
+ */
+function createSearchResultCard(result) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.onclick = () => {
+        window.location.href = result.url;
+    };
+
+    card.innerHTML = `
+        <div class="card-policy-name">${escapeHtml(result.title)}</div>
+        <div class="card-section-name">${escapeHtml(result.subtitle)}</div>
+        ${result.meta ? `<div class="card-policy-id">${escapeHtml(result.meta)}</div>` : ''}
+        ${result.snippet ? `<div class="card-snippet">${result.snippet}</div>` : ''}
+    `;
+
+    return card;
+}
+
+/**
+ * Creates a titled group of result cards.
+ * @param {string} title - The group title, e.g. "Policies".
+ * @param {Array<Object>} results - Results in card format.
+ * @returns {HTMLElement} The group element.
+ */
+function createSearchGroupElement(title, results) {
+    const group = document.createElement('div');
+    group.className = 'section search-group';
+
+    const header = document.createElement('div');
+    header.className = 'section-header';
+    header.innerHTML = `<h2 class="section-title">${title} (${results.length})</h2>`;
+
+    const content = document.createElement('div');
+    content.className = 'section-content open';
+
+    const grid = document.createElement('div');
+    grid.className = 'cards-grid';
+    results.forEach(result => grid.appendChild(createSearchResultCard(result)));
+    content.appendChild(grid);
+
+    group.appendChild(header);
+    group.appendChild(content);
+    return group;
+}
+
+/**
+ * Searches policies, bylaws and contact details and renders the grouped results.
+ * @param {string} query - The search query.
+ * @returns {Promise<void>}
+ */
+async function renderSearchResults(query) {
+    const container = document.getElementById('searchResults');
+    const summary = document.getElementById('searchSummary');
+    if (!container) return;
+
+    query = query.trim();
+    container.innerHTML = '';
+
+    if (query === '') {
+        if (summary) summary.textContent = 'Search the text of every approved policy and bylaw, and our contact details.';
+        return;
+    }
+
+    if (summary) summary.textContent = 'Searching...';
+    const data = await loadSearchData();
+
+    const policyResults = searchItems(data.policies, query, policy => [
+        { text: policy.name, weight: 5 },
+        { text: policy.policyId, weight: 4 },
+        { text: policy.section, weight: 1 },
+        { text: stripHtml(policy.content), weight: 1, snippet: true }
+    ]).map(({ item, snippet }) => ({
+        title: item.name || 'Untitled',
+        subtitle: item.section || '',
+        meta: item.policyId,
+        snippet,
+        url: buildResultUrl(`/public/policy-detail.html?id=${encodeURIComponent(item.policyId)}`, query)
+    }));
+
+    const bylawResults = searchItems(data.bylaws, query, bylaw => [
+        { text: bylaw.title, weight: 5 },
+        { text: bylaw.number, weight: 4 },
+        { text: stripHtml(bylaw.content), weight: 1, snippet: true }
+    ]).map(({ item, snippet }) => ({
+        title: item.title || 'Untitled',
+        subtitle: 'Bylaw',
+        meta: `Bylaw #${item.number || ''}`,
+        snippet,
+        url: buildResultUrl(`/public/bylaw-detail.html?id=${encodeURIComponent(item.id)}`, query)
+    }));
+
+    const contactResults = searchItems(data.contacts, query, entry => [
+        { text: entry.label, weight: 3 },
+        { text: entry.text, weight: 2, snippet: true }
+    ]).map(({ item, snippet }) => ({
+        title: item.label,
+        subtitle: 'Contact',
+        snippet,
+        url: '/public/contact.html'
+    }));
+
+    // The user may have typed more while the data loaded
+    if (query !== document.getElementById('searchInput')?.value.trim()) return;
+
+    const groups = [
+        ['Policies', policyResults],
+        ['Bylaws', bylawResults],
+        ['Contact', contactResults]
+    ].filter(([, results]) => results.length > 0);
+
+    const total = policyResults.length + bylawResults.length + contactResults.length;
+    if (summary) {
+        summary.textContent = total === 0
+            ? `No results for "${query}".`
+            : `${total} result${total === 1 ? '' : 's'} for "${query}"`;
+    }
+
+    if (groups.length === 0) {
+        container.innerHTML = '<div class="no-results">No results found</div>';
+        return;
+    }
+    groups.forEach(([title, results]) => container.appendChild(createSearchGroupElement(title, results)));
+}
+
+/**
+ * Keeps ?q= in the address bar in step with the search box, so results can be shared.
+ * @param {string} query - The current search query.
+ */
+function updateSearchUrl(query) {
+    const url = new URL(window.location.href);
+    if (query.trim() === '') {
+        url.searchParams.delete('q');
+    } else {
+        url.searchParams.set('q', query.trim());
+    }
+    history.replaceState(null, '', url);
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async function() {
+    await appConfigReady;
+
+    const resultsContainer = document.getElementById('searchResults');
+    if (!resultsContainer) return;
+
+    const searchInput = document.getElementById('searchInput');
+    const query = new URLSearchParams(window.location.search).get('q') || '';
+    if (query) {
+        document.title = `${query} - Search - ASA Policy App`;
+    }
+
+    if (searchInput) {
+        searchInput.value = query;
+        searchInput.addEventListener('input', () => {
+            updateSearchUrl(searchInput.value);
+            renderSearchResults(searchInput.value);
+        });
+        // Already on the results page, so search in place instead of reloading
+        searchInput.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            updateSearchUrl(searchInput.value);
+            renderSearchResults(searchInput.value);
+        });
+    }
+
+    await renderSearchResults(query);
+});
@@ -0,0 +1,102 @@
+// ============================================
+// ASA Policy App - Suggest a Change (Detail Pages)
+// ============================================
+// The "Suggest a change" link on policy-detail.html and bylaw-detail.html opens
+// the suggestions form with the policy or bylaw already chosen. Highlighting part
+// of the text shows a button that also brings the passage along, so the student
+// only has to write the wording they would put in its place.
+
+const SUGGESTED_PASSAGE_MAX_LENGTH = 2000;
+
+/**
+ * Builds the suggestions form URL for the policy or bylaw on this page.
+ * @param {string} [quote] - A passage from the page to propose new wording for.
+ * @returns {string|null} The URL, or null if the page has no policy or bylaw id.
+ */
+function getSuggestChangeUrl(quote = '') {
+    const link = document.getElementById('suggestChangeLink');
+    const id = new URLSearchParams(window.location.search).get('id');
+    if (!link || !id) return null;
+
+    // data-topic is "policy" (id is the TEXT policy_id) or "bylaw" (id is the UUID)
+    const params = new URLSearchParams({ [link.dataset.topic]: id });
+    if (quote) {
+        params.set('quote', quote);
+    }
+    return `/public/suggestions.html?${params}`;
+}
+
+/**
+ * Gets the text highlighted inside the policy or bylaw content, if any.
+ * @returns {{text: string, rect: DOMRect}|null} The passage, with whitespace
+ *   collapsed, and where it is on screen.
+ */
+function getSelectedPassage() {
+    const selection = window.getSelection();
+    const content = document.querySelector('.policy-content');
+    if (!content || !selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!content.contains(range.commonAncestorContainer)) return null;
+
+    const text = selection.toString().replace(/\s+/g, ' ').trim();
+    return text ? { text: text, rect: range.getBoundingClientRect() } : null;
+}
+
+/**
+ * Shows the "Suggest new wording" button under the highlighted passage, or hides
+ * it when nothing in the content is highlighted.
+ */
+function updateSuggestPassageButton() {
+    const button = document.getElementById('suggestPassageBtn');
+    const passage = getSelectedPassage();
+    if (!passage) {
+        button.hidden = true;
+        return;
+    }
+
+    button.style.top = `${passage.rect.bottom + window.scrollY + 8}px`;
+    button.style.left = `${passage.rect.left + window.scrollX}px`;
+    button.hidden = false;
+}
+
+/**
+ * Opens the suggestions form with the highlighted passage.
+ */
+function suggestNewWording() {
+    const passage = getSelectedPassage();
+    if (!passage) return;
+
+    if (passage.text.length > SUGGESTED_PASSAGE_MAX_LENGTH) {
+        alert(`Please highlight a shorter passage (up to ${SUGGESTED_PASSAGE_MAX_LENGTH} characters).`);
+        return;
+    }
+    window.location.href = getSuggestChangeUrl(passage.text);
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', function() {
+    const link = document.getElementById('suggestChangeLink');
+    const url = getSuggestChangeUrl();
+    if (!url) return;
+    link.href = url;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'suggestPassageBtn';
+    button.className = 'suggest-passage-btn';
+    button.textContent = 'Suggest new wording';
+    button.hidden = true;
+    // Keep the highlight when the button is pressed
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+    button.addEventListener('click', suggestNewWording);
+    document.body.appendChild(button);
+
+    document.addEventListener('mouseup', updateSuggestPassageButton);
+    document.addEventListener('keyup', updateSuggestPassageButton);
+    document.addEventListener('selectionchange', () => {
+        if (window.getSelection().isCollapsed) {
+            button.hidden = true;
+        }
+    });
+});
@@ -0,0 +1,149 @@
+// ============================================
+// ASA Policy App - Suggestion Confirmation Page
+// ============================================
+// A new suggestion stays unverified, and hidden from the ASA, until the student
+// proves they own the UAlberta address they gave. The verification email has a
+// magic link (?token=...) that confirms on load, and a 6-digit code for the form
+// this page shows after submitting (?id=<suggestion id>).
+
+/**
+ * Shows the outcome above (or instead of) the code form.
+ * @param {string} message - The message to display.
+ * @param {string} type - 'info', 'success' or 'error'.
+ */
+function showConfirmMessage(message, type) {
+    const messageEl = document.getElementById('confirmMessage');
+    messageEl.textContent = message;
+    messageEl.className = `confirm-message ${type}`;
+    messageEl.hidden = false;
+}
+
+/**
+ * Thanks the student once their suggestion has been verified and gives them its
+ * tracking reference. Verifying also signs them in to My Suggestions.
+ * @param {Object} suggestion - The verified suggestion returned by the API.
+ */
+function showSuggestionConfirmed(suggestion) {
+    document.getElementById('confirmCodeForm').hidden = true;
+    const topic = describeSuggestionTopic(suggestion);
+    showConfirmMessage(
+        `Thank you! Your suggestion${topic ? ` about ${topic}` : ''} has been confirmed and sent to the ASA.`,
+        'success'
+    );
+
+    // Only a fresh verification comes with a tracking token
+    if (suggestion.tracking_token) {
+        saveSuggestionTracking(suggestion);
+    }
+    document.getElementById('confirmReference').textContent = suggestion.reference;
+    document.getElementById('confirmTrackLink').href = `/public/my-suggestions.html?ref=${encodeURIComponent(suggestion.reference)}`;
+    document.getElementById('confirmTracking').hidden = false;
+}
+
+/**
+ * Confirms a suggestion with the token from the emailed link.
+ * @param {string} token - The token from the link.
+ */
+async function confirmSuggestionToken(token) {
+    showConfirmMessage('Confirming your suggestion...', 'info');
+    try {
+        const suggestion = await apiRequest('/api/suggestions/verify', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({ token: token })
+        });
+        showSuggestionConfirmed(suggestion);
+    } catch (error) {
+        console.error('Error confirming suggestion:', error);
+        showConfirmMessage(
+            error.status === 400
+                ? 'This confirmation link is invalid or has expired. Enter the code from your most recent email, or submit your suggestion again.'
+                : 'Could not confirm your suggestion. Please try again later.',
+            'error'
+        );
+    }
+}
+
+/**
+ * Confirms a suggestion with the 6-digit code from the email.
+ * @param {Event} e - The form submit event.
+ * @param {string} suggestionId - The suggestion's id.
+ */
+async function handleConfirmCodeSubmit(e, suggestionId) {
+    e.preventDefault();
+
+    const codeInput = document.getElementById('codeInput');
+    const code = codeInput.value.trim();
+    if (!/^\d{6}$/.test(code)) {
+        showConfirmMessage('Please enter the 6-digit code from the email.', 'error');
+        codeInput.focus();
+        return;
+    }
+
+    const submitButton = e.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        const suggestion = await apiRequest('/api/suggestions/verify', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({ suggestion_id: suggestionId, code: code })
+        });
+        showSuggestionConfirmed(suggestion);
+    } catch (error) {
+        console.error('Error confirming suggestion:', error);
+        showConfirmMessage(
+            error.status === 400 && error.detail ? error.detail : 'Could not confirm your suggestion. Please try again later.',
+            'error'
+        );
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Emails a new code and link, replacing the old ones.
+ * @param {string} suggestionId - The suggestion's id.
+ */
+async function resendSuggestionCode(suggestionId) {
+    const resendButton = document.getElementById('resendCodeBtn');
+    resendButton.disabled = true;
+    try {
+        await apiRequest(`/api/suggestions/${encodeURIComponent(suggestionId)}/resend-verification`, {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({
+                confirm_url: `${window.location.origin}/public/suggestion-confirm.html`
+            })
+        });
+        document.getElementById('codeInput').value = '';
+        showConfirmMessage('A new code is on its way. Codes from earlier emails no longer work.', 'info');
+    } catch (error) {
+        console.error('Error resending verification code:', error);
+        showConfirmMessage(error.detail || 'Could not send a new code. Please try again later.', 'error');
+    } finally {
+        resendButton.disabled = false;
+    }
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', function() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    const suggestionId = params.get('id');
+
+    if (token) {
+        confirmSuggestionToken(token);
+        return;
+    }
+
+    if (!suggestionId) {
+        showConfirmMessage('This confirmation link is incomplete. Please use the link or code from your email.', 'error');
+        return;
+    }
+
+    const form = document.getElementById('confirmCodeForm');
+    form.hidden = false;
+    form.addEventListener('submit', (e) => handleConfirmCodeSubmit(e, suggestionId));
+    document.getElementById('resendCodeBtn').addEventListener('click', () => resendSuggestionCode(suggestionId));
+    document.getElementById('codeInput').focus();
+});
@@ -0,0 +1,273 @@
+// ============================================
+// ASA Policy App - My Suggestions (Tracking) Page
+// ============================================
+// Students see every suggestion they have sent and its status once they prove
+// they own the email it came from, either by confirming a new suggestion or by
+// entering a code (or opening a link) emailed from this page. The resulting
+// tracking token lasts 24 hours and is kept in sessionStorage, so it is
+// forgotten when the tab is closed.
+
+const SUGGESTION_TRACKING_KEY = 'suggestionTracking';
+
+/**
+ * Remembers a tracking session returned by the API.
+ * @param {Object} session - {tracking_token, email, expires_at}.
+ */
+function saveSuggestionTracking(session) {
+    sessionStorage.setItem(SUGGESTION_TRACKING_KEY, JSON.stringify({
+        token: session.tracking_token,
+        email: session.email,
+        expiresAt: session.expires_at
+    }));
+}
+
+/**
+ * Gets the saved tracking session, if it has not expired.
+ * @returns {Object|null} {token, email, expiresAt}, or null.
+ */
+function getSuggestionTracking() {
+    const session = JSON.parse(sessionStorage.getItem(SUGGESTION_TRACKING_KEY) || 'null');
+    if (!session || new Date(session.expiresAt) <= new Date()) {
+        sessionStorage.removeItem(SUGGESTION_TRACKING_KEY);
+        return null;
+    }
+    return session;
+}
+
+function clearSuggestionTracking() {
+    sessionStorage.removeItem(SUGGESTION_TRACKING_KEY);
+}
+
+/**
+ * Shows a message above the current step.
+ * @param {string} message - The message to display.
+ * @param {string} type - 'info', 'success' or 'error'.
+ */
+function showTrackingMessage(message, type) {
+    const messageEl = document.getElementById('trackingMessage');
+    messageEl.textContent = message;
+    messageEl.className = `confirm-message ${type}`;
+    messageEl.hidden = false;
+}
+
+function hideTrackingMessage() {
+    document.getElementById('trackingMessage').hidden = true;
+}
+
+/**
+ * Shows one step of the page: asking for an email, asking for the emailed code,
+ * or the student's suggestions.
+ * @param {string} step - 'email', 'code' or 'results'.
+ */
+function showTrackingStep(step) {
+    document.getElementById('trackingEmailForm').hidden = step !== 'email';
+    document.getElementById('trackingCodeForm').hidden = step !== 'code';
+    document.getElementById('trackingResults').hidden = step !== 'results';
+}
+
+/**
+ * Emails a sign-in code to the address entered.
+ * @param {Event} e - The form submit event.
+ */
+async function handleTrackingEmailSubmit(e) {
+    e.preventDefault();
+
+    const emailInput = document.getElementById('trackingEmailInput');
+    const email = emailInput.value.trim().toLowerCase();
+    // The backend checks the domain and explains if it isn't allowed
+    if (!email) {
+        showTrackingMessage('Please enter your UAlberta email address.', 'error');
+        emailInput.focus();
+        return;
+    }
+
+    const submitButton = e.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        await apiRequest('/api/suggestions/tracking/request', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({
+                email: email,
+                // The backend links to this page in the email
+                tracking_url: `${window.location.origin}/public/my-suggestions.html`
+            })
+        });
+        hideTrackingMessage();
+        document.getElementById('trackingCodeIntro').textContent =
+            `We've emailed a 6-digit code to ${email}. Enter it below, or open the link in the email. The code expires in 24 hours.`;
+        showTrackingStep('code');
+        document.getElementById('trackingCodeInput').focus();
+    } catch (error) {
+        console.error('Error requesting tracking code:', error);
+        showTrackingMessage(error.detail || 'Could not send the code. Please try again later.', 'error');
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Signs in with the code from the email.
+ * @param {Event} e - The form submit event.
+ */
+async function handleTrackingCodeSubmit(e) {
+    e.preventDefault();
+
+    const codeInput = document.getElementById('trackingCodeInput');
+    const code = codeInput.value.trim();
+    if (!/^\d{6}$/.test(code)) {
+        showTrackingMessage('Please enter the 6-digit code from the email.', 'error');
+        codeInput.focus();
+        return;
+    }
+
+    const submitButton = e.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        const session = await apiRequest('/api/suggestions/tracking/verify', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({
+                email: document.getElementById('trackingEmailInput').value.trim().toLowerCase(),
+                code: code
+            })
+        });
+        saveSuggestionTracking(session);
+        hideTrackingMessage();
+        await loadMySuggestions();
+    } catch (error) {
+        console.error('Error verifying tracking code:', error);
+        showTrackingMessage(
+            error.status === 400 && error.detail ? error.detail : 'Could not check the code. Please try again later.',
+            'error'
+        );
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Signs in with the token from the emailed link.
+ * @param {string} token - The token from the link.
+ */
+async function verifyTrackingToken(token) {
+    try {
+        const session = await apiRequest('/api/suggestions/tracking/verify', {
+            method: 'POST',
+            auth: false,
+            body: JSON.stringify({ token: token })
+        });
+        saveSuggestionTracking(session);
+    } catch (error) {
+        console.error('Error verifying tracking link:', error);
+        showTrackingMessage(
+            error.status === 400
+                ? 'This sign-in link is invalid or has expired. Enter your email to get a new code.'
+                : 'Could not check the sign-in link. Please try again later.',
+            'error'
+        );
+    }
+    // Drop the used token from the address bar
+    window.history.replaceState(null, '', window.location.pathname);
+}
+
+/**
+ * Renders one of the student's suggestions with its status.
+ * @param {Object} suggestion - Suggestion from the API.
+ * @returns {string} HTML string for the suggestion card.
+ */
+function renderTrackedSuggestion(suggestion) {
+    const outcome = describeSuggestionOutcome(suggestion);
+    const highlighted = new URLSearchParams(window.location.search).get('ref') === suggestion.reference;
+    return `
+        <div class="my-suggestion${highlighted ? ' highlighted' : ''}" id="${escapeHtml(suggestion.reference)}">
+            <div class="my-suggestion-header">
+                <div>
+                    <div class="my-suggestion-reference">${escapeHtml(suggestion.reference)}</div>
+                    <div class="my-suggestion-topic">${escapeHtml(describeSuggestionTopic(suggestion) || 'General')}</div>
+                </div>
+                ${renderSuggestionStatusBadge(suggestion.status)}
+            </div>
+            <p class="my-suggestion-text">${escapeHtml(suggestion.suggestion)}</p>
+            ${outcome ? `<p class="my-suggestion-outcome">${escapeHtml(outcome)}</p>` : ''}
+            <div class="my-suggestion-dates">
+                Sent ${new Date(suggestion.created_at).toLocaleDateString()}
+                · ${getSuggestionStatusLabel(suggestion.status)} since ${new Date(suggestion.status_updated_at).toLocaleDateString()}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Loads and shows the signed-in student's suggestions, or asks for their email
+ * if they are not signed in.
+ */
+async function loadMySuggestions() {
+    const session = getSuggestionTracking();
+    if (!session) {
+        showTrackingStep('email');
+        return;
+    }
+
+    document.getElementById('trackingEmail').textContent = session.email;
+    showTrackingStep('results');
+    const list = document.getElementById('mySuggestionsList');
+    list.innerHTML = '<p class="my-suggestions-empty">Loading your suggestions...</p>';
+
+    let suggestions;
+    try {
+        suggestions = await apiRequest('/api/suggestions/mine', {
+            auth: false,
+            headers: { 'Authorization': `Bearer ${session.token}` }
+        });
+    } catch (error) {
+        if (error.status === 401) {
+            clearSuggestionTracking();
+            showTrackingMessage('Please verify your email again to see your suggestions.', 'info');
+            showTrackingStep('email');
+            return;
+        }
+        console.error('Error loading suggestions:', error);
+        list.innerHTML = '<p class="my-suggestions-empty">Could not load your suggestions. Please try again later.</p>';
+        return;
+    }
+
+    if (suggestions.length === 0) {
+        list.innerHTML = '<p class="my-suggestions-empty">You haven\'t sent any suggestions from this email yet.</p>';
+        return;
+    }
+
+    list.innerHTML = suggestions.map(renderTrackedSuggestion).join('');
+    const highlighted = list.querySelector('.my-suggestion.highlighted');
+    if (highlighted) {
+        highlighted.scrollIntoView({ block: 'center' });
+    }
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async function() {
+    if (!document.getElementById('mySuggestionsList')) return;
+
+    await appConfigReady;
+
+    document.getElementById('trackingEmailForm').addEventListener('submit', handleTrackingEmailSubmit);
+    document.getElementById('trackingCodeForm').addEventListener('submit', handleTrackingCodeSubmit);
+    document.getElementById('trackingChangeEmailBtn').addEventListener('click', () => {
+        hideTrackingMessage();
+        showTrackingStep('email');
+    });
+    document.getElementById('trackingSignOutBtn').addEventListener('click', () => {
+        clearSuggestionTracking();
+        hideTrackingMessage();
+        showTrackingStep('email');
+    });
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (token) {
+        await verifyTrackingToken(token);
+    }
+    await loadMySuggestions();
+});
+
+// Export for global access
+window.saveSuggestionTracking = saveSuggestionTracking;
@@ -2,53 +2,6 @@
 // ASA Policy App - Suggestions Page JavaScript
 // ============================================
 
-// API Configuration
-const API_BASE_URL = window.API_BASE_URL || 'https://asa-policy-backend.onrender.com';
-
-/**
- * Makes an API request with error handling
- * @param {string} endpoint - API endpoint (e.g., '/api/policies/approved')
- * @param {Object} options - Fetch options (method, body, headers, etc.)
- * @returns {Promise<Object>} The response data or throws an error
- */
-async function apiRequest(endpoint, options = {}) {
-    const url = `${API_BASE_URL}${endpoint}`;
-    const defaultOptions = {
-        headers: {
-            'Content-Type': 'application/json',
-        },
-    };
-    
-    const config = { ...defaultOptions, ...options };
-    
-    try {
-        const response = await fetch(url, config);
-        
-        if (!response.ok) {
-            if (response.status === 404) {
-                throw new Error('Resource not found');
-            } else if (response.status >= 500) {
-                throw new Error('Server error. Please try again later.');
-            } else {
-                const error = await response.json().catch(() => ({ detail: 'Request failed' }));
-                throw new Error(error.detail || 'Request failed');
-            }
-        }
-        
-        // Handle 204 No Content responses
-        if (response.status === 204) {
-            return null;
-        }
-        
-        return await response.json();
-    } catch (error) {
-        if (error instanceof TypeError && error.message === 'Failed to fetch') {
-            throw new Error('Network error. Please check your connection and try again.');
-        }
-        throw error;
-    }
-}
-
 /** 
  * Gets the human-readable section name from a section number.
  * @param {string|number} section - The section number (1, 2, or 3).
@@ -64,7 +17,7 @@ function getSectionName(section) {
 }
 
 /**
- * Retrieves all approved policies from the API.
+ * Retrieves all approved policies from the API, leaving out any past their sunset date.
  * @param {string|null} sectionName - Optional section filter (full section name like "Organizational Identity & Values"). If provided, only returns policies from that section.
  * @returns {Promise<Array<Object>>} An array of approved policy objects.
  */
@@ -76,23 +29,11 @@ async function getApprovedPolicies(sectionName = null) {
             endpoint += `?section=${encodeURIComponent(sectionName)}`;
         }
         
-        const policies = await apiRequest(endpoint);
-        // Map API field names to frontend field names
-        const mappedPolicies = policies.map(policy => ({
-            id: policy.id, // Keep UUID for internal use
-            policyId: policy.policy_id, // TEXT identifier like "1.1.1"
-            name: policy.policy_name,
-            policyName: policy.policy_name, // Keep both for compatibility
-            section: policy.section,
-            content: policy.policy_content,
-            policyContent: policy.policy_content, // Keep both for compatibility
-            status: policy.status,
-            createdAt: policy.created_at,
-            updatedAt: policy.updated_at,
-            createdBy: policy.created_by,
-            updatedBy: policy.updated_by
-        }));    
-        return mappedPolicies;
+        // Cached, so the dropdown fills instantly after visiting the policies pages
+        const policies = await cachedApiRequest(endpoint);
+        // A cached copy can be older than a sunset date the backend already applies
+        return policies.map(mapApiPolicy)
+            .filter(policy => getScheduleState(policy.effectiveDate, policy.sunsetDate) !== 'expired');
     } catch (error) {
         console.error('Error fetching policies:', error);
         return [];
@@ -144,50 +85,221 @@ async function populateSuggestionsDropdown() {
 }
 
 /**
- * Completed by Dominic del Rosario, 
- * Displays a success message after submitting a suggestion.
- * Creates the message element if it doesn't exist and automatically hides it after 5 seconds.
- * @returns {void}
+ * Populates the bylaw dropdown with approved bylaws, in bylaw number order.
+ * @returns {Promise<void>}
  */
-function showSuccessMessage() {
-    // Create success message if it doesn't exist
-    let successMsg = document.querySelector('.success-message');
-    if (!successMsg) {
-        successMsg = document.createElement('div');
-        successMsg.className = 'success-message';
-        successMsg.textContent = 'Thank you for your suggestion! Your feedback has been submitted successfully.';
-        
-        const form = document.getElementById('suggestionForm');
-        if (form && form.parentNode) {
-            form.parentNode.insertBefore(successMsg, form);
+async function populateBylawDropdown() {
+    const bylawSelect = document.getElementById('bylawSelect');
+    if (!bylawSelect) return;
+
+    let bylaws = [];
+    try {
+        bylaws = await cachedApiRequest('/api/bylaws/approved');
+    } catch (error) {
+        console.error('Error fetching bylaws:', error);
+    }
+
+    bylawSelect.innerHTML = '<option value="">Select</option>';
+    if (bylaws.length === 0) {
+        bylawSelect.innerHTML += '<option value="">No bylaws available</option>';
+        return;
+    }
+
+    [...bylaws]
+        .sort((a, b) => a.bylaw_number - b.bylaw_number)
+        .forEach(bylaw => {
+            const option = document.createElement('option');
+            // Bylaws have no TEXT id, so the API takes the UUID
+            option.value = bylaw.id;
+            option.textContent = `Bylaw #${bylaw.bylaw_number}: ${bylaw.bylaw_title}`;
+            bylawSelect.appendChild(option);
+        });
+}
+
+/**
+ * Populates the section dropdown with the policy manual's sections.
+ * Values are the full section names, as the policies API uses.
+ */
+function populateSectionDropdown() {
+    const sectionSelect = document.getElementById('sectionSelect');
+    if (!sectionSelect) return;
+
+    ['1', '2', '3'].forEach(section => {
+        const option = document.createElement('option');
+        option.value = getSectionName(section);
+        option.textContent = `${section}. ${getSectionName(section)}`;
+        sectionSelect.appendChild(option);
+    });
+}
+
+/**
+ * Shows only the fields for the chosen topic. Each field's form group lists
+ * the topics it applies to in data-topic.
+ */
+function updateSuggestionTopicFields() {
+    const topic = document.getElementById('topicSelect').value;
+    document.querySelectorAll('#suggestionForm [data-topic]').forEach(group => {
+        group.hidden = !group.dataset.topic.split(' ').includes(topic);
+    });
+    // The section is required for a section suggestion but optional for a new policy
+    document.getElementById('sectionSelectLabel').textContent = topic === 'new_policy'
+        ? 'Which section would it belong in? (optional)'
+        : 'Select a section to refer to';
+}
+
+/**
+ * Shows a passage quoted from a policy or bylaw page, with a box for the wording
+ * to replace it. Both only apply while that topic is chosen.
+ * @param {string} topic - 'policy' or 'bylaw'.
+ * @param {string} quote - The highlighted passage.
+ */
+function showQuotedPassage(topic, quote) {
+    document.getElementById('quotedPassage').textContent = quote;
+    ['quotedPassageGroup', 'proposedTextGroup'].forEach(groupId => {
+        document.getElementById(groupId).dataset.topic = topic;
+    });
+    updateSuggestionTopicFields();
+}
+
+/**
+ * Drops the quoted passage, e.g. when the student picks a different policy.
+ */
+function removeQuotedPassage() {
+    ['quotedPassageGroup', 'proposedTextGroup'].forEach(groupId => {
+        const group = document.getElementById(groupId);
+        delete group.dataset.topic;
+        group.hidden = true;
+    });
+    document.getElementById('quotedPassage').textContent = '';
+    document.getElementById('proposedTextInput').value = '';
+}
+
+/**
+ * Chooses the policy or bylaw named in the URL, as linked from its detail page
+ * (?policy=1.1.1 or ?bylaw=<id>), along with any passage highlighted there (&quote=).
+ */
+function applySuggestionUrlParams() {
+    const params = new URLSearchParams(window.location.search);
+    const topic = params.has('bylaw') ? 'bylaw' : params.has('policy') ? 'policy' : null;
+    if (!topic) return;
+
+    const select = document.getElementById(topic === 'bylaw' ? 'bylawSelect' : 'policySelect');
+    select.value = params.get(topic);
+    // The policy or bylaw may have been removed since the page was opened
+    if (!select.value) return;
+
+    document.getElementById('topicSelect').value = topic;
+    updateSuggestionTopicFields();
+
+    const quote = (params.get('quote') || '').trim();
+    if (quote) {
+        showQuotedPassage(topic, quote);
+    }
+}
+
+/**
+ * Reads the topic fields, and any quoted passage with its proposed wording, into
+ * the request body, or explains what is missing.
+ * @param {string} topic - 'policy', 'bylaw', 'section', 'new_policy' or 'general'.
+ * @returns {{fields: Object}|{error: string, input: HTMLElement}} The fields to send,
+ *   or an error message and the input to focus.
+ */
+function getSuggestionTopicFields(topic) {
+    const topicFields = getSuggestionTopicSelection(topic);
+    if (topicFields.error || document.getElementById('proposedTextGroup').hidden) {
+        return topicFields;
+    }
+
+    // A quoted passage needs the wording proposed to replace it
+    const proposedTextInput = document.getElementById('proposedTextInput');
+    const proposedText = proposedTextInput.value.trim();
+    if (!proposedText) {
+        return { error: 'Please enter the wording you would like in place of the quoted passage.', input: proposedTextInput };
+    }
+    topicFields.fields.quoted_text = document.getElementById('quotedPassage').textContent;
+    topicFields.fields.proposed_text = proposedText;
+    return topicFields;
+}
+
+/**
+ * Reads the policy, bylaw, section or new policy title chosen for a topic.
+ * @param {string} topic - 'policy', 'bylaw', 'section', 'new_policy' or 'general'.
+ * @returns {{fields: Object}|{error: string, input: HTMLElement}} The fields to send,
+ *   or an error message and the input to focus.
+ */
+function getSuggestionTopicSelection(topic) {
+    const policySelect = document.getElementById('policySelect');
+    const bylawSelect = document.getElementById('bylawSelect');
+    const sectionSelect = document.getElementById('sectionSelect');
+    const proposedTitleInput = document.getElementById('proposedTitleInput');
+
+    switch (topic) {
+        case 'policy':
+            if (!policySelect.value) return { error: 'Please select a policy to refer to.', input: policySelect };
+            // policy_id is the TEXT id like "1.1.1"
+            return { fields: { policy_id: policySelect.value } };
+        case 'bylaw':
+            if (!bylawSelect.value) return { error: 'Please select a bylaw to refer to.', input: bylawSelect };
+            return { fields: { bylaw_id: bylawSelect.value } };
+        case 'section':
+            if (!sectionSelect.value) return { error: 'Please select a section to refer to.', input: sectionSelect };
+            return { fields: { section: sectionSelect.value } };
+        case 'new_policy': {
+            const title = proposedTitleInput.value.trim();
+            if (!title) return { error: 'Please suggest a title for the new policy.', input: proposedTitleInput };
+            return { fields: { proposed_policy_title: title, section: sectionSelect.value || null } };
         }
+        default:
+            return { fields: {} };
     }
+}
+
+/**
+ * Checks that an email address belongs to one of the domains allowed to submit suggestions.
+ * The allowed domains come from suggestionEmailDomains in config.json.
+ * @param {string} email - The email address entered by the student.
+ * @returns {boolean} True if the email's domain is allowed.
+ */
+function isAllowedSuggestionEmail(email) {
+    const parts = email.toLowerCase().split('@');
+    if (parts.length !== 2 || !parts[0]) return false;
     
-    successMsg.classList.add('show');
-    
-    // Hide after 5 seconds
-    setTimeout(() => {
-        successMsg.classList.remove('show');
-    }, 5000);
+    const allowedDomains = getAppConfig().suggestionEmailDomains.map(domain => domain.toLowerCase());
+    return allowedDomains.includes(parts[1]);
 }
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async function() {
+    await appConfigReady;
+
     const suggestionForm = document.getElementById('suggestionForm');
     
-    // Populate suggestions dropdown
-    await populateSuggestionsDropdown();
+    // Populate the topic dropdowns
+    populateSectionDropdown();
+    await Promise.all([populateSuggestionsDropdown(), populateBylawDropdown()]);
+
+    const topicSelect = document.getElementById('topicSelect');
+    if (topicSelect) {
+        topicSelect.addEventListener('change', updateSuggestionTopicFields);
+        updateSuggestionTopicFields();
+        applySuggestionUrlParams();
+
+        // A quoted passage belongs to the policy or bylaw it was highlighted on
+        ['policySelect', 'bylawSelect'].forEach(selectId => {
+            document.getElementById(selectId).addEventListener('change', removeQuotedPassage);
+        });
+        document.getElementById('removePassageBtn').addEventListener('click', removeQuotedPassage);
+    }
     
     // Suggestion Form Handler
     if (suggestionForm) {
         suggestionForm.addEventListener('submit', async function(e) {
             e.preventDefault();
             
-            const policySelect = document.getElementById('policySelect');
+            const topic = document.getElementById('topicSelect').value;
             const suggestionText = document.getElementById('suggestionText');
             const emailInput = document.getElementById('emailInput');
             
-            const selectedPolicyId = policySelect.value; // This is policy_id (TEXT like "1.1.1")
             const suggestion = suggestionText.value.trim();
             const email = emailInput.value.trim();
             
@@ -198,9 +310,10 @@ document.addEventListener('DOMContentLoaded', async function() {
                 return;
             }
             
-            if (!selectedPolicyId) {
-                alert('Please select a policy to refer to.');
-                policySelect.focus();
+            const topicFields = getSuggestionTopicFields(topic);
+            if (topicFields.error) {
+                alert(topicFields.error);
+                topicFields.input.focus();
                 return;
             }
             
@@ -210,7 +323,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                 return;
             }
 
-            if (!emailInput.value.includes('@ualberta.ca')) {
+            if (!isAllowedSuggestionEmail(email)) {
                 alert('Please enter a valid UAlberta email address');
                 emailInput.focus();
                 return;
@@ -218,28 +331,29 @@ document.addEventListener('DOMContentLoaded', async function() {
             
             try {
                 // Submit suggestion to API
-                // API expects: policy_id (TEXT), suggestion (string), status: "pending"
-                await apiRequest('/api/suggestions', {
+                // API expects: topic, the topic's fields (policy_id as TEXT, bylaw_id, section,
+                // proposed_policy_title, quoted_text and proposed_text), suggestion (string),
+                // email, status: "pending"
+                // The suggestion only reaches the ASA once the student confirms their email
+                const created = await apiRequest('/api/suggestions', {
                     method: 'POST',
                     body: JSON.stringify({
-                        policy_id: selectedPolicyId, // TEXT like "1.1.1"
+                        topic: topic,
+                        ...topicFields.fields,
                         suggestion: suggestion,
-                        status: 'pending'
+                        email: email,
+                        status: 'pending',
+                        // The backend links to this page in the verification email
+                        confirm_url: `${window.location.origin}/public/suggestion-confirm.html`
                     })
                 });
                 
-                // Show success message
-                alert('Thank you for your suggestion!\n\nYour feedback has been submitted successfully.');
-                
-                // Reset form
-                policySelect.value = '';
-                suggestionText.value = '';
-                emailInput.value = '';
-                
-                showSuccessMessage();
+                window.location.href = `/public/suggestion-confirm.html?id=${encodeURIComponent(created.id)}`;
             } catch (error) {
                 console.error('Error submitting suggestion:', error);
-                alert('Failed to submit suggestion. Please try again later.');
+                alert(error.status === 400 && error.detail
+                    ? error.detail
+                    : 'Failed to submit suggestion. Please try again later.');
             }
         });
     }
@@ -0,0 +1,165 @@
+// ============================================
+// ASA Policy App - Shared API Client
+// ============================================
+
+// API Configuration
+// The backend URL comes from config.json (see js/shared/config.js);
+// window.API_BASE_URL still overrides it for local debugging.
+const API_TIMEOUT_MS = 45000; // Render cold starts can take a while
+const API_MAX_RETRIES = 2;
+const API_RETRY_DELAY_MS = 1000;
+
+/**
+ * Gets the backend base URL for the current deployment.
+ * @returns {string} The base URL without a trailing slash.
+ */
+function getApiBaseUrl() {
+    const baseUrl = window.API_BASE_URL || getAppConfig().apiBaseUrl;
+    return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Gets the stored access token for the logged in admin user.
+ * @returns {string|null} The access token, or null if not logged in.
+ */
+function getAccessToken() {
+    return localStorage.getItem('accessToken');
+}
+
+/**
+ * Creates an Error carrying the HTTP status so callers can react to specific codes.
+ * @param {string} message - Human-readable error message.
+ * @param {number} status - HTTP status code (0 for network errors and timeouts).
+ * @param {string|null} detail - The backend's own error detail, if any.
+ * @returns {Error} The error object with status and detail properties.
+ */
+function createApiError(message, status, detail = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.detail = detail;
+    return error;
+}
+
+/**
+ * Maps a failed response to an Error with a uniform message.
+ * @param {Response} response - The failed fetch response.
+ * @returns {Promise<Error>} The mapped error.
+ */
+async function mapResponseError(response) {
+    const body = await response.json().catch(() => ({}));
+    const detail = typeof body.detail === 'string' ? body.detail : (body.message || null);
+
+    if (response.status === 401) {
+        return createApiError('Your session has expired. Please login again.', 401, detail);
+    }
+    if (response.status === 403) {
+        return createApiError(detail || "You don't have permission to perform this action.", 403, detail);
+    }
+    if (response.status === 404) {
+        return createApiError('Resource not found', 404, detail);
+    }
+    if (response.status >= 500) {
+        return createApiError('Server error. Please try again later.', response.status, detail);
+    }
+    return createApiError(detail || 'Request failed', response.status, detail);
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Makes an API request with auth, timeout, retry and error handling.
+ * GET requests are retried on network errors, timeouts and 5xx responses.
+ * @param {string} endpoint - API endpoint (e.g., '/api/policies/approved')
+ * @param {Object} options - Fetch options (method, body, headers, etc.) plus:
+ *   auth (boolean, default true) - send the stored access token if there is one,
+ *   timeout (number) - request timeout in milliseconds,
+ *   retries (number) - retry attempts for GET requests.
+ * @returns {Promise<Object|null>} The response data (null for 204), or throws an Error with a status property
+ */
+async function apiRequest(endpoint, options = {}) {
+    const response = await apiRequestWithResponse(endpoint, options);
+    return response.data;
+}
+
+/**
+ * Same as apiRequest, but also returns the status and ETag for conditional requests.
+ * A 304 Not Modified (in reply to an If-None-Match header) resolves with data null.
+ * @param {string} endpoint - API endpoint (e.g., '/api/policies/approved')
+ * @param {Object} options - The same options as apiRequest.
+ * @returns {Promise<{status: number, data: Object|null, etag: string|null}>} The response.
+ */
+async function apiRequestWithResponse(endpoint, options = {}) {
+    const { auth = true, timeout = API_TIMEOUT_MS, retries, headers = {}, ...fetchOptions } = options;
+
+    // Wait for config.json so requests go to the configured backend
+    await appConfigReady;
+    const url = `${getApiBaseUrl()}${endpoint}`;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const maxRetries = retries !== undefined ? retries : (method === 'GET' ? API_MAX_RETRIES : 0);
+
+    const requestHeaders = {
+        'Content-Type': 'application/json',
+        ...headers
+    };
+    const token = auth ? getAccessToken() : null;
+    if (token && !requestHeaders['Authorization']) {
+        requestHeaders['Authorization'] = `Bearer ${token}`;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        let error;
+
+        try {
+            const response = await fetch(url, { ...fetchOptions, method, headers: requestHeaders, signal: controller.signal });
+            const etag = response.headers.get('ETag');
+
+            // Handle 304 Not Modified (conditional requests) and 204 No Content responses
+            if (response.status === 304 || response.status === 204) {
+                return { status: response.status, data: null, etag };
+            }
+
+            if (!response.ok) {
+                throw await mapResponseError(response);
+            }
+
+            return { status: response.status, data: await response.json(), etag };
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                error = createApiError('The server took too long to respond. Please try again.', 0);
+            } else if (err instanceof TypeError) {
+                error = createApiError('Network error. Please check your connection and try again.', 0);
+            } else {
+                error = err;
+            }
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        // A rejected token means the admin session is over; session.js logs out and redirects
+        if (error.status === 401 && token && typeof window.handleSessionExpired === 'function') {
+            window.handleSessionExpired();
+        }
+
+        const retryable = error.status === 0 || error.status >= 500;
+        if (!retryable || attempt >= maxRetries) {
+            throw error;
+        }
+        console.warn(`Request to ${endpoint} failed (${error.message}), retrying...`);
+        await sleep(API_RETRY_DELAY_MS * (attempt + 1));
+    }
+}
+
+// Export for global access
+window.apiRequest = apiRequest;
+window.apiRequestWithResponse = apiRequestWithResponse;
+window.getApiBaseUrl = getApiBaseUrl;
+window.getAccessToken = getAccessToken;
@@ -0,0 +1,136 @@
+// ============================================
+// ASA Policy App - Cached API Reads
+// ============================================
+// Stale-while-revalidate cache for the public, read-only endpoints (approved
+// policies and bylaws). Responses are kept in memory and in sessionStorage, so
+// moving between pages shows the last copy straight away; it is then checked
+// against the backend in the background with If-None-Match.
+
+const API_CACHE_PREFIX = 'apiCache:';
+const API_CACHE_REVALIDATE_AFTER_MS = 30 * 1000; // Copies younger than this are used without asking the backend
+
+const apiCacheMemory = new Map(); // endpoint -> {data, etag, storedAt}
+const apiCacheInFlight = new Map(); // endpoint -> Promise of the network request
+
+/**
+ * Reads a cached response from memory, falling back to sessionStorage.
+ * @param {string} endpoint - The API endpoint.
+ * @returns {Object|null} The cache entry ({data, etag, storedAt}), or null.
+ */
+function readApiCache(endpoint) {
+    if (apiCacheMemory.has(endpoint)) {
+        return apiCacheMemory.get(endpoint);
+    }
+    try {
+        const entry = JSON.parse(sessionStorage.getItem(API_CACHE_PREFIX + endpoint));
+        if (entry) apiCacheMemory.set(endpoint, entry);
+        return entry;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Stores a response in memory and, space permitting, in sessionStorage.
+ * @param {string} endpoint - The API endpoint.
+ * @param {Object} entry - The cache entry ({data, etag, storedAt}).
+ */
+function writeApiCache(endpoint, entry) {
+    apiCacheMemory.set(endpoint, entry);
+    try {
+        sessionStorage.setItem(API_CACHE_PREFIX + endpoint, JSON.stringify(entry));
+    } catch (error) {
+        // Storage full or unavailable (e.g. private browsing); the memory copy still works
+        console.warn('Could not store API response in sessionStorage:', error.message);
+    }
+}
+
+/**
+ * Drops cached responses, e.g. after a live update says the data has changed.
+ * @param {string} [prefix=''] - Only drop endpoints starting with this (e.g. '/api/policies').
+ */
+function invalidateApiCache(prefix = '') {
+    [...apiCacheMemory.keys()]
+        .filter(endpoint => endpoint.startsWith(prefix))
+        .forEach(endpoint => apiCacheMemory.delete(endpoint));
+
+    for (let i = sessionStorage.length - 1; i >= 0; i--) {
+        const key = sessionStorage.key(i);
+        if (key && key.startsWith(API_CACHE_PREFIX + prefix)) {
+            sessionStorage.removeItem(key);
+        }
+    }
+}
+
+/**
+ * Fetches an endpoint, sending the cached ETag so an unchanged response costs a 304.
+ * Concurrent calls for the same endpoint share one request.
+ * @param {string} endpoint - The API endpoint.
+ * @returns {Promise<{entry: Object, changed: boolean}>} The fresh cache entry and whether the data changed.
+ */
+function revalidateApiCache(endpoint) {
+    if (apiCacheInFlight.has(endpoint)) {
+        return apiCacheInFlight.get(endpoint);
+    }
+
+    const cached = readApiCache(endpoint);
+    const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+
+    // Public data only, so never send the admin token (staff would get drafts back)
+    const request = apiRequestWithResponse(endpoint, { auth: false, headers })
+        .then(response => {
+            if (response.status === 304 && cached) {
+                const entry = { ...cached, storedAt: Date.now() };
+                writeApiCache(endpoint, entry);
+                return { entry, changed: false };
+            }
+
+            const entry = { data: response.data, etag: response.etag, storedAt: Date.now() };
+            const changed = !cached || JSON.stringify(cached.data) !== JSON.stringify(response.data);
+            writeApiCache(endpoint, entry);
+            return { entry, changed };
+        })
+        .finally(() => {
+            apiCacheInFlight.delete(endpoint);
+        });
+
+    apiCacheInFlight.set(endpoint, request);
+    return request;
+}
+
+/**
+ * Makes a cached GET request (stale-while-revalidate).
+ * A cached copy is returned immediately; if it is older than
+ * API_CACHE_REVALIDATE_AFTER_MS it is also revalidated in the background, and
+ * onUpdate is called with the new data if the backend's copy has changed.
+ * Without a cached copy this waits for the network like apiRequest.
+ * @param {string} endpoint - API endpoint (e.g., '/api/policies/approved')
+ * @param {Object} [options] - Options:
+ *   onUpdate (Function) - called with the new data when a background revalidation finds changes.
+ * @returns {Promise<Object>} The response data, or throws an Error with a status property
+ */
+async function cachedApiRequest(endpoint, { onUpdate } = {}) {
+    const cached = readApiCache(endpoint);
+
+    if (!cached) {
+        const { entry } = await revalidateApiCache(endpoint);
+        return entry.data;
+    }
+
+    if (Date.now() - cached.storedAt > API_CACHE_REVALIDATE_AFTER_MS) {
+        revalidateApiCache(endpoint)
+            .then(({ entry, changed }) => {
+                if (changed && onUpdate) onUpdate(entry.data);
+            })
+            .catch(error => {
+                // Keep showing the cached copy; the next page load tries again
+                console.warn(`Could not revalidate ${endpoint}:`, error.message);
+            });
+    }
+
+    return cached.data;
+}
+
+// Export for global access
+window.cachedApiRequest = cachedApiRequest;
+window.invalidateApiCache = invalidateApiCache;
@@ -0,0 +1,75 @@
+// ============================================
+// ASA Policy App - Runtime Configuration
+// ============================================
+
+// Defaults used when /config.json is missing a key or cannot be loaded
+const DEFAULT_APP_CONFIG = {
+    apiBaseUrl: 'https://asa-policy-backend.onrender.com',
+    policyPollingIntervalSeconds: 30,
+    suggestionEmailDomains: ['ualberta.ca'],
+    contact: {
+        website: 'https://asa.su.ualberta.ca/',
+        websiteLabel: "Augustana Students' Association Website",
+        email: 'augsa@ualberta.ca',
+        phone: '7806791541',
+        phoneLabel: '(780) 679-1541',
+        location: ['L1 - 010, Students Forum', '4901 46 Ave', 'Camrose, AB T4V 2R3'],
+        officeHours: ['Tuesday to Friday', '10:00 AM to 4:30 PM or by appointment']
+    },
+    features: {
+        policyEvents: true,
+        policyPolling: true
+    }
+};
+
+let appConfig = DEFAULT_APP_CONFIG;
+
+/**
+ * Loads the deploy-time configuration from /config.json and merges it over the defaults.
+ * Never rejects: if the file is missing or invalid the defaults are used.
+ * @returns {Promise<Object>} The merged configuration.
+ */
+async function loadAppConfig() {
+    try {
+        const response = await fetch('/config.json', { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Failed to load config.json: ${response.status}`);
+        }
+        const loaded = await response.json();
+        appConfig = {
+            ...DEFAULT_APP_CONFIG,
+            ...loaded,
+            contact: { ...DEFAULT_APP_CONFIG.contact, ...(loaded.contact || {}) },
+            features: { ...DEFAULT_APP_CONFIG.features, ...(loaded.features || {}) }
+        };
+    } catch (error) {
+        console.warn('Using default configuration:', error.message);
+        appConfig = DEFAULT_APP_CONFIG;
+    }
+    return appConfig;
+}
+
+/**
+ * Gets the current configuration. Only complete once appConfigReady has resolved.
+ * @returns {Object} The configuration object.
+ */
+function getAppConfig() {
+    return appConfig;
+}
+
+/**
+ * Checks whether a feature switch is turned on.
+ * @param {string} name - Feature name as it appears under "features" in config.json.
+ * @returns {boolean} True if the feature is enabled.
+ */
+function isFeatureEnabled(name) {
+    return Boolean(appConfig.features && appConfig.features[name]);
+}
+
+// Start loading immediately so the file is usually ready before DOMContentLoaded
+const appConfigReady = loadAppConfig();
+
+// Export for global access
+window.appConfigReady = appConfigReady;
+window.getAppConfig = getAppConfig;
+window.isFeatureEnabled = isFeatureEnabled;
@@ -0,0 +1,163 @@
+// ============================================
+// ASA Policy App - Word-Level HTML Diff
+// ============================================
+// Compares two pieces of stored HTML (e.g. from the Quill editor) word by word
+// and marks what was removed and added, either as two versions shown side by side
+// or as a single redline.
+
+// Largest comparison table to build (changed tokens in old × new). Past this the
+// changed middle of the two documents is shown as entirely removed and added.
+const DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Splits HTML into tags, entities, whitespace runs, words and single punctuation marks.
+ * @param {string} html - The HTML to split.
+ * @returns {Array<string>} The tokens; joining them gives back the input.
+ */
+function tokenizeHtml(html) {
+    return (html || '').match(/<[^>]*>|&#?\w+;|\s+|[\p{L}\p{N}'’_-]+|[^\s<]/gu) || [];
+}
+
+function isTagToken(token) {
+    return token.startsWith('<');
+}
+
+/**
+ * Finds the longest common subsequence of two token lists and lists the edits.
+ * @param {Array<string>} oldTokens - Tokens of the old version.
+ * @param {Array<string>} newTokens - Tokens of the new version.
+ * @returns {Array<{type: string, token: string}>} Edits in document order; type is
+ *   'equal', 'removed' or 'added'.
+ */
+function diffTokens(oldTokens, newTokens) {
+    // Unchanged text at either end is common in policy edits and needs no table
+    let start = 0;
+    while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+        start++;
+    }
+    let oldEnd = oldTokens.length;
+    let newEnd = newTokens.length;
+    while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const equal = tokens => tokens.map(token => ({ type: 'equal', token }));
+    const prefix = equal(oldTokens.slice(0, start));
+    const suffix = equal(oldTokens.slice(oldEnd));
+    const oldMiddle = oldTokens.slice(start, oldEnd);
+    const newMiddle = newTokens.slice(start, newEnd);
+    const rows = oldMiddle.length;
+    const cols = newMiddle.length;
+
+    if ((rows + 1) * (cols + 1) > DIFF_MAX_CELLS) {
+        return [
+            ...prefix,
+            ...oldMiddle.map(token => ({ type: 'removed', token })),
+            ...newMiddle.map(token => ({ type: 'added', token })),
+            ...suffix
+        ];
+    }
+
+    // lengths[i][j] = LCS length of oldMiddle[i:] and newMiddle[j:]
+    const width = cols + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i * width + j] = oldMiddle[i] === newMiddle[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const edits = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (oldMiddle[i] === newMiddle[j]) {
+            edits.push({ type: 'equal', token: oldMiddle[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            edits.push({ type: 'removed', token: oldMiddle[i++] });
+        } else {
+            edits.push({ type: 'added', token: newMiddle[j++] });
+        }
+    }
+    while (i < rows) edits.push({ type: 'removed', token: oldMiddle[i++] });
+    while (j < cols) edits.push({ type: 'added', token: newMiddle[j++] });
+
+    return [...prefix, ...edits, ...suffix];
+}
+
+const DIFF_MARKERS = {
+    removed: ['<del class="diff-removed">', '</del>'],
+    added: ['<ins class="diff-added">', '</ins>']
+};
+
+/**
+ * Rebuilds HTML from a list of edits, wrapping changed text in <del>/<ins>.
+ * Tags are never wrapped, so markers are closed and reopened around them and the
+ * result keeps valid markup.
+ * @param {Array<{type: string, token: string}>} edits - Edits from diffTokens.
+ * @param {Array<string>} changeTypes - The changes to show: ['removed'] for the earlier
+ *   version, ['added'] for the later one, or both for a redline of the later version
+ *   with the removed words left in.
+ * @returns {string} The HTML.
+ */
+function renderDiffEdits(edits, changeTypes) {
+    const isRedline = changeTypes.includes('added');
+    let html = '';
+    let marking = null;
+
+    edits.forEach(({ type, token }) => {
+        if (type !== 'equal' && !changeTypes.includes(type)) return;
+
+        const isTag = isTagToken(token);
+        // A redline keeps the later version's markup
+        if (isTag && type === 'removed' && isRedline) return;
+
+        const marker = isTag || type === 'equal' ? null : type;
+        if (marker !== marking) {
+            if (marking) html += DIFF_MARKERS[marking][1];
+            if (marker) html += DIFF_MARKERS[marker][0];
+            marking = marker;
+        }
+        html += token;
+    });
+
+    return marking ? html + DIFF_MARKERS[marking][1] : html;
+}
+
+/**
+ * Compares two versions of some HTML word by word.
+ * @param {string} oldHtml - The earlier version.
+ * @param {string} newHtml - The later version.
+ * @returns {{oldHtml: string, newHtml: string, redlineHtml: string, changed: boolean}}
+ *   The earlier version with removed words in <del class="diff-removed">, the later one
+ *   with added words in <ins class="diff-added">, the later one with both, and whether
+ *   any text differs.
+ */
+function diffHtml(oldHtml, newHtml) {
+    const edits = diffTokens(tokenizeHtml(oldHtml), tokenizeHtml(newHtml));
+    return {
+        oldHtml: renderDiffEdits(edits, ['removed']),
+        newHtml: renderDiffEdits(edits, ['added']),
+        redlineHtml: renderDiffEdits(edits, ['removed', 'added']),
+        changed: edits.some(edit => edit.type !== 'equal' && !isTagToken(edit.token))
+    };
+}
+
+/**
+ * Redlines two pieces of plain text, such as a title before and after an edit.
+ * @param {string} oldText - The earlier text.
+ * @param {string} newText - The later text.
+ * @returns {string} Escaped HTML with removed words in <del> and added words in <ins>.
+ */
+function diffText(oldText, newText) {
+    return diffHtml(escapeHtml(oldText), escapeHtml(newText)).redlineHtml;
+}
+
+// Export for global access
+window.diffHtml = diffHtml;
+window.diffText = diffText;
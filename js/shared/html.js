@@ -0,0 +1,21 @@
+// ============================================
+// ASA Policy App - HTML Helpers
+// ============================================
+
+/**
+ * Escapes text for safe insertion into HTML.
+ * @param {string} text - Plain text. null and undefined become ''.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Export for global access
+window.escapeHtml = escapeHtml;
@@ -0,0 +1,156 @@
+// ============================================
+// ASA Policy App - Offline Support
+// ============================================
+// Registers the service worker (/sw.js) that keeps the public policy library
+// available offline, shows a banner while pages are running on the saved copy,
+// and resyncs the library when the connection comes back. Pages listen for the
+// "librarysynced" event on document to reload their data after a resync.
+
+const OFFLINE_BANNER_ID = 'offlineBanner';
+const OFFLINE_LAST_SYNC_URL = '/__offline__/last-sync'; // Written by sw.js
+const OFFLINE_SYNC_INTERVAL_MS = 10 * 60 * 1000; // Resync on page load at most this often
+const OFFLINE_RETRY_MS = 30 * 1000; // Retry interval while a slow network keeps us on the saved copy
+
+let showingOfflineCopy = false; // Whether this page has shown data from the saved copy
+let offlineRetryTimer = null;
+
+/**
+ * Gets when the approved policies and bylaws were last saved for offline use.
+ * @returns {Promise<Date|null>} The last sync time, or null if never synced.
+ */
+async function getLastSyncTime() {
+    if (!('caches' in window)) return null;
+    try {
+        const response = await caches.match(OFFLINE_LAST_SYNC_URL);
+        if (!response) return null;
+        const { syncedAt } = await response.json();
+        return syncedAt ? new Date(syncedAt) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Shows (or updates) the offline banner at the top of the page.
+ * @param {Date|null} syncedAt - When the saved copy was last synced.
+ */
+function showOfflineBanner(syncedAt) {
+    showingOfflineCopy = true;
+
+    let banner = document.getElementById(OFFLINE_BANNER_ID);
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = OFFLINE_BANNER_ID;
+        banner.className = 'offline-banner';
+        banner.setAttribute('role', 'status');
+        // Just below the search header, above the page content
+        const header = document.querySelector('.main-content > .header');
+        if (header) {
+            header.after(banner);
+        } else {
+            document.body.prepend(banner);
+        }
+    }
+
+    const lastUpdated = syncedAt
+        ? syncedAt.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+        : null;
+    banner.textContent = lastUpdated
+        ? `Offline — showing policies and bylaws last updated at ${lastUpdated}`
+        : 'Offline — showing saved policies and bylaws';
+}
+
+/**
+ * Removes the offline banner.
+ */
+function hideOfflineBanner() {
+    const banner = document.getElementById(OFFLINE_BANNER_ID);
+    if (banner) banner.remove();
+}
+
+/**
+ * Downloads the approved policies and bylaws so the service worker saves a fresh copy.
+ * If the page was showing the saved copy, it is told to reload its data.
+ * @returns {Promise<boolean>} True if the library was synced.
+ */
+async function syncOfflineLibrary() {
+    if (typeof apiRequest !== 'function') return false; // Pages without the API client have nothing to sync
+
+    try {
+        // cache: 'reload' tells sw.js to wait for the network instead of answering from the saved copy
+        await Promise.all([
+            apiRequest('/api/policies/approved', { auth: false, retries: 0, cache: 'reload' }),
+            apiRequest('/api/bylaws/approved', { auth: false, retries: 0, cache: 'reload' })
+        ]);
+    } catch (error) {
+        console.warn('Could not sync the offline library:', error.message);
+        return false;
+    }
+
+    hideOfflineBanner();
+    if (showingOfflineCopy) {
+        showingOfflineCopy = false;
+        if (typeof invalidateApiCache === 'function') {
+            invalidateApiCache();
+        }
+        document.dispatchEvent(new CustomEvent('librarysynced'));
+    }
+    return true;
+}
+
+/**
+ * Keeps trying to resync while the browser reports a connection that isn't working.
+ * When the browser knows it is offline, the "online" event triggers the resync instead.
+ */
+function scheduleOfflineRetry() {
+    if (offlineRetryTimer) return;
+    offlineRetryTimer = setTimeout(async () => {
+        offlineRetryTimer = null;
+        if (!navigator.onLine || !showingOfflineCopy) return;
+        if (!(await syncOfflineLibrary())) {
+            scheduleOfflineRetry();
+        }
+    }, OFFLINE_RETRY_MS);
+}
+
+/**
+ * Registers the service worker and wires up the offline banner and resync.
+ */
+async function initOfflineSupport() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        await navigator.serviceWorker.register('/sw.js');
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return;
+    }
+
+    // sw.js reports when it had to answer from the saved copy (offline or very slow network)
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'served-from-cache') {
+            showOfflineBanner(event.data.syncedAt ? new Date(event.data.syncedAt) : null);
+            scheduleOfflineRetry();
+        }
+    });
+
+    window.addEventListener('offline', async () => {
+        showOfflineBanner(await getLastSyncTime());
+    });
+    window.addEventListener('online', () => {
+        syncOfflineLibrary();
+    });
+
+    await appConfigReady;
+    const lastSync = await getLastSyncTime();
+    if (!navigator.onLine) {
+        showOfflineBanner(lastSync);
+    } else if (!lastSync || Date.now() - lastSync.getTime() > OFFLINE_SYNC_INTERVAL_MS) {
+        syncOfflineLibrary();
+    }
+}
+
+initOfflineSupport();
+
+// Export for global access
+window.syncOfflineLibrary = syncOfflineLibrary;
@@ -0,0 +1,31 @@
+// ============================================
+// ASA Policy App - Policy Fields
+// ============================================
+// The API names policy fields after the database columns (policy_name,
+// policy_content, ...); the public pages use camelCase names instead.
+
+/**
+ * Maps a policy from the API's field names to the frontend's.
+ * @param {Object} policy - The policy as returned by the API.
+ * @returns {Object} The mapped policy.
+ */
+function mapApiPolicy(policy) {
+    return {
+        id: policy.id, // Keep UUID for internal use
+        policyId: policy.policy_id, // TEXT identifier like "1.1.1"
+        name: policy.policy_name,
+        policyName: policy.policy_name, // Keep both for compatibility
+        section: policy.section,
+        content: policy.policy_content,
+        policyContent: policy.policy_content, // Keep both for compatibility
+        status: policy.status,
+        effectiveDate: policy.effective_date || null,
+        sunsetDate: policy.sunset_date || null,
+        createdAt: policy.created_at,
+        updatedAt: policy.updated_at,
+        createdBy: policy.created_by,
+        updatedBy: policy.updated_by
+    };
+}
+
+window.mapApiPolicy = mapApiPolicy;
@@ -0,0 +1,90 @@
+// ============================================
+// ASA Policy App - Effective and Sunset Dates
+// ============================================
+// A policy or bylaw can be approved ahead of the date it takes effect
+// (effective_date) and can stop applying after a sunset date (sunset_date, the
+// last day it is in effect). Both are calendar dates (YYYY-MM-DD) or null.
+
+/**
+ * Gets today's date in the reader's time zone.
+ * @returns {string} The date as YYYY-MM-DD.
+ */
+function getTodayDate() {
+    return new Date().toLocaleDateString('en-CA'); // en-CA formats as YYYY-MM-DD
+}
+
+/**
+ * Works out whether an item is in effect today.
+ * @param {string|null} effectiveDate - The first day in effect, or null once approved.
+ * @param {string|null} sunsetDate - The last day in effect, or null for no end.
+ * @returns {string} 'upcoming', 'expired' or 'active'.
+ */
+function getScheduleState(effectiveDate, sunsetDate) {
+    const today = getTodayDate();
+    if (sunsetDate && sunsetDate < today) return 'expired';
+    if (effectiveDate && effectiveDate > today) return 'upcoming';
+    return 'active';
+}
+
+/**
+ * Formats a schedule date like "May 1, 2027".
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @returns {string} The formatted date.
+ */
+function formatScheduleDate(date) {
+    // new Date('YYYY-MM-DD') is midnight UTC, which is the day before in North America
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Describes when an item is in effect, e.g. "Takes effect May 1, 2027".
+ * @param {string|null} effectiveDate - The first day in effect.
+ * @param {string|null} sunsetDate - The last day in effect.
+ * @returns {string} The description, or '' for an item in effect with no sunset date.
+ */
+function describeSchedule(effectiveDate, sunsetDate) {
+    const until = sunsetDate ? ` until ${formatScheduleDate(sunsetDate)}` : '';
+    switch (getScheduleState(effectiveDate, sunsetDate)) {
+        case 'upcoming':
+            return `Takes effect ${formatScheduleDate(effectiveDate)}${sunsetDate ? ` (${until.trim()})` : ''}`;
+        case 'expired':
+            return `No longer in effect (sunset ${formatScheduleDate(sunsetDate)})`;
+        default:
+            return sunsetDate ? `In effect${until}` : '';
+    }
+}
+
+/**
+ * Renders the badge on a card for an approved policy or bylaw that is not in effect yet.
+ * @param {string|null} effectiveDate - The first day in effect.
+ * @param {string|null} sunsetDate - The last day in effect.
+ * @returns {string} HTML string for the badge, or '' if the item is already in effect.
+ */
+function renderUpcomingBadge(effectiveDate, sunsetDate) {
+    if (getScheduleState(effectiveDate, sunsetDate) !== 'upcoming') return '';
+    return `<div class="card-upcoming">Upcoming · Takes effect ${formatScheduleDate(effectiveDate)}</div>`;
+}
+
+/**
+ * Shows when an item on a detail page is in effect, if that is not simply "now".
+ * @param {string|null} effectiveDate - The first day in effect.
+ * @param {string|null} sunsetDate - The last day in effect.
+ * @returns {void}
+ */
+function renderDetailSchedule(effectiveDate, sunsetDate) {
+    const scheduleEl = document.querySelector('.policy-schedule');
+    if (!scheduleEl) return;
+
+    const description = describeSchedule(effectiveDate, sunsetDate);
+    scheduleEl.textContent = description;
+    scheduleEl.className = `policy-schedule ${getScheduleState(effectiveDate, sunsetDate)}`;
+    scheduleEl.hidden = !description;
+}
+
+// Export for global access
+window.getScheduleState = getScheduleState;
+window.formatScheduleDate = formatScheduleDate;
+window.describeSchedule = describeSchedule;
+window.renderUpcomingBadge = renderUpcomingBadge;
+window.renderDetailSchedule = renderDetailSchedule;
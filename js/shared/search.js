@@ -0,0 +1,165 @@
+// ============================================
+// ASA Policy App - Shared Search Helpers
+// ============================================
+// Ranked full-text matching, highlighted snippets and in-page highlighting,
+// used by the policies and bylaws pages.
+
+const SNIPPET_RADIUS = 70; // characters of context on each side of the first match
+
+/**
+ * Converts stored HTML content (e.g. from the Quill editor) to plain text.
+ * @param {string} html - The HTML content.
+ * @returns {string} The text with tags removed and whitespace collapsed.
+ */
+function stripHtml(html) {
+    if (!html) return '';
+    const doc = new DOMParser().parseFromString(html.replace(/<\/(p|div|h\d|li)>/gi, '$& '), 'text/html');
+    return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Splits a search query into lowercase terms.
+ * @param {string} query - The raw search query.
+ * @returns {Array<string>} The search terms.
+ */
+function getSearchTerms(query) {
+    return (query || '').toLowerCase().split(/\s+/).filter(term => term.length > 0);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Counts how many times a term appears in a piece of text.
+ * @param {string} text - Lowercase text to search.
+ * @param {string} term - Lowercase term.
+ * @returns {number} The number of occurrences.
+ */
+function countOccurrences(text, term) {
+    let count = 0;
+    let index = text.indexOf(term);
+    while (index !== -1) {
+        count++;
+        index = text.indexOf(term, index + term.length);
+    }
+    return count;
+}
+
+/**
+ * Builds a snippet around the first match, with every term wrapped in <mark>.
+ * @param {string} text - Plain text to take the snippet from.
+ * @param {Array<string>} terms - Lowercase search terms.
+ * @returns {string} Escaped HTML for the snippet, or '' if no term matches.
+ */
+function createSearchSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+    if (positions.length === 0) return '';
+
+    const firstMatch = Math.min(...positions);
+    const start = Math.max(0, firstMatch - SNIPPET_RADIUS);
+    const end = Math.min(text.length, firstMatch + SNIPPET_RADIUS * 2);
+    const excerpt = text.slice(start, end);
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    // split() with a capturing group puts the matches at odd indexes
+    const highlighted = excerpt
+        .split(pattern)
+        .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+
+    return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Searches and ranks items across several weighted fields.
+ * Every term must appear in at least one field. Matches in heavier fields
+ * (e.g. titles) rank above matches in the body, and the whole query appearing
+ * as a phrase ranks higher still.
+ * @param {Array<Object>} items - The items to search.
+ * @param {string} query - The search query.
+ * @param {Function} getFields - Returns [{text, weight, snippet}] for an item; the
+ *   field marked snippet: true is used for the result snippet.
+ * @returns {Array<{item: Object, score: number, snippet: string}>} Matching items, best first.
+ */
+function searchItems(items, query, getFields) {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) return [];
+    const phrase = terms.join(' ');
+
+    const results = [];
+    items.forEach(item => {
+        const fields = getFields(item).map(field => ({ ...field, lower: (field.text || '').toString().toLowerCase() }));
+
+        const allTermsMatch = terms.every(term => fields.some(field => field.lower.includes(term)));
+        if (!allTermsMatch) return;
+
+        let score = 0;
+        fields.forEach(field => {
+            terms.forEach(term => {
+                score += countOccurrences(field.lower, term) * field.weight;
+            });
+            if (terms.length > 1 && field.lower.includes(phrase)) {
+                score += field.weight * 2;
+            }
+        });
+
+        const snippetField = fields.find(field => field.snippet);
+        const snippet = snippetField ? createSearchSnippet(snippetField.text || '', terms) : '';
+        results.push({ item, score, snippet });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Wraps every match of the query inside an element in <mark> and scrolls to the first one.
+ * Used on detail pages opened from a search result (?highlight=...).
+ * @param {HTMLElement} element - The element containing the rendered content.
+ * @param {string} query - The search query to highlight.
+ * @param {Object} [options] - scroll (boolean, default true): scroll the first match into view.
+ * @returns {HTMLElement|null} The first highlighted match, or null if none was found.
+ */
+function highlightSearchMatches(element, query, { scroll = true } = {}) {
+    const terms = getSearchTerms(query);
+    if (!element || terms.length === 0) return null;
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        pattern.lastIndex = 0;
+        if (!pattern.test(text)) return;
+
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        text.replace(pattern, (match, offset) => {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = match;
+            fragment.appendChild(mark);
+            lastIndex = offset + match.length;
+            return match;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+
+    const firstMatch = element.querySelector('mark.search-highlight');
+    if (firstMatch && scroll) {
+        firstMatch.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    return firstMatch;
+}
+
+// Export for global access
+window.stripHtml = stripHtml;
+window.searchItems = searchItems;
+window.highlightSearchMatches = highlightSearchMatches;
@@ -0,0 +1,84 @@
+// ============================================
+// ASA Policy App - Suggestion Status
+// ============================================
+// Where a student suggestion stands, as set by staff: new ("pending", shown to
+// the student as received), under review, accepted (optionally naming the policy
+// it was incorporated into), declined with a reason, or merged into another
+// suggestion. Shown to students on my-suggestions.html and to staff in the
+// suggestions manager, where a new suggestion is labelled "New" (staffLabel).
+
+const SUGGESTION_STATUSES = {
+    pending: { className: 'received', label: 'Received', staffLabel: 'New' },
+    under_review: { className: 'under-review', label: 'Under Review' },
+    accepted: { className: 'accepted', label: 'Accepted' },
+    declined: { className: 'declined', label: 'Declined' },
+    merged: { className: 'merged', label: 'Merged' }
+};
+
+/**
+ * Gets the label for a suggestion status.
+ * @param {string} status - The status from the API.
+ * @param {boolean} [forStaff=false] - Use the label staff see in the suggestions manager.
+ * @returns {string} The label, e.g. "Under Review".
+ */
+function getSuggestionStatusLabel(status, forStaff = false) {
+    const badge = SUGGESTION_STATUSES[status] || SUGGESTION_STATUSES.pending;
+    return (forStaff && badge.staffLabel) || badge.label;
+}
+
+/**
+ * Renders the status badge for a suggestion.
+ * @param {string} [status='pending'] - The status from the API.
+ * @param {boolean} [forStaff=false] - Use the label staff see.
+ * @returns {string} HTML string for the badge.
+ */
+function renderSuggestionStatusBadge(status = 'pending', forStaff = false) {
+    const badge = SUGGESTION_STATUSES[status] || SUGGESTION_STATUSES.pending;
+    return `<span class="suggestion-status ${badge.className}">${getSuggestionStatusLabel(status, forStaff)}</span>`;
+}
+
+/**
+ * Describes what a suggestion is about, e.g. "Policy 2.1.1 - Elections" or
+ * "New policy: Club Funding Policy".
+ * @param {Object} suggestion - Suggestion from the API.
+ * @returns {string} The description, or '' for a general suggestion.
+ */
+function describeSuggestionTopic(suggestion) {
+    if (suggestion.topic === 'new_policy') {
+        return `New policy: ${suggestion.proposed_policy_title}`;
+    }
+    if (suggestion.topic === 'section') {
+        return `Section: ${suggestion.section}`;
+    }
+    if (suggestion.policy_id_text) {
+        return `Policy ${suggestion.policy_id_text} - ${suggestion.policy_name}`;
+    }
+    if (suggestion.bylaw_number !== null && suggestion.bylaw_number !== undefined) {
+        return `Bylaw #${suggestion.bylaw_number}: ${suggestion.bylaw_title}`;
+    }
+    return '';
+}
+
+/**
+ * Explains the outcome of an accepted, declined or merged suggestion in plain text.
+ * @param {Object} suggestion - Suggestion from the API.
+ * @returns {string} e.g. "Incorporated into Policy 2.1.1 - Elections", or '' if there is nothing to add.
+ */
+function describeSuggestionOutcome(suggestion) {
+    if (suggestion.status === 'accepted' && suggestion.incorporated_policy_id_text) {
+        return `Incorporated into Policy ${suggestion.incorporated_policy_id_text} - ${suggestion.incorporated_policy_name}`;
+    }
+    if (suggestion.status === 'declined' && suggestion.status_reason) {
+        return `Reason: ${suggestion.status_reason}`;
+    }
+    if (suggestion.status === 'merged' && suggestion.merged_into_reference) {
+        return `Combined with a similar suggestion, ${suggestion.merged_into_reference}`;
+    }
+    return '';
+}
+
+// Export for global access
+window.getSuggestionStatusLabel = getSuggestionStatusLabel;
+window.renderSuggestionStatusBadge = renderSuggestionStatusBadge;
+window.describeSuggestionTopic = describeSuggestionTopic;
+window.describeSuggestionOutcome = describeSuggestionOutcome;
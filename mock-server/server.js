@@ -0,0 +1,1676 @@
+// ============================================
+// ASA Policy App - Local Mock Backend
+// ============================================
+// Serves the static site and a stand-in for asa-policy-backend so the whole
+// frontend can run offline. Data is seeded from ./fixtures and kept in memory;
+// restart the server (or POST /api/__mock__/reset) to get the seed data back.
+//
+// Usage: node mock-server/server.js   (PORT defaults to 8000)
+// Set TOKEN_TTL_SECONDS to a small value to try out session expiry, and
+// TRASH_RETENTION_DAYS to change how long deleted items stay in the trash.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8000;
+const SITE_ROOT = path.resolve(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const TOKEN_TTL_SECONDS = Number(process.env.TOKEN_TTL_SECONDS) || 60 * 60;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const SUGGESTION_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const SUGGESTION_CODE_MAX_ATTEMPTS = 5;
+const SUGGESTION_TRACKING_TTL_MS = 24 * 60 * 60 * 1000;
+const SUGGESTION_STATUSES = ['pending', 'under_review', 'accepted', 'declined', 'merged'];
+// What a suggestion is about: an existing policy or bylaw, a whole section of the
+// policy manual, nothing in particular, or a policy that doesn't exist yet
+const SUGGESTION_TOPICS = ['policy', 'bylaw', 'section', 'general', 'new_policy'];
+// Longest passage a policy or bylaw suggestion can quote, and the wording proposed to replace it
+const SUGGESTION_PASSAGE_MAX_LENGTH = 2000;
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Sign-offs a draft policy needs before it is published: role -> number of
+// approvals, or "majority" for more than half of the users with that role.
+// Override with e.g. APPROVAL_RULE='{"admin": 2}'.
+const APPROVAL_RULE = JSON.parse(process.env.APPROVAL_RULE || '{"admin": 1, "policy_working_group": "majority"}');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.webmanifest': 'application/manifest+json'
+};
+
+let db;
+
+/**
+ * Loads a seed fixture file.
+ * @param {string} name - Fixture name without extension (e.g. 'policies').
+ * @returns {Array<Object>} The parsed fixture data.
+ */
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Resets the in-memory database to the seed fixtures.
+ */
+function resetDatabase() {
+    db = {
+        users: loadFixture('users'),
+        policies: loadFixture('policies'),
+        policyVersions: loadFixture('policy_versions'),
+        bylaws: loadFixture('bylaws'),
+        suggestions: loadFixture('suggestions'),
+        reviews: loadFixture('reviews'),
+        reviewComments: [],
+        policyApprovals: [],
+        auditLog: [],
+        trash: [],
+        resetTokens: [],
+        suggestionNotes: [],
+        trackingCodes: [],
+        trackingSessions: []
+    };
+}
+
+/**
+ * Error thrown by route handlers; mirrors the backend's {detail} error body.
+ */
+class HttpError extends Error {
+    constructor(status, detail) {
+        super(detail);
+        this.status = status;
+        this.detail = detail;
+    }
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function now() {
+    return new Date().toISOString();
+}
+
+/**
+ * Strips the password before a user is sent to the client.
+ * @param {Object} user - The stored user.
+ * @returns {Object} The public user fields.
+ */
+function publicUser(user) {
+    const { password, ...rest } = user;
+    return rest;
+}
+
+function base64UrlEncode(data) {
+    return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+/**
+ * Issues an unsigned JWT-shaped token so the frontend can read its expiry like a real one.
+ * @param {Object} user - The user logging in.
+ * @returns {string} The access token.
+ */
+function createToken(user) {
+    const payload = { sub: user.id, exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS };
+    return `${base64UrlEncode({ alg: 'none', typ: 'JWT' })}.${base64UrlEncode(payload)}.mock`;
+}
+
+/**
+ * Resolves the logged in user from the Authorization header.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Object|null} The user, or null if there is no token.
+ */
+function getCurrentUser(req) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(match[1].split('.')[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new HttpError(401, 'Could not validate credentials');
+    }
+    if (!payload.exp || payload.exp * 1000 < Date.now()) {
+        throw new HttpError(401, 'Token has expired');
+    }
+    const user = db.users.find(u => u.id === payload.sub);
+    if (!user) {
+        throw new HttpError(401, 'Could not validate credentials');
+    }
+    return user;
+}
+
+/**
+ * Like getCurrentUser, but treats an invalid or expired token as anonymous.
+ * Used by public endpoints that show more to staff.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Object|null} The user, or null.
+ */
+function getOptionalUser(req) {
+    try {
+        return getCurrentUser(req);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Requires a logged in user with one of the given roles.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {string[]} roles - Allowed roles.
+ * @returns {Object} The current user.
+ */
+function requireRole(req, roles) {
+    const user = getCurrentUser(req);
+    if (!user) {
+        throw new HttpError(401, 'Not authenticated');
+    }
+    if (!roles.includes(user.role)) {
+        throw new HttpError(403, 'Not enough permissions');
+    }
+    return user;
+}
+
+const STAFF_ROLES = ['admin', 'policy_working_group'];
+
+function findPolicy(policyId) {
+    const policy = db.policies.find(p => p.policy_id === policyId);
+    if (!policy) {
+        throw new HttpError(404, 'Policy not found');
+    }
+    return policy;
+}
+
+function findBylaw(bylawId) {
+    const bylaw = db.bylaws.find(b => b.id === bylawId);
+    if (!bylaw) {
+        throw new HttpError(404, 'Bylaw not found');
+    }
+    return bylaw;
+}
+
+function filterByStatus(items, query) {
+    const status = query.get('status');
+    return status ? items.filter(item => item.status === status) : items;
+}
+
+const SCHEDULE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Whether an item's sunset date has passed. sunset_date is the last day it is in effect.
+ * @param {Object} item - The stored policy or bylaw.
+ * @returns {boolean}
+ */
+function isExpired(item) {
+    return Boolean(item.sunset_date) && item.sunset_date < today();
+}
+
+/**
+ * Applies effective_date and sunset_date from a request body (YYYY-MM-DD, or
+ * null/'' to clear). Fields missing from the body are left unchanged.
+ * @param {Object} item - The policy or bylaw being created or updated.
+ * @param {Object} body - The request body.
+ */
+function applySchedule(item, body) {
+    const schedule = {};
+    ['effective_date', 'sunset_date'].forEach(field => {
+        const value = body[field] === undefined ? item[field] : body[field];
+        if (value && (!SCHEDULE_DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+            throw new HttpError(400, `${field} must be a date in YYYY-MM-DD format`);
+        }
+        schedule[field] = value || null;
+    });
+    if (schedule.effective_date && schedule.sunset_date && schedule.sunset_date < schedule.effective_date) {
+        throw new HttpError(400, 'sunset_date cannot be before effective_date');
+    }
+    Object.assign(item, schedule);
+}
+
+function rejectIfExpired(item, itemType) {
+    if (isExpired(item)) {
+        throw new HttpError(400, `This ${itemType}'s sunset date (${item.sunset_date}) has passed; update it before approving`);
+    }
+}
+
+/**
+ * Adds an item's reviewer comments for staff, oldest first.
+ * @param {Object} item - The stored policy or bylaw.
+ * @param {string} itemType - 'policy' or 'bylaw'.
+ * @param {string} itemId - The policy_id (TEXT) or bylaw UUID the comments are filed under.
+ * @returns {Object} The item with review_comments.
+ */
+function withReviewComments(item, itemType, itemId) {
+    return {
+        ...item,
+        review_comments: db.reviewComments.filter(c => c.item_type === itemType && c.item_id === itemId)
+    };
+}
+
+/**
+ * Sends a draft back to its author with a comment saying what needs to change.
+ * The draft keeps its content and returns to the approval queue when resubmitted
+ * (saved with status "draft").
+ * @param {Object} item - The stored policy or bylaw, or a published policy's revision.
+ * @param {string} itemType - 'policy' or 'bylaw'.
+ * @param {string} itemId - The policy_id (TEXT) or bylaw UUID.
+ * @param {Object} user - The reviewer.
+ * @param {Object} body - The request body ({comment}).
+ */
+function requestChanges(item, itemType, itemId, user, body) {
+    const comment = (body.comment || '').trim();
+    if (!comment) {
+        throw new HttpError(400, 'A comment describing the changes needed is required');
+    }
+    if (item.status !== 'draft') {
+        throw new HttpError(400, `Only drafts awaiting approval can be sent back (status is ${item.status})`);
+    }
+
+    db.reviewComments.push({
+        id: crypto.randomUUID(),
+        item_type: itemType,
+        item_id: itemId,
+        comment,
+        created_by: user.id,
+        created_by_email: user.email,
+        created_at: now()
+    });
+    item.status = 'changes_requested';
+    item.updated_at = now();
+    item.updated_by = user.id;
+}
+
+/**
+ * Works out how far a draft policy is towards meeting APPROVAL_RULE.
+ * @param {Object} policy - The stored policy.
+ * @returns {{satisfied: boolean, requirements: Array<Object>, approvals: Array<Object>}}
+ *   Per-role progress ({role, required, approved}) and the sign-offs so far.
+ */
+function getApprovalProgress(policy) {
+    const approvals = db.policyApprovals.filter(a => a.policy_id === policy.policy_id);
+    const requirements = Object.entries(APPROVAL_RULE).map(([role, rule]) => {
+        const members = db.users.filter(u => u.role === role).length;
+        const required = rule === 'majority' ? (members > 0 ? Math.floor(members / 2) + 1 : 0) : Number(rule);
+        return { role, required, approved: approvals.filter(a => a.role === role).length };
+    });
+    return {
+        satisfied: requirements.every(r => r.approved >= r.required),
+        requirements,
+        approvals
+    };
+}
+
+// The fields a policy's sign-offs cover. Edits to them on a published policy are
+// kept as a pending revision until approved (see updatePublishedPolicy).
+const POLICY_TEXT_FIELDS = ['policy_name', 'section', 'policy_content'];
+
+/**
+ * Whether a policy is waiting for sign-offs: a draft, or a published policy whose
+ * pending revision has been submitted for approval.
+ * @param {Object} policy - The stored policy.
+ * @returns {boolean}
+ */
+function isAwaitingApproval(policy) {
+    return policy.status === 'draft' || Boolean(policy.revision && policy.revision.status === 'draft');
+}
+
+function withApprovalProgress(policy) {
+    return isAwaitingApproval(policy) ? { ...policy, approval_progress: getApprovalProgress(policy) } : policy;
+}
+
+/**
+ * The policy as the public site sees it, without any pending revision.
+ * @param {Object} policy - The stored policy.
+ * @returns {Object} The published fields.
+ */
+function publicPolicy(policy) {
+    const { revision, ...published } = policy;
+    return published;
+}
+
+function policyTextSnapshot(item) {
+    return Object.fromEntries(POLICY_TEXT_FIELDS.map(field => [field, item[field] ?? null]));
+}
+
+/**
+ * Saves an edit to a published policy. Effective and sunset dates apply straight
+ * away, but a new name, section or content is kept in policy.revision next to the
+ * live text and only replaces it once the revision has met APPROVAL_RULE.
+ * Saving with status "draft" resubmits a revision that was sent back for changes.
+ * @param {Object} policy - The stored, approved policy.
+ * @param {Object} user - The user making the edit.
+ * @param {Object} body - The request body.
+ */
+function updatePublishedPolicy(policy, user, body) {
+    const before = auditSnapshot('policy', policy);
+    applySchedule(policy, body);
+    if (before.effective_date !== policy.effective_date || before.sunset_date !== policy.sunset_date) {
+        policy.updated_at = now();
+        policy.updated_by = user.id;
+        recordAudit(user, 'policy.updated', 'policy', policy, before, auditSnapshot('policy', policy));
+        publishPolicyChange(policy, true);
+    }
+
+    const previous = policy.revision || null;
+    const current = previous || policy;
+    const text = Object.fromEntries(POLICY_TEXT_FIELDS.map(field => [field, body[field] !== undefined ? body[field] : current[field]]));
+    const resubmitted = Boolean(previous) && previous.status === 'changes_requested' && body.status === 'draft';
+    if (!resubmitted && POLICY_TEXT_FIELDS.every(field => text[field] === current[field])) {
+        return;
+    }
+
+    if (POLICY_TEXT_FIELDS.every(field => text[field] === policy[field])) {
+        // Edited back to the published text, so there is nothing left to approve
+        delete policy.revision;
+    } else {
+        policy.revision = {
+            ...text,
+            status: previous && !resubmitted ? previous.status : 'draft',
+            created_at: previous ? previous.created_at : now(),
+            created_by: previous ? previous.created_by : user.id,
+            updated_at: now(),
+            updated_by: user.id
+        };
+    }
+    // Sign-offs only count for the text that was signed off
+    clearPolicyApprovals(policy);
+    recordAudit(user, 'policy.revision_saved', 'policy', policy,
+        policyTextSnapshot(current), policyTextSnapshot(policy.revision || policy));
+}
+
+/**
+ * Drops a policy's sign-offs, e.g. when the draft they approved has been edited.
+ * @param {Object} policy - The stored policy.
+ */
+function clearPolicyApprovals(policy) {
+    db.policyApprovals = db.policyApprovals.filter(a => a.policy_id !== policy.policy_id);
+}
+
+/**
+ * Adds the joined policy/bylaw fields the backend returns with each suggestion.
+ * @param {Object} suggestion - The stored suggestion.
+ * @returns {Object} The suggestion with policy_id_text, policy_name, bylaw_number, bylaw_title,
+ * incorporated_policy_id_text and incorporated_policy_name for an accepted suggestion, and
+ * merged_into_reference for one merged into another.
+ */
+function expandSuggestion(suggestion) {
+    // A suggestion can outlive its policy or bylaw being moved to the trash
+    const policy = db.policies.find(p => p.id === suggestion.policy_id)
+        || findTrashedItem('policy', p => p.id === suggestion.policy_id);
+    const bylaw = db.bylaws.find(b => b.id === suggestion.bylaw_id)
+        || findTrashedItem('bylaw', b => b.id === suggestion.bylaw_id);
+    const incorporatedPolicy = suggestion.incorporated_policy_id
+        ? db.policies.find(p => p.id === suggestion.incorporated_policy_id)
+            || findTrashedItem('policy', p => p.id === suggestion.incorporated_policy_id)
+        : null;
+    const mergedInto = suggestion.merged_into_id
+        ? db.suggestions.find(s => s.id === suggestion.merged_into_id)
+            || findTrashedItem('suggestion', s => s.id === suggestion.merged_into_id)
+        : null;
+    // The pending code and link token never leave the server
+    const { verification, ...rest } = suggestion;
+    return {
+        ...rest,
+        policy_id_text: policy ? policy.policy_id : null,
+        policy_name: policy ? policy.policy_name : null,
+        bylaw_number: bylaw ? bylaw.bylaw_number : null,
+        bylaw_title: bylaw ? bylaw.bylaw_title : null,
+        incorporated_policy_id_text: incorporatedPolicy ? incorporatedPolicy.policy_id : null,
+        incorporated_policy_name: incorporatedPolicy ? incorporatedPolicy.policy_name : null,
+        merged_into_reference: mergedInto ? mergedInto.reference : null
+    };
+}
+
+/**
+ * Adds the triage fields only staff see: who the suggestion is assigned to and
+ * their internal notes (oldest first).
+ * @param {Object} suggestion - The stored suggestion.
+ * @returns {Object} The expanded suggestion with assigned_to_email, assigned_to_name and internal_notes.
+ */
+function withTriageFields(suggestion) {
+    const assignee = db.users.find(u => u.id === suggestion.assigned_to);
+    return {
+        ...expandSuggestion(suggestion),
+        assigned_to_email: assignee ? assignee.email : null,
+        assigned_to_name: assignee ? assignee.name : null,
+        internal_notes: db.suggestionNotes.filter(n => n.suggestion_id === suggestion.id)
+    };
+}
+
+/**
+ * The fields a student sees about their own suggestion on the tracking page.
+ * @param {Object} suggestion - The stored suggestion.
+ * @returns {Object} The expanded suggestion without staff assignment.
+ */
+function studentSuggestion(suggestion) {
+    const { assigned_to, ...rest } = expandSuggestion(suggestion);
+    return rest;
+}
+
+/**
+ * Checks an email against suggestionEmailDomains in config.json, like the public form does.
+ * @param {string} email - The submitter's email address.
+ * @returns {boolean} True if the email's domain is allowed.
+ */
+function isAllowedSuggestionEmail(email) {
+    const config = JSON.parse(fs.readFileSync(path.join(SITE_ROOT, 'config.json'), 'utf8'));
+    const [local, domain, ...extra] = email.split('@');
+    return Boolean(local) && extra.length === 0
+        && config.suggestionEmailDomains.some(allowed => allowed.toLowerCase() === domain);
+}
+
+/**
+ * Issues a new six-digit code and magic link for an unverified suggestion,
+ * replacing any earlier ones.
+ * @param {Object} suggestion - The stored suggestion.
+ * @param {string} [confirmUrl] - The confirmation page the link should open.
+ */
+function sendSuggestionVerification(suggestion, confirmUrl) {
+    suggestion.verification = {
+        token: crypto.randomBytes(24).toString('hex'),
+        code: String(crypto.randomInt(0, 1000000)).padStart(6, '0'),
+        expires_at: Date.now() + SUGGESTION_VERIFICATION_TTL_MS,
+        attempts: 0
+    };
+    const link = `${confirmUrl || '/public/suggestion-confirm.html'}?token=${suggestion.verification.token}`;
+    // No email is sent; the code and link are printed so they can be used by hand
+    console.log(`Suggestion verification for ${suggestion.email}: code ${suggestion.verification.code}, link ${link}`);
+}
+
+/**
+ * Creates a short reference a student can quote when asking about their suggestion.
+ * @returns {string} A reference like "SUG-3F9A2C" that no other suggestion has.
+ */
+function createSuggestionReference() {
+    let reference;
+    do {
+        reference = `SUG-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    } while (db.suggestions.some(s => s.reference === reference)
+        || findTrashedItem('suggestion', s => s.reference === reference));
+    return reference;
+}
+
+/**
+ * Lets the holder of a verified email see the suggestions sent from it.
+ * @param {string} email - The verified email address.
+ * @returns {{tracking_token: string, email: string, expires_at: string}} The tracking session.
+ */
+function createTrackingSession(email) {
+    const session = {
+        token: crypto.randomBytes(24).toString('hex'),
+        email,
+        expires_at: Date.now() + SUGGESTION_TRACKING_TTL_MS
+    };
+    db.trackingSessions.push(session);
+    return { tracking_token: session.token, email, expires_at: new Date(session.expires_at).toISOString() };
+}
+
+/**
+ * Resolves the tracking session from the Authorization header.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Object} The session ({token, email, expires_at}).
+ */
+function requireTrackingSession(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const session = db.trackingSessions.find(t => t.token === token);
+    if (!session || session.expires_at < Date.now()) {
+        throw new HttpError(401, 'Please verify your email to see your suggestions.');
+    }
+    return session;
+}
+
+/**
+ * Records a new version of a policy each time an approved copy of it is published:
+ * on first approval, and each time a revision of its name, section or content is approved.
+ * @param {Object} policy - The policy after the change.
+ * @param {Object} user - The user who made the change.
+ */
+function recordPolicyVersion(policy, user) {
+    if (policy.status !== 'approved') return;
+
+    const versions = db.policyVersions.filter(v => v.policy_id === policy.policy_id);
+    const latest = versions[versions.length - 1];
+    if (latest && ['policy_name', 'section', 'policy_content'].every(field => latest[field] === policy[field])) {
+        return;
+    }
+
+    db.policyVersions.push({
+        id: crypto.randomUUID(),
+        policy_id: policy.policy_id,
+        version: latest ? latest.version + 1 : 1,
+        policy_name: policy.policy_name,
+        section: policy.section,
+        policy_content: policy.policy_content,
+        approved_at: policy.updated_at,
+        approved_by: user.id
+    });
+}
+
+// Fields kept in audit log entries for each kind of target
+const AUDIT_FIELDS = {
+    policy: ['policy_name', 'section', 'policy_content', 'status', 'effective_date', 'sunset_date'],
+    bylaw: ['bylaw_title', 'bylaw_content', 'status', 'effective_date', 'sunset_date'],
+    user: ['email', 'name', 'role'],
+    suggestion: ['suggestion', 'proposed_policy_title', 'quoted_text', 'proposed_text', 'email', 'status', 'status_reason']
+};
+
+/**
+ * Copies the audited fields of a policy, bylaw, user or suggestion.
+ * @param {string} targetType - 'policy', 'bylaw', 'user' or 'suggestion'.
+ * @param {Object|null} item - The stored item.
+ * @returns {Object|null} The audited fields, or null if there is no item.
+ */
+function auditSnapshot(targetType, item) {
+    if (!item) return null;
+    return Object.fromEntries(AUDIT_FIELDS[targetType].map(field => [field, item[field] ?? null]));
+}
+
+/**
+ * Names the target of an audited action the way people refer to it.
+ * @param {string} targetType - 'policy', 'bylaw', 'user', 'suggestion' or 'reviews'.
+ * @param {Object|null} item - The stored item.
+ * @returns {{target_id: string|null, target_label: string}}
+ */
+function auditTarget(targetType, item) {
+    switch (targetType) {
+        case 'policy':
+            return { target_id: item.policy_id, target_label: item.policy_id };
+        case 'bylaw':
+            return { target_id: item.id, target_label: `Bylaw #${item.bylaw_number}` };
+        case 'user':
+            return { target_id: item.id, target_label: item.email };
+        case 'suggestion':
+            return { target_id: item.id, target_label: `Suggestion ${item.reference} from ${item.email || 'anonymous'}` };
+        default:
+            return { target_id: null, target_label: 'All policy reviews' };
+    }
+}
+
+/**
+ * Adds an entry to the audit log. When both before and after are given, only the
+ * fields that changed are kept, and an edit that changed nothing is not logged.
+ * @param {Object} actor - The user who acted.
+ * @param {string} action - e.g. 'policy.updated' (see GET /api/audit-log).
+ * @param {string} targetType - 'policy', 'bylaw', 'user', 'suggestion' or 'reviews'.
+ * @param {Object|null} item - The item acted on.
+ * @param {Object|null} before - Values before the action (null for creates).
+ * @param {Object|null} after - Values after it (null for deletes).
+ */
+function recordAudit(actor, action, targetType, item, before, after) {
+    if (before && after) {
+        const changed = Object.keys({ ...before, ...after }).filter(field => before[field] !== after[field]);
+        if (changed.length === 0) return;
+        before = Object.fromEntries(changed.map(field => [field, before[field] ?? null]));
+        after = Object.fromEntries(changed.map(field => [field, after[field] ?? null]));
+    }
+
+    db.auditLog.push({
+        id: crypto.randomUUID(),
+        created_at: now(),
+        actor_id: actor.id,
+        actor_email: actor.email,
+        actor_name: actor.name,
+        action,
+        target_type: targetType,
+        ...auditTarget(targetType, item),
+        before,
+        after
+    });
+}
+
+// ============================================
+// Trash
+// ============================================
+// Deleting a policy, bylaw or suggestion moves it from its list into db.trash,
+// where an admin can restore it or purge it for good. Items left in the trash
+// longer than TRASH_RETENTION_DAYS are purged automatically.
+
+const TRASH_COLLECTIONS = { policy: 'policies', bylaw: 'bylaws', suggestion: 'suggestions' };
+const SYSTEM_ACTOR = { id: null, email: 'system', name: 'Automatic purge' };
+
+/**
+ * Finds an item in the trash.
+ * @param {string} itemType - 'policy', 'bylaw' or 'suggestion'.
+ * @param {Function} predicate - Called with each trashed item of that type.
+ * @returns {Object|undefined} The stored item.
+ */
+function findTrashedItem(itemType, predicate) {
+    const entry = db.trash.find(e => e.item_type === itemType && predicate(e.item));
+    return entry && entry.item;
+}
+
+function findTrashEntry(itemType, itemId) {
+    const entry = db.trash.find(e => e.item_type === itemType && e.item.id === itemId);
+    if (!entry) {
+        throw new HttpError(404, 'Item not found in the trash');
+    }
+    return entry;
+}
+
+/**
+ * Moves an item out of its list and into the trash.
+ * @param {string} itemType - 'policy', 'bylaw' or 'suggestion'.
+ * @param {Object} item - The stored item.
+ * @param {Object} user - The user deleting it.
+ */
+function moveToTrash(itemType, item, user) {
+    const collection = TRASH_COLLECTIONS[itemType];
+    db[collection] = db[collection].filter(i => i !== item);
+    db.trash.push({
+        item_type: itemType,
+        item,
+        deleted_at: now(),
+        deleted_by: user.id,
+        deleted_by_email: user.email
+    });
+    recordAudit(user, `${itemType}.deleted`, itemType, item, auditSnapshot(itemType, item), null);
+}
+
+/**
+ * Permanently deletes a trashed item along with the reviews, versions and
+ * comments filed under it.
+ * @param {Object} entry - The trash entry.
+ * @param {Object} user - The user purging it, or SYSTEM_ACTOR.
+ */
+function purgeTrashEntry(entry, user) {
+    const { item_type: itemType, item } = entry;
+    db.trash = db.trash.filter(e => e !== entry);
+    if (itemType === 'policy') {
+        db.reviews = db.reviews.filter(r => r.policy_id !== item.policy_id);
+        db.policyVersions = db.policyVersions.filter(v => v.policy_id !== item.policy_id);
+        db.reviewComments = db.reviewComments.filter(c => !(c.item_type === 'policy' && c.item_id === item.policy_id));
+    } else if (itemType === 'bylaw') {
+        db.reviewComments = db.reviewComments.filter(c => !(c.item_type === 'bylaw' && c.item_id === item.id));
+    } else {
+        db.suggestionNotes = db.suggestionNotes.filter(n => n.suggestion_id !== item.id);
+    }
+    recordAudit(user, `${itemType}.purged`, itemType, item, auditSnapshot(itemType, item), null);
+}
+
+function purgeExpiredTrash() {
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    db.trash
+        .filter(entry => Date.parse(entry.deleted_at) < cutoff)
+        .forEach(entry => purgeTrashEntry(entry, SYSTEM_ACTOR));
+}
+
+/**
+ * Describes a trash entry for the admin trash view.
+ * @param {Object} entry - The trash entry.
+ * @returns {Object} id and item_type (for the restore/purge endpoints), target_label,
+ *   title, deleted_at, deleted_by_email and purge_at.
+ */
+function describeTrashEntry(entry) {
+    const { item_type: itemType, item } = entry;
+    const titles = { policy: item.policy_name, bylaw: item.bylaw_title, suggestion: item.suggestion };
+    return {
+        id: item.id,
+        item_type: itemType,
+        target_label: auditTarget(itemType, item).target_label,
+        title: titles[itemType] || '',
+        deleted_at: entry.deleted_at,
+        deleted_by_email: entry.deleted_by_email,
+        purge_at: new Date(Date.parse(entry.deleted_at) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+}
+
+// ============================================
+// Policy event stream (server-sent events)
+// ============================================
+
+const policyEventClients = new Set();
+let lastPolicyEventId = 0;
+
+/**
+ * Holds a GET /api/policies/events request open as an event stream.
+ */
+function openPolicyEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_HEARTBEAT_MS);
+    policyEventClients.add(res);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        policyEventClients.delete(res);
+    });
+}
+
+/**
+ * Tells connected clients how a change affected the public list of approved policies.
+ * @param {Object} policy - The policy after the change.
+ * @param {boolean} wasApproved - Whether it was approved before the change.
+ * @param {boolean} [deleted=false] - Whether the policy was deleted.
+ */
+function publishPolicyChange(policy, wasApproved, deleted = false) {
+    const isApproved = !deleted && policy.status === 'approved';
+    let event;
+    if (isApproved) {
+        event = wasApproved ? 'policy.updated' : 'policy.approved';
+    } else if (wasApproved) {
+        event = 'policy.removed';
+    } else {
+        return; // Drafts never reach the public site
+    }
+
+    const data = event === 'policy.removed' ? { id: policy.id, policy_id: policy.policy_id } : publicPolicy(policy);
+    lastPolicyEventId++;
+    policyEventClients.forEach(res => {
+        res.write(`id: ${lastPolicyEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+}
+
+// ============================================
+// Routes
+// ============================================
+
+// Each route is [method, pattern, handler]. Named segments (":id") are passed to
+// the handler in params; the first matching route wins, so literal paths such as
+// /api/policies/approved must come before /api/policies/:policyId.
+const routes = [
+    // ---------- Auth ----------
+    ['POST', '/api/auth/login', ({ body }) => {
+        const user = db.users.find(u => u.email === (body.email || '').toLowerCase());
+        if (!user || user.password !== body.password) {
+            throw new HttpError(401, 'Incorrect email or password');
+        }
+        return {
+            access_token: createToken(user),
+            token_type: 'bearer',
+            user: publicUser(user)
+        };
+    }],
+    ['GET', '/api/auth/me', ({ req }) => {
+        const user = getCurrentUser(req);
+        if (!user) {
+            throw new HttpError(401, 'Not authenticated');
+        }
+        return publicUser(user);
+    }],
+    ['POST', '/api/auth/register', ({ req, body }) => {
+        const actor = requireRole(req, ['admin']);
+        const email = (body.email || '').toLowerCase();
+        if (!email || !body.password) {
+            throw new HttpError(400, 'Email and password are required');
+        }
+        if (db.users.some(u => u.email === email)) {
+            throw new HttpError(400, 'A user with this email already exists');
+        }
+        const user = {
+            id: crypto.randomUUID(),
+            email,
+            name: body.name || '',
+            role: 'policy_working_group',
+            must_change_password: body.must_change_password !== false,
+            password: body.password
+        };
+        db.users.push(user);
+        recordAudit(actor, 'user.created', 'user', user, null, auditSnapshot('user', user));
+        return [201, publicUser(user)];
+    }],
+    ['POST', '/api/auth/change-password', ({ req, body }) => {
+        const user = getCurrentUser(req);
+        if (!user) {
+            throw new HttpError(401, 'Not authenticated');
+        }
+        if (user.password !== body.current_password) {
+            throw new HttpError(400, 'Current password is incorrect');
+        }
+        if (!body.new_password || body.new_password.length < 10) {
+            throw new HttpError(400, 'New password must be at least 10 characters long');
+        }
+        user.password = body.new_password;
+        user.must_change_password = false;
+        return { message: 'Password changed successfully' };
+    }],
+    ['POST', '/api/auth/forgot-password', ({ body }) => {
+        const user = db.users.find(u => u.email === (body.email || '').toLowerCase());
+        // Respond the same way for unknown emails so accounts can't be discovered
+        if (user) {
+            const token = crypto.randomBytes(24).toString('hex');
+            db.resetTokens.push({ token, userId: user.id, expiresAt: Date.now() + RESET_TOKEN_TTL_MS });
+            const resetUrl = body.reset_url || '/admin/reset-password.html';
+            // No email is sent; the link is printed so it can be opened by hand
+            console.log(`Password reset link for ${user.email}: ${resetUrl}?token=${token}`);
+        }
+        return { message: 'If an account exists for that email, a reset link has been sent' };
+    }],
+    ['POST', '/api/auth/reset-password', ({ body }) => {
+        const entry = db.resetTokens.find(t => t.token === body.token);
+        if (!entry || entry.expiresAt < Date.now()) {
+            throw new HttpError(400, 'This reset link is invalid or has expired.');
+        }
+        if (!body.new_password || body.new_password.length < 10) {
+            throw new HttpError(400, 'New password must be at least 10 characters long');
+        }
+        const user = db.users.find(u => u.id === entry.userId);
+        if (!user) {
+            throw new HttpError(400, 'This reset link is invalid or has expired.');
+        }
+        user.password = body.new_password;
+        user.must_change_password = false;
+        // Tokens are single use
+        db.resetTokens = db.resetTokens.filter(t => t.userId !== user.id);
+        return { message: 'Password has been reset' };
+    }],
+    ['GET', '/api/auth/users', ({ req }) => {
+        requireRole(req, STAFF_ROLES);
+        return db.users.map(publicUser);
+    }],
+    ['PUT', '/api/auth/users/:userId/role', ({ req, params, body }) => {
+        const actor = requireRole(req, ['admin']);
+        if (!['admin', 'policy_working_group', 'public'].includes(body.role)) {
+            throw new HttpError(400, 'Invalid role');
+        }
+        const user = db.users.find(u => u.id === params.userId);
+        if (!user) {
+            throw new HttpError(404, 'User not found');
+        }
+        const before = auditSnapshot('user', user);
+        user.role = body.role;
+        recordAudit(actor, 'user.role_changed', 'user', user, before, auditSnapshot('user', user));
+        return publicUser(user);
+    }],
+    ['DELETE', '/api/auth/users/:userId', ({ req, params }) => {
+        const currentUser = requireRole(req, ['admin']);
+        if (currentUser.id === params.userId) {
+            throw new HttpError(400, 'You cannot delete your own account');
+        }
+        const user = db.users.find(u => u.id === params.userId);
+        if (!user) {
+            throw new HttpError(404, 'User not found');
+        }
+        db.users = db.users.filter(u => u.id !== params.userId);
+        // Their suggestions go back to the unassigned pile
+        db.suggestions
+            .filter(s => s.assigned_to === user.id)
+            .forEach(s => { s.assigned_to = null; });
+        recordAudit(currentUser, 'user.deleted', 'user', user, auditSnapshot('user', user), null);
+        return { message: `User ${user.email} has been deleted successfully.` };
+    }],
+
+    // ---------- Policies ----------
+    ['GET', '/api/policies/approved', ({ query }) => {
+        const section = query.get('section');
+        return db.policies
+            .filter(p => p.status === 'approved' && !isExpired(p) && (!section || p.section === section))
+            .map(publicPolicy);
+    }],
+    ['DELETE', '/api/policies/reviews/reset-all', ({ req }) => {
+        const user = requireRole(req, ['admin']);
+        const deletedCount = db.reviews.length;
+        db.reviews = [];
+        recordAudit(user, 'reviews.reset', 'reviews', null, { review_count: deletedCount }, { review_count: 0 });
+        return { deleted_count: deletedCount };
+    }],
+    ['GET', '/api/policies', ({ req, query }) => {
+        requireRole(req, STAFF_ROLES);
+        return filterByStatus(db.policies, query)
+            .map(p => withApprovalProgress(withReviewComments(p, 'policy', p.policy_id)));
+    }],
+    ['POST', '/api/policies', ({ req, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        if (!body.policy_id || !body.policy_name || !body.section) {
+            throw new HttpError(400, 'policy_id, policy_name and section are required');
+        }
+        if (db.policies.some(p => p.policy_id === body.policy_id)) {
+            throw new HttpError(400, `A policy with ID ${body.policy_id} already exists`);
+        }
+        if (findTrashedItem('policy', p => p.policy_id === body.policy_id)) {
+            throw new HttpError(400, `A policy with ID ${body.policy_id} is in the trash; restore or permanently delete it first`);
+        }
+        if (body.status === 'approved') {
+            throw new HttpError(400, 'Policies are published through the approval workflow (PUT /api/policies/{policy_id}/approve)');
+        }
+        const policy = {
+            id: crypto.randomUUID(),
+            policy_id: body.policy_id,
+            policy_name: body.policy_name,
+            section: body.section,
+            policy_content: body.policy_content || '',
+            status: body.status || 'draft',
+            created_at: now(),
+            updated_at: now(),
+            created_by: user.id,
+            updated_by: user.id
+        };
+        applySchedule(policy, body);
+        db.policies.push(policy);
+        recordAudit(user, 'policy.created', 'policy', policy, null, auditSnapshot('policy', policy));
+        recordPolicyVersion(policy, user);
+        publishPolicyChange(policy, false);
+        return [201, policy];
+    }],
+    ['GET', '/api/policies/:policyId', ({ req, params }) => {
+        const policy = findPolicy(params.policyId);
+        const user = getOptionalUser(req);
+        // Drafts and pending revisions are only visible to staff
+        const isStaff = Boolean(user && STAFF_ROLES.includes(user.role));
+        if (policy.status !== 'approved' && !isStaff) {
+            throw new HttpError(404, 'Policy not found');
+        }
+        return isStaff ? policy : publicPolicy(policy);
+    }],
+    ['PUT', '/api/policies/:policyId', ({ req, params, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        const policy = findPolicy(params.policyId);
+        const wasApproved = policy.status === 'approved';
+        const before = auditSnapshot('policy', policy);
+        if (body.status === 'approved' && !wasApproved) {
+            throw new HttpError(400, 'Policies are published through the approval workflow (PUT /api/policies/{policy_id}/approve)');
+        }
+        if (wasApproved) {
+            updatePublishedPolicy(policy, user, body);
+            return withApprovalProgress(policy);
+        }
+        // Sign-offs only count for the text that was signed off
+        if (POLICY_TEXT_FIELDS.some(f => body[f] !== undefined && body[f] !== policy[f])) {
+            clearPolicyApprovals(policy);
+        }
+        applySchedule(policy, body);
+        [...POLICY_TEXT_FIELDS, 'status'].forEach(field => {
+            if (body[field] !== undefined) policy[field] = body[field];
+        });
+        policy.updated_at = now();
+        policy.updated_by = user.id;
+        recordAudit(user, 'policy.updated', 'policy', policy, before, auditSnapshot('policy', policy));
+        return withApprovalProgress(policy);
+    }],
+    ['PUT', '/api/policies/:policyId/approve', ({ req, params }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        const policy = findPolicy(params.policyId);
+        // A published policy is approved again only to publish its pending revision
+        const revision = policy.status === 'approved' ? policy.revision : null;
+        if (policy.status === 'approved' && !revision) {
+            return policy;
+        }
+        const pending = revision || policy;
+        if (pending.status !== 'draft') {
+            throw new HttpError(400, `Only drafts awaiting approval can be approved (status is ${pending.status})`);
+        }
+        rejectIfExpired(policy, 'policy');
+        if (!(user.role in APPROVAL_RULE)) {
+            throw new HttpError(403, 'Your role does not sign off on policies under the current approval rule');
+        }
+        if (db.policyApprovals.some(a => a.policy_id === policy.policy_id && a.user_id === user.id)) {
+            throw new HttpError(400, 'You have already approved this policy');
+        }
+
+        db.policyApprovals.push({
+            policy_id: policy.policy_id,
+            user_id: user.id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            approved_at: now()
+        });
+
+        // Published only once every part of the rule is met
+        if (!getApprovalProgress(policy).satisfied) {
+            recordAudit(user, 'policy.signed_off', 'policy', policy, null, null);
+            return withApprovalProgress(policy);
+        }
+        clearPolicyApprovals(policy);
+        const before = revision ? policyTextSnapshot(policy) : { status: 'draft' };
+        if (revision) {
+            POLICY_TEXT_FIELDS.forEach(field => { policy[field] = revision[field]; });
+            delete policy.revision;
+        }
+        policy.status = 'approved';
+        policy.updated_at = now();
+        policy.updated_by = user.id;
+        recordAudit(user, 'policy.approved', 'policy', policy, before, revision ? policyTextSnapshot(policy) : { status: 'approved' });
+        recordPolicyVersion(policy, user);
+        publishPolicyChange(policy, Boolean(revision));
+        return policy;
+    }],
+    ['PUT', '/api/policies/:policyId/request-changes', ({ req, params, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        const policy = findPolicy(params.policyId);
+        if (!(user.role in APPROVAL_RULE)) {
+            throw new HttpError(403, 'Your role does not sign off on policies under the current approval rule');
+        }
+        // For a published policy it is the pending revision that goes back to its author
+        const pending = policy.status === 'approved' && policy.revision ? policy.revision : policy;
+        requestChanges(pending, 'policy', policy.policy_id, user, body);
+        recordAudit(user, 'policy.changes_requested', 'policy', policy,
+            { status: 'draft' }, { status: pending.status, comment: body.comment.trim() });
+        clearPolicyApprovals(policy);
+        return withReviewComments(policy, 'policy', policy.policy_id);
+    }],
+    ['DELETE', '/api/policies/:policyId', ({ req, params }) => {
+        const user = requireRole(req, ['admin']);
+        const policy = findPolicy(params.policyId);
+        moveToTrash('policy', policy, user);
+        clearPolicyApprovals(policy);
+        publishPolicyChange(policy, policy.status === 'approved', true);
+        return null;
+    }],
+    ['GET', '/api/policies/:policyId/versions', ({ req, params }) => {
+        const policy = findPolicy(params.policyId);
+        const user = getOptionalUser(req);
+        // Like the policy itself, a draft's history is only visible to staff
+        if (policy.status !== 'approved' && !(user && STAFF_ROLES.includes(user.role))) {
+            throw new HttpError(404, 'Policy not found');
+        }
+        return db.policyVersions
+            .filter(v => v.policy_id === policy.policy_id)
+            .sort((a, b) => b.version - a.version);
+    }],
+    ['GET', '/api/policies/:policyId/reviews', ({ req, params }) => {
+        requireRole(req, STAFF_ROLES);
+        findPolicy(params.policyId);
+        const reviews = db.reviews.filter(r => r.policy_id === params.policyId);
+        const summarize = status => {
+            const people = reviews.filter(r => r.review_status === status).map(r => r.email);
+            return { numberOfPeople: people.length, people };
+        };
+        return { confirmed: summarize('confirmed'), needs_work: summarize('needs_work') };
+    }],
+    ['POST', '/api/policies/:policyId/reviews', ({ req, params, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        findPolicy(params.policyId);
+        if (!['confirmed', 'needs_work'].includes(body.review_status)) {
+            throw new HttpError(400, 'review_status must be "confirmed" or "needs_work"');
+        }
+        // One review per person per policy; resubmitting replaces it
+        db.reviews = db.reviews.filter(r => !(r.policy_id === params.policyId && r.email === user.email));
+        const review = { policy_id: params.policyId, email: user.email, review_status: body.review_status };
+        db.reviews.push(review);
+        return [201, review];
+    }],
+
+    // ---------- Bylaws ----------
+    ['GET', '/api/bylaws/approved', () => {
+        return db.bylaws.filter(b => b.status === 'approved' && !isExpired(b));
+    }],
+    ['GET', '/api/bylaws', ({ req, query }) => {
+        requireRole(req, STAFF_ROLES);
+        return filterByStatus(db.bylaws, query).map(b => withReviewComments(b, 'bylaw', b.id));
+    }],
+    ['POST', '/api/bylaws', ({ req, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        if (body.bylaw_number === undefined || body.bylaw_number === '' || !body.bylaw_title) {
+            throw new HttpError(400, 'bylaw_number and bylaw_title are required');
+        }
+        const bylawNumber = Number(body.bylaw_number);
+        if (db.bylaws.some(b => b.bylaw_number === bylawNumber)) {
+            throw new HttpError(400, `A bylaw with number ${bylawNumber} already exists`);
+        }
+        if (findTrashedItem('bylaw', b => b.bylaw_number === bylawNumber)) {
+            throw new HttpError(400, `Bylaw ${bylawNumber} is in the trash; restore or permanently delete it first`);
+        }
+        if (body.status === 'approved') {
+            throw new HttpError(400, 'Bylaws are published through the approval workflow (PUT /api/bylaws/{bylaw_id}/approve)');
+        }
+        const bylaw = {
+            id: crypto.randomUUID(),
+            bylaw_number: bylawNumber,
+            bylaw_title: body.bylaw_title,
+            bylaw_content: body.bylaw_content || '',
+            status: body.status || 'draft',
+            created_at: now(),
+            updated_at: now(),
+            created_by: user.id,
+            updated_by: user.id
+        };
+        applySchedule(bylaw, body);
+        db.bylaws.push(bylaw);
+        recordAudit(user, 'bylaw.created', 'bylaw', bylaw, null, auditSnapshot('bylaw', bylaw));
+        return [201, bylaw];
+    }],
+    ['GET', '/api/bylaws/:bylawId', ({ req, params }) => {
+        const bylaw = findBylaw(params.bylawId);
+        const user = getOptionalUser(req);
+        if (bylaw.status !== 'approved' && !(user && STAFF_ROLES.includes(user.role))) {
+            throw new HttpError(404, 'Bylaw not found');
+        }
+        return bylaw;
+    }],
+    ['PUT', '/api/bylaws/:bylawId', ({ req, params, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        const bylaw = findBylaw(params.bylawId);
+        const before = auditSnapshot('bylaw', bylaw);
+        // Only admins approve bylaws, through PUT /api/bylaws/{bylaw_id}/approve
+        if (body.status === 'approved' && bylaw.status !== 'approved') {
+            throw new HttpError(400, 'Bylaws are published through the approval workflow (PUT /api/bylaws/{bylaw_id}/approve)');
+        }
+        applySchedule(bylaw, body);
+        ['bylaw_title', 'bylaw_content', 'status'].forEach(field => {
+            if (body[field] !== undefined) bylaw[field] = body[field];
+        });
+        bylaw.updated_at = now();
+        bylaw.updated_by = user.id;
+        recordAudit(user, 'bylaw.updated', 'bylaw', bylaw, before, auditSnapshot('bylaw', bylaw));
+        return bylaw;
+    }],
+    ['PUT', '/api/bylaws/:bylawId/approve', ({ req, params }) => {
+        const user = requireRole(req, ['admin']);
+        const bylaw = findBylaw(params.bylawId);
+        if (bylaw.status !== 'draft') {
+            throw new HttpError(400, `Only drafts awaiting approval can be approved (status is ${bylaw.status})`);
+        }
+        rejectIfExpired(bylaw, 'bylaw');
+        const before = auditSnapshot('bylaw', bylaw);
+        bylaw.status = 'approved';
+        bylaw.updated_at = now();
+        bylaw.updated_by = user.id;
+        recordAudit(user, 'bylaw.approved', 'bylaw', bylaw, before, auditSnapshot('bylaw', bylaw));
+        return bylaw;
+    }],
+    ['PUT', '/api/bylaws/:bylawId/request-changes', ({ req, params, body }) => {
+        const user = requireRole(req, ['admin']);
+        const bylaw = findBylaw(params.bylawId);
+        requestChanges(bylaw, 'bylaw', bylaw.id, user, body);
+        recordAudit(user, 'bylaw.changes_requested', 'bylaw', bylaw,
+            { status: 'draft' }, { status: bylaw.status, comment: body.comment.trim() });
+        return withReviewComments(bylaw, 'bylaw', bylaw.id);
+    }],
+    ['DELETE', '/api/bylaws/:bylawId', ({ req, params }) => {
+        const user = requireRole(req, ['admin']);
+        const bylaw = findBylaw(params.bylawId);
+        moveToTrash('bylaw', bylaw, user);
+        return null;
+    }],
+
+    // ---------- Suggestions ----------
+    ['GET', '/api/suggestions', ({ req, query }) => {
+        requireRole(req, STAFF_ROLES);
+        // Suggestions whose email hasn't been confirmed are left out unless asked for
+        const includeUnverified = query.get('include_unverified') === 'true';
+        return db.suggestions
+            .filter(s => includeUnverified || s.verified)
+            .map(withTriageFields);
+    }],
+    ['POST', '/api/suggestions', ({ body }) => {
+        if (!body.suggestion || !body.suggestion.trim()) {
+            throw new HttpError(400, 'Suggestion text is required');
+        }
+        const email = (body.email || '').trim().toLowerCase();
+        if (!email) {
+            throw new HttpError(400, 'Email is required');
+        }
+        if (!isAllowedSuggestionEmail(email)) {
+            throw new HttpError(400, 'Please use your UAlberta email address');
+        }
+        // Older clients only send policy_id or bylaw_id
+        const topic = body.topic || (body.policy_id ? 'policy' : body.bylaw_id ? 'bylaw' : 'general');
+        if (!SUGGESTION_TOPICS.includes(topic)) {
+            throw new HttpError(400, `Topic must be one of: ${SUGGESTION_TOPICS.join(', ')}`);
+        }
+        // The public form sends the policy's TEXT id ("1.1.1"); store the UUID like the backend
+        const policy = topic === 'policy'
+            ? db.policies.find(p => p.policy_id === body.policy_id || p.id === body.policy_id)
+            : null;
+        if (topic === 'policy' && !policy) {
+            throw new HttpError(body.policy_id ? 404 : 400, body.policy_id ? 'Policy not found' : 'policy_id is required');
+        }
+        const bylaw = topic === 'bylaw' ? db.bylaws.find(b => b.id === body.bylaw_id) : null;
+        if (topic === 'bylaw' && !bylaw) {
+            throw new HttpError(body.bylaw_id ? 404 : 400, body.bylaw_id ? 'Bylaw not found' : 'bylaw_id is required');
+        }
+        const section = (body.section || '').trim();
+        if (topic === 'section' && !section) {
+            throw new HttpError(400, 'section is required');
+        }
+        const proposedTitle = (body.proposed_policy_title || '').trim();
+        if (topic === 'new_policy' && !proposedTitle) {
+            throw new HttpError(400, 'Please suggest a title for the new policy');
+        }
+        // A policy or bylaw suggestion can quote a passage and propose wording to replace it
+        const quotedText = (body.quoted_text || '').trim();
+        const proposedText = (body.proposed_text || '').trim();
+        if (quotedText && !['policy', 'bylaw'].includes(topic)) {
+            throw new HttpError(400, 'Only a policy or bylaw suggestion can quote a passage');
+        }
+        if (quotedText && !proposedText) {
+            throw new HttpError(400, 'Please suggest new wording for the quoted passage');
+        }
+        if (proposedText && !quotedText) {
+            throw new HttpError(400, 'quoted_text is required with proposed_text');
+        }
+        if (quotedText.length > SUGGESTION_PASSAGE_MAX_LENGTH || proposedText.length > SUGGESTION_PASSAGE_MAX_LENGTH) {
+            throw new HttpError(400, `The quoted passage and proposed wording can each be at most ${SUGGESTION_PASSAGE_MAX_LENGTH} characters`);
+        }
+        const suggestion = {
+            id: crypto.randomUUID(),
+            topic,
+            policy_id: policy ? policy.id : null,
+            bylaw_id: bylaw ? bylaw.id : null,
+            // A proposed new policy can say which section it would belong in
+            section: ['section', 'new_policy'].includes(topic) && section ? section : null,
+            proposed_policy_title: topic === 'new_policy' ? proposedTitle : null,
+            quoted_text: quotedText || null,
+            proposed_text: proposedText || null,
+            suggestion: body.suggestion.trim(),
+            email,
+            verified: false,
+            verified_at: null,
+            reference: createSuggestionReference(),
+            // Only staff change the status, starting from "pending" (received)
+            status: 'pending',
+            status_reason: null,
+            incorporated_policy_id: null,
+            merged_into_id: null,
+            assigned_to: null,
+            created_at: now()
+        };
+        suggestion.status_updated_at = suggestion.created_at;
+        sendSuggestionVerification(suggestion, body.confirm_url);
+        db.suggestions.push(suggestion);
+        return [201, expandSuggestion(suggestion)];
+    }],
+    ['POST', '/api/suggestions/verify', ({ body }) => {
+        // Either the token from the emailed link, or the suggestion's id and the emailed code
+        const suggestion = body.token
+            ? db.suggestions.find(s => s.verification && s.verification.token === body.token)
+            : db.suggestions.find(s => s.id === body.suggestion_id);
+        if (suggestion && suggestion.verified) {
+            return expandSuggestion(suggestion);
+        }
+        const verification = suggestion && suggestion.verification;
+        if (!verification || verification.expires_at < Date.now()
+            || verification.attempts >= SUGGESTION_CODE_MAX_ATTEMPTS) {
+            throw new HttpError(400, 'This verification link or code is invalid or has expired.');
+        }
+        if (!body.token && String(body.code || '').trim() !== verification.code) {
+            verification.attempts += 1;
+            throw new HttpError(400, 'That code is incorrect. Check the email we sent and try again.');
+        }
+        suggestion.verified = true;
+        suggestion.verified_at = now();
+        delete suggestion.verification;
+        // Confirming the email also proves who they are for the tracking page
+        return { ...expandSuggestion(suggestion), ...createTrackingSession(suggestion.email) };
+    }],
+    ['POST', '/api/suggestions/tracking/request', ({ body }) => {
+        const email = (body.email || '').trim().toLowerCase();
+        if (!isAllowedSuggestionEmail(email)) {
+            throw new HttpError(400, 'Please use your UAlberta email address');
+        }
+        const entry = {
+            email,
+            token: crypto.randomBytes(24).toString('hex'),
+            code: String(crypto.randomInt(0, 1000000)).padStart(6, '0'),
+            expires_at: Date.now() + SUGGESTION_VERIFICATION_TTL_MS,
+            attempts: 0
+        };
+        db.trackingCodes = db.trackingCodes.filter(c => c.email !== email);
+        db.trackingCodes.push(entry);
+        const link = `${body.tracking_url || '/public/my-suggestions.html'}?token=${entry.token}`;
+        // Sent whether or not the email has any suggestions, so addresses can't be probed
+        console.log(`Suggestion tracking sign-in for ${email}: code ${entry.code}, link ${link}`);
+        return { message: `A code has been sent to ${email}` };
+    }],
+    ['POST', '/api/suggestions/tracking/verify', ({ body }) => {
+        const email = (body.email || '').trim().toLowerCase();
+        const entry = body.token
+            ? db.trackingCodes.find(c => c.token === body.token)
+            : db.trackingCodes.find(c => c.email === email);
+        if (!entry || entry.expires_at < Date.now() || entry.attempts >= SUGGESTION_CODE_MAX_ATTEMPTS) {
+            throw new HttpError(400, 'This sign-in link or code is invalid or has expired.');
+        }
+        if (!body.token && String(body.code || '').trim() !== entry.code) {
+            entry.attempts += 1;
+            throw new HttpError(400, 'That code is incorrect. Check the email we sent and try again.');
+        }
+        db.trackingCodes = db.trackingCodes.filter(c => c !== entry);
+        return createTrackingSession(entry.email);
+    }],
+    ['GET', '/api/suggestions/mine', ({ req }) => {
+        const session = requireTrackingSession(req);
+        return db.suggestions
+            .filter(s => s.email === session.email && s.verified)
+            .map(studentSuggestion)
+            .reverse();
+    }],
+    ['PUT', '/api/suggestions/:suggestionId/status', ({ req, params, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        const suggestion = db.suggestions.find(s => s.id === params.suggestionId);
+        if (!suggestion) {
+            throw new HttpError(404, 'Suggestion not found');
+        }
+        if (!SUGGESTION_STATUSES.includes(body.status)) {
+            throw new HttpError(400, `Status must be one of: ${SUGGESTION_STATUSES.join(', ')}`);
+        }
+        const reason = (body.status_reason || '').trim();
+        if (body.status === 'declined' && !reason) {
+            throw new HttpError(400, 'Please give a reason for declining the suggestion');
+        }
+        // An accepted suggestion can name the policy it was incorporated into
+        let incorporatedPolicy = null;
+        if (body.status === 'accepted' && body.incorporated_policy_id) {
+            incorporatedPolicy = db.policies.find(p => p.policy_id === body.incorporated_policy_id
+                || p.id === body.incorporated_policy_id);
+            if (!incorporatedPolicy) {
+                throw new HttpError(404, 'Policy not found');
+            }
+        }
+        // A duplicate is merged into another suggestion, by id or tracking reference
+        let mergedInto = null;
+        if (body.status === 'merged') {
+            const target = String(body.merged_into || '').trim().toUpperCase();
+            mergedInto = db.suggestions.find(s => s.id.toUpperCase() === target || s.reference === target);
+            if (!mergedInto) {
+                throw new HttpError(404, 'The suggestion to merge into was not found');
+            }
+            if (mergedInto === suggestion) {
+                throw new HttpError(400, 'A suggestion cannot be merged into itself');
+            }
+            if (mergedInto.status === 'merged') {
+                throw new HttpError(400, `${mergedInto.reference} has itself been merged; merge into ${expandSuggestion(mergedInto).merged_into_reference} instead`);
+            }
+        }
+        const before = auditSnapshot('suggestion', suggestion);
+        suggestion.status = body.status;
+        suggestion.status_reason = body.status === 'declined' ? reason : null;
+        suggestion.incorporated_policy_id = incorporatedPolicy ? incorporatedPolicy.id : null;
+        suggestion.merged_into_id = mergedInto ? mergedInto.id : null;
+        suggestion.status_updated_at = now();
+        recordAudit(user, 'suggestion.status_changed', 'suggestion', suggestion, before, auditSnapshot('suggestion', suggestion));
+        return withTriageFields(suggestion);
+    }],
+    ['PUT', '/api/suggestions/:suggestionId/assignee', ({ req, params, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        const suggestion = db.suggestions.find(s => s.id === params.suggestionId);
+        if (!suggestion) {
+            throw new HttpError(404, 'Suggestion not found');
+        }
+        // Suggestions go to admins or working group members; null unassigns
+        const assignee = body.assigned_to ? db.users.find(u => u.id === body.assigned_to) : null;
+        if (body.assigned_to && (!assignee || !STAFF_ROLES.includes(assignee.role))) {
+            throw new HttpError(400, 'Suggestions can only be assigned to admins or policy working group members');
+        }
+        const before = { assigned_to_email: withTriageFields(suggestion).assigned_to_email };
+        suggestion.assigned_to = assignee ? assignee.id : null;
+        recordAudit(user, 'suggestion.assigned', 'suggestion', suggestion, before, { assigned_to_email: assignee ? assignee.email : null });
+        return withTriageFields(suggestion);
+    }],
+    ['POST', '/api/suggestions/:suggestionId/notes', ({ req, params, body }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        const suggestion = db.suggestions.find(s => s.id === params.suggestionId);
+        if (!suggestion) {
+            throw new HttpError(404, 'Suggestion not found');
+        }
+        const note = (body.note || '').trim();
+        if (!note) {
+            throw new HttpError(400, 'Note text is required');
+        }
+        db.suggestionNotes.push({
+            id: crypto.randomUUID(),
+            suggestion_id: suggestion.id,
+            note,
+            created_by: user.id,
+            created_by_email: user.email,
+            created_at: now()
+        });
+        return [201, withTriageFields(suggestion)];
+    }],
+    ['POST', '/api/suggestions/:suggestionId/resend-verification', ({ params, body }) => {
+        const suggestion = db.suggestions.find(s => s.id === params.suggestionId);
+        if (!suggestion) {
+            throw new HttpError(404, 'Suggestion not found');
+        }
+        if (suggestion.verified) {
+            throw new HttpError(400, 'This suggestion has already been verified');
+        }
+        sendSuggestionVerification(suggestion, body.confirm_url);
+        return { message: `A new code has been sent to ${suggestion.email}` };
+    }],
+    ['DELETE', '/api/suggestions/:suggestionId', ({ req, params }) => {
+        const user = requireRole(req, STAFF_ROLES);
+        const suggestion = db.suggestions.find(s => s.id === params.suggestionId);
+        if (!suggestion) {
+            throw new HttpError(404, 'Suggestion not found');
+        }
+        moveToTrash('suggestion', suggestion, user);
+        return null;
+    }],
+
+    // ---------- Trash ----------
+    ['GET', '/api/trash', ({ req }) => {
+        requireRole(req, ['admin']);
+        return {
+            retention_days: TRASH_RETENTION_DAYS,
+            items: db.trash.map(describeTrashEntry).reverse()
+        };
+    }],
+    ['POST', '/api/trash/:itemType/:itemId/restore', ({ req, params }) => {
+        const user = requireRole(req, ['admin']);
+        const entry = findTrashEntry(params.itemType, params.itemId);
+        const { item_type: itemType, item } = entry;
+        db.trash = db.trash.filter(e => e !== entry);
+        db[TRASH_COLLECTIONS[itemType]].push(item);
+        recordAudit(user, `${itemType}.restored`, itemType, item, null, auditSnapshot(itemType, item));
+        if (itemType === 'policy') {
+            publishPolicyChange(item, false);
+        }
+        return item;
+    }],
+    ['DELETE', '/api/trash/:itemType/:itemId', ({ req, params }) => {
+        const user = requireRole(req, ['admin']);
+        purgeTrashEntry(findTrashEntry(params.itemType, params.itemId), user);
+        return null;
+    }],
+
+    // ---------- Audit log ----------
+    ['GET', '/api/audit-log', ({ req, query }) => {
+        requireRole(req, ['admin']);
+        const actor = (query.get('actor') || '').toLowerCase();
+        const action = query.get('action');
+        const from = query.get('from');
+        const to = query.get('to');
+        return db.auditLog
+            .filter(entry => (!actor || entry.actor_email === actor)
+                && (!action || entry.action === action || entry.action.startsWith(`${action}.`))
+                && (!from || entry.created_at >= from)
+                && (!to || entry.created_at <= to))
+            .reverse();
+    }],
+
+    // ---------- Mock control ----------
+    ['POST', '/api/__mock__/reset', () => {
+        resetDatabase();
+        return { message: 'Mock data reset to fixtures' };
+    }]
+];
+
+/**
+ * Finds the route matching a request.
+ * @param {string} method - HTTP method.
+ * @param {string} pathname - Decoded request path.
+ * @returns {{handler: Function, params: Object}|null} The matched route, or null.
+ */
+function matchRoute(method, pathname) {
+    const segments = pathname.replace(/\/+$/, '').split('/');
+
+    for (const [routeMethod, pattern, handler] of routes) {
+        if (routeMethod !== method) continue;
+        const patternSegments = pattern.split('/');
+        if (patternSegments.length !== segments.length) continue;
+
+        const params = {};
+        const matches = patternSegments.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = segments[i];
+                return true;
+            }
+            return part === segments[i];
+        });
+        if (matches) {
+            return { handler, params };
+        }
+    }
+    return null;
+}
+
+// ============================================
+// HTTP server
+// ============================================
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Decodes a request path, or returns null if it has a malformed escape such as %E0%A4%A.
+ */
+function decodePathname(pathname) {
+    try {
+        return decodeURIComponent(pathname);
+    } catch (error) {
+        if (error instanceof URIError) return null;
+        throw error;
+    }
+}
+
+async function handleApi(req, res, url) {
+    const pathname = decodePathname(url.pathname);
+    if (pathname === null) {
+        throw new HttpError(400, 'Request path is not valid URL encoding');
+    }
+    const route = matchRoute(req.method, pathname);
+    if (!route) {
+        throw new HttpError(404, 'Not Found');
+    }
+
+    const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : {};
+    // Expired trash is purged lazily, before each request sees the data
+    purgeExpiredTrash();
+    const result = route.handler({ req, params: route.params, query: url.searchParams, body });
+    const [status, data] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+
+    if (data === null) {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    // ETags let the frontend cache revalidate with If-None-Match instead of re-downloading
+    if (req.method === 'GET' && status === 200) {
+        const etag = `"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex').slice(0, 16)}"`;
+        res.setHeader('ETag', etag);
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304);
+            res.end();
+            return;
+        }
+    }
+    sendJson(res, status, data);
+}
+
+/**
+ * Serves config.json with apiBaseUrl pointed at this server.
+ */
+function handleConfig(req, res) {
+    const config = JSON.parse(fs.readFileSync(path.join(SITE_ROOT, 'config.json'), 'utf8'));
+    config.apiBaseUrl = `http://${req.headers.host}`;
+    sendJson(res, 200, config);
+}
+
+function handleStatic(req, res, url) {
+    // Same rewrite as vercel.json
+    const pathname = url.pathname === '/' ? '/public/policies.html' : decodePathname(url.pathname);
+    if (pathname === null) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not Found');
+        return;
+    }
+    const filePath = path.join(SITE_ROOT, path.normalize(pathname));
+
+    if (!filePath.startsWith(SITE_ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not Found');
+            return;
+        }
+        const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    // Allow a frontend served from another port to use this API
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    try {
+        if (req.method === 'GET' && url.pathname === '/api/policies/events') {
+            openPolicyEventStream(req, res);
+        } else if (url.pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else if (url.pathname === '/config.json') {
+            handleConfig(req, res);
+        } else {
+            handleStatic(req, res, url);
+        }
+    } catch (error) {
+        if (error instanceof HttpError) {
+            sendJson(res, error.status, { detail: error.detail });
+        } else {
+            console.error(error);
+            sendJson(res, 500, { detail: 'Internal server error' });
+        }
+    }
+
+    console.log(`${req.method} ${req.url} -> ${res.statusCode}`);
+});
+
+resetDatabase();
+server.listen(PORT, () => {
+    console.log(`ASA Policy mock backend running at http://localhost:${PORT}`);
+    console.log('Seed logins: admin@example.com / alex, pwg@example.com / jordan');
+});
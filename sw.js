@@ -0,0 +1,287 @@
+// ============================================
+// ASA Policy App - Service Worker
+// ============================================
+// Keeps the public policy library usable offline:
+// - the public pages, scripts and styles are precached and served from the
+//   cache first, refreshing it in the background;
+// - config.json is fetched from the network first, so a redeployed apiBaseUrl
+//   or feature switch applies on the next load, and the cached copy is only
+//   used offline;
+// - approved policies and bylaws are fetched from the network first and the
+//   last good copy is kept, so policies.html, bylaws.html and their detail pages
+//   work from the last sync when the network is down or too slow.
+// Pages are told when they were given cached API data (see js/shared/offline.js).
+
+const CACHE_VERSION = 'v8';
+const STATIC_CACHE = `asa-static-${CACHE_VERSION}`;
+const API_CACHE = 'asa-api-v1';
+
+// Synthetic cache entry recording when the approved lists were last synced
+const LAST_SYNC_URL = '/__offline__/last-sync';
+
+// How long to wait for the API before answering from the cache
+const API_NETWORK_TIMEOUT_MS = 5000;
+
+const PRECACHE_URLS = [
+    '/',
+    '/public/policies.html',
+    '/public/policy-detail.html',
+    '/public/bylaws.html',
+    '/public/bylaw-detail.html',
+    '/public/search.html',
+    '/public/suggestions.html',
+    '/public/suggestion-confirm.html',
+    '/public/my-suggestions.html',
+    '/public/contact.html',
+    '/css/style.css',
+    '/js/shared/config.js',
+    '/js/shared/api.js',
+    '/js/shared/apiCache.js',
+    '/js/shared/html.js',
+    '/js/shared/search.js',
+    '/js/shared/diff.js',
+    '/js/shared/schedule.js',
+    '/js/shared/policyFields.js',
+    '/js/shared/suggestionStatus.js',
+    '/js/shared/offline.js',
+    '/js/public/policies.js',
+    '/js/public/bylaws.js',
+    '/js/public/search.js',
+    '/js/public/suggestions.js',
+    '/js/public/suggestionConfirm.js',
+    '/js/public/suggestionTracking.js',
+    '/js/public/suggestChange.js',
+    '/js/public/contact.js',
+    '/assets/asalogo.png',
+    '/assets/icon-192.png',
+    '/assets/icon-512.png',
+    '/assets/ASABylaws.pdf',
+    '/config.json',
+    '/manifest.webmanifest'
+];
+
+// Read-only API endpoints that make up the offline library
+const APPROVED_POLICIES_PATH = '/api/policies/approved';
+const APPROVED_BYLAWS_PATH = '/api/bylaws/approved';
+const CONFIG_PATH = '/config.json';
+const POLICY_DETAIL_PATTERN = /^\/api\/policies\/([^/]+)$/;
+const BYLAW_DETAIL_PATTERN = /^\/api\/bylaws\/([^/]+)$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== STATIC_CACHE && key !== API_CACHE).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Signed-in requests can return drafts, which must never end up in the offline copy
+    if (isLibraryApiRequest(url) && !request.headers.has('Authorization')) {
+        event.respondWith(handleApiRequest(event));
+    } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+        if (url.pathname.startsWith('/admin/')) return; // The admin area needs the backend anyway
+        event.respondWith(url.pathname === CONFIG_PATH ? handleConfigRequest(event) : handleStaticRequest(event));
+    } else if (url.hostname === 'cdnjs.cloudflare.com') {
+        // jsPDF for the policy PDF download
+        event.respondWith(handleStaticRequest(event));
+    }
+});
+
+/**
+ * Checks whether a request reads approved policies or bylaws.
+ * The API lives on another origin, so only the path is checked.
+ * @param {URL} url - The request URL.
+ * @returns {boolean} True for the endpoints the offline library needs.
+ */
+function isLibraryApiRequest(url) {
+    const path = url.pathname;
+    if (path === APPROVED_POLICIES_PATH || path === APPROVED_BYLAWS_PATH) return true;
+    // The event stream is a long-lived connection, not something to cache
+    if (path === '/api/policies/events') return false;
+    return POLICY_DETAIL_PATTERN.test(path) || BYLAW_DETAIL_PATTERN.test(path);
+}
+
+/**
+ * Serves pages and assets from the cache, refreshing the cached copy in the background.
+ * Navigations ignore the query string so any ?id= opens the cached detail page.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The response.
+ */
+async function handleStaticRequest(event) {
+    const request = event.request;
+    const cache = await caches.open(STATIC_CACHE);
+    const isNavigation = request.mode === 'navigate';
+    const cached = await cache.match(request, { ignoreSearch: isNavigation });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                const key = isNavigation ? new URL(request.url).pathname : request;
+                cache.put(key, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Serves config.json from the network, keeping the last good copy for when the
+ * network is down. js/shared/config.js asks for it with cache: 'no-store', which
+ * only bypasses the HTTP cache, so the worker must not answer from its own first.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The response.
+ */
+async function handleConfigRequest(event) {
+    const cache = await caches.open(STATIC_CACHE);
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) {
+            await cache.put(CONFIG_PATH, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(CONFIG_PATH);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves approved policies and bylaws from the network, falling back to the last
+ * cached copy when offline or when the network is slower than API_NETWORK_TIMEOUT_MS.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The response.
+ */
+async function handleApiRequest(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+    const cache = await caches.open(API_CACHE);
+    // Cache by URL alone so conditional (If-None-Match) requests share the stored copy
+    const cacheKey = url.href;
+
+    const network = fetch(request).then(async (response) => {
+        if (response.status === 200) {
+            await cache.put(cacheKey, response.clone());
+            if (url.pathname === APPROVED_POLICIES_PATH && !url.search) {
+                await recordLastSync(cache);
+            }
+        }
+        return response;
+    });
+
+    // Resyncs from js/shared/offline.js ask for the network with cache: 'reload'
+    const fallback = request.cache === 'reload' ? null : await findCachedApiResponse(cache, url);
+    if (!fallback) {
+        return network;
+    }
+
+    // Answer from the cache if the network fails or stalls, but let it finish in the background
+    event.waitUntil(network.catch(() => {}));
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('timeout')), API_NETWORK_TIMEOUT_MS);
+    });
+    try {
+        // A 304 or error status from a reachable backend is passed through as-is
+        return await Promise.race([network, timeout]);
+    } catch (error) {
+        notifyServedFromCache(event.clientId || event.resultingClientId);
+        return fallback;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Finds the cached copy of an API response. Detail and per-section requests that
+ * were never made online are answered from the cached approved lists, so every
+ * synced policy and bylaw opens offline.
+ * @param {Cache} cache - The API cache.
+ * @param {URL} url - The request URL.
+ * @returns {Promise<Response|null>} The cached or derived response, or null.
+ */
+async function findCachedApiResponse(cache, url) {
+    const exact = await cache.match(url.href);
+    if (exact) return exact;
+
+    const listUrl = (path) => new URL(path, url.origin).href;
+
+    if (url.pathname === APPROVED_POLICIES_PATH && url.searchParams.has('section')) {
+        const policies = await readCachedJson(cache, listUrl(APPROVED_POLICIES_PATH));
+        const section = url.searchParams.get('section');
+        return policies ? jsonResponse(policies.filter(policy => policy.section === section)) : null;
+    }
+
+    const policyMatch = url.pathname.match(POLICY_DETAIL_PATTERN);
+    if (policyMatch) {
+        const policies = await readCachedJson(cache, listUrl(APPROVED_POLICIES_PATH));
+        const policyId = decodeURIComponent(policyMatch[1]);
+        const policy = policies && policies.find(p => p.policy_id === policyId || p.id === policyId);
+        return policy ? jsonResponse(policy) : null;
+    }
+
+    const bylawMatch = url.pathname.match(BYLAW_DETAIL_PATTERN);
+    if (bylawMatch) {
+        const bylaws = await readCachedJson(cache, listUrl(APPROVED_BYLAWS_PATH));
+        const bylawId = decodeURIComponent(bylawMatch[1]);
+        const bylaw = bylaws && bylaws.find(b => b.id === bylawId);
+        return bylaw ? jsonResponse(bylaw) : null;
+    }
+
+    return null;
+}
+
+async function readCachedJson(cache, href) {
+    const response = await cache.match(href);
+    return response ? response.json() : null;
+}
+
+function jsonResponse(data) {
+    return new Response(JSON.stringify(data), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Records the time of the last successful sync of the approved policies.
+ * @param {Cache} cache - The API cache.
+ */
+async function recordLastSync(cache) {
+    await cache.put(LAST_SYNC_URL, jsonResponse({ syncedAt: new Date().toISOString() }));
+}
+
+/**
+ * Tells a page it was given cached API data, so it can show the offline banner.
+ * @param {string} clientId - The ID of the page that made the request.
+ */
+async function notifyServedFromCache(clientId) {
+    const client = clientId ? await self.clients.get(clientId) : null;
+    if (!client) return;
+
+    const cache = await caches.open(API_CACHE);
+    const lastSync = await readCachedJson(cache, LAST_SYNC_URL);
+    client.postMessage({ type: 'served-from-cache', syncedAt: lastSync ? lastSync.syncedAt : null });
+}
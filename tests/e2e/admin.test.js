@@ -0,0 +1,419 @@
+// Admin pages: logging in, creating and editing policies, approving and
+// requesting changes, triaging suggestions, what each role is offered on the
+// master dashboard, the audit log and the trash
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupE2E, apiCall, getToken, acceptDialogs, loginAs, isShown } = require('./helpers');
+
+const e2e = setupE2E();
+
+/**
+ * Opens the approvals page and waits for the pending policies to load.
+ * @param {Object} page - Puppeteer page (logged in).
+ * @param {string} baseUrl - Where the site is served.
+ */
+async function openApprovals(page, baseUrl) {
+    await page.goto(`${baseUrl}/admin/approvals.html`);
+    await page.waitForSelector('#pendingPoliciesList .approval-item');
+}
+
+/**
+ * Gets a policy as staff see it in the admin policy list, with its review comments.
+ * @param {string} baseUrl - Where the mock backend is served.
+ * @param {string} policyId - Policy ID, e.g. '2.2.1'.
+ * @returns {Promise<Object|undefined>} The policy.
+ */
+async function getStaffPolicy(baseUrl, policyId) {
+    const token = await getToken(baseUrl, 'admin');
+    const { body } = await apiCall(baseUrl, 'GET', '/api/policies', { token });
+    return body.find(policy => policy.policy_id === policyId);
+}
+
+/**
+ * Clicks a button on a pending policy and accepts the dialogs it opens.
+ * @param {Object} page - Puppeteer page on the approvals page.
+ * @param {string} policyId - Policy ID, e.g. '3.2.1'.
+ * @param {string} button - Button class, 'btn-approve' or 'btn-disapprove'.
+ * @param {number} count - How many dialogs the button opens.
+ * @param {string} [comment] - Answer to a prompt.
+ * @returns {Promise<Array<string>>} The dialog messages, the alert last.
+ */
+async function actOnPendingPolicy(page, policyId, button, count, comment) {
+    const dialogs = acceptDialogs(page, count, comment);
+    await page.click(`.approval-item[data-identifier="${policyId}"] .${button}`);
+    return dialogs;
+}
+
+describe('Login', () => {
+    it('stores the access token and opens the admin policies page', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+
+        assert.equal(page.url(), `${baseUrl}/admin/policies.html`);
+        const token = await page.evaluate(() => localStorage.getItem('accessToken'));
+        assert.ok(token, 'accessToken is stored');
+
+        const me = await apiCall(baseUrl, 'GET', '/api/auth/me', { token });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.email, 'admin@example.com');
+    });
+
+    it('shows an error and stores nothing for a wrong password', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/admin/login.html`);
+        await page.type('#email', 'admin@example.com');
+        await page.type('#password', 'wrong');
+
+        const dialogs = acceptDialogs(page);
+        await page.click('#loginForm button[type="submit"]');
+        assert.deepEqual(await dialogs, ['Login failed. Check credentials.']);
+        assert.equal(await page.evaluate(() => localStorage.getItem('accessToken')), null);
+    });
+
+    it('keeps public accounts out of the admin area', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/admin/login.html`);
+        await page.type('#email', 'member@example.com');
+        await page.type('#password', 'sam');
+
+        const dialogs = acceptDialogs(page);
+        await page.click('#loginForm button[type="submit"]');
+        assert.deepEqual(await dialogs, ['This account does not have access to the admin area.']);
+        assert.equal(await page.evaluate(() => localStorage.getItem('accessToken')), null);
+    });
+
+    it('sends a visitor with no session to login and back to the page they opened', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/admin/policy-form.html`);
+        await page.waitForFunction(() => window.location.pathname === '/admin/login.html');
+        await page.waitForSelector('#email');
+
+        await page.type('#email', 'admin@example.com');
+        await page.type('#password', 'alex');
+        await Promise.all([
+            page.waitForNavigation(),
+            page.click('#loginForm button[type="submit"]')
+        ]);
+        assert.equal(page.url(), `${baseUrl}/admin/policy-form.html`);
+    });
+});
+
+describe('Policy form', () => {
+    /**
+     * Fills in the create policy form.
+     * @param {Object} page - Puppeteer page on the policy form.
+     * @param {string} policyId - Policy ID to enter.
+     */
+    async function fillNewPolicy(page, policyId) {
+        await page.waitForSelector('#policyContent .ql-editor');
+        await page.type('#policyId', policyId);
+        await page.type('#policyName', 'Club Funding');
+        await page.select('#section', 'Operations, Staff & Finance');
+        await page.click('#policyContent .ql-editor');
+        await page.keyboard.type('Clubs may apply for funding twice a year.');
+    }
+
+    it('creates a draft policy', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        await page.goto(`${baseUrl}/admin/policy-form.html`);
+        await fillNewPolicy(page, '3.3.1');
+
+        const dialogs = acceptDialogs(page);
+        await Promise.all([
+            page.waitForNavigation(),
+            page.click('#policyForm button[type="submit"]')
+        ]);
+        assert.deepEqual(await dialogs, ['Policy created successfully']);
+        assert.equal(page.url(), `${baseUrl}/admin/policies.html`);
+
+        const token = await getToken(baseUrl, 'admin');
+        const { status, body } = await apiCall(baseUrl, 'GET', '/api/policies/3.3.1', { token });
+        assert.equal(status, 200);
+        assert.equal(body.policy_name, 'Club Funding');
+        assert.equal(body.section, 'Operations, Staff & Finance');
+        assert.equal(body.status, 'draft');
+        assert.match(body.policy_content, /Clubs may apply for funding twice a year\./);
+    });
+
+    it('shows the backend error for a duplicate policy ID', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        await page.goto(`${baseUrl}/admin/policy-form.html`);
+        await fillNewPolicy(page, '1.1.1');
+
+        const dialogs = acceptDialogs(page);
+        await page.click('#policyForm button[type="submit"]');
+        assert.deepEqual(await dialogs, ['A policy with ID 1.1.1 already exists']);
+    });
+
+    it('edits a draft policy', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        const draft = await getStaffPolicy(baseUrl, '2.2.1');
+        await page.goto(`${baseUrl}/admin/policy-form.html?id=${draft.id}`);
+        await page.waitForFunction(() => document.getElementById('policyName').value !== '');
+
+        assert.equal(await page.$eval('#policyId', el => el.disabled), true);
+        await page.$eval('#policyName', input => { input.value = ''; });
+        await page.type('#policyName', 'Council and Committee Meetings');
+
+        const dialogs = acceptDialogs(page);
+        await Promise.all([
+            page.waitForNavigation(),
+            page.click('#policyForm button[type="submit"]')
+        ]);
+        assert.deepEqual(await dialogs, ['Policy updated successfully']);
+
+        const policy = await getStaffPolicy(baseUrl, '2.2.1');
+        assert.equal(policy.policy_name, 'Council and Committee Meetings');
+        assert.equal(policy.policy_content, draft.policy_content);
+    });
+
+    it('keeps edits to a published policy pending until they are approved', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        const published = await getStaffPolicy(baseUrl, '1.1.1');
+        await page.goto(`${baseUrl}/admin/policy-form.html?id=${published.id}`);
+        await page.waitForSelector('#revisionNotice:not([hidden])');
+        await page.waitForFunction(() => document.getElementById('policyName').value !== '');
+
+        await page.$eval('#policyName', input => { input.value = ''; });
+        await page.type('#policyName', 'Mission, Vision and Values');
+
+        const dialogs = acceptDialogs(page);
+        await Promise.all([
+            page.waitForNavigation(),
+            page.click('#policyForm button[type="submit"]')
+        ]);
+        assert.match((await dialogs)[0], /^Changes submitted for approval/);
+
+        const policy = await getStaffPolicy(baseUrl, '1.1.1');
+        assert.equal(policy.status, 'approved');
+        assert.equal(policy.revision.policy_name, 'Mission, Vision and Values');
+
+        const { body } = await apiCall(baseUrl, 'GET', '/api/policies/1.1.1');
+        assert.equal(body.policy_name, published.policy_name);
+    });
+});
+
+describe('Approvals', () => {
+    it('publishes a draft policy once an admin and the policy working group approve it', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        await openApprovals(page, baseUrl);
+
+        const adminDialogs = await actOnPendingPolicy(page, '3.2.1', 'btn-approve', 2);
+        assert.match(adminDialogs[1], /Your approval has been recorded/);
+        await page.waitForSelector('.approval-item[data-identifier="3.2.1"] .approval-signed');
+
+        // Not public until the second sign-off
+        assert.equal((await apiCall(baseUrl, 'GET', '/api/policies/3.2.1')).status, 404);
+
+        const pwgPage = await e2e.newPage();
+        await loginAs(pwgPage, baseUrl, 'pwg');
+        await openApprovals(pwgPage, baseUrl);
+
+        const pwgDialogs = await actOnPendingPolicy(pwgPage, '3.2.1', 'btn-approve', 2);
+        assert.equal(pwgDialogs[1], 'Policy approved and published!');
+        await pwgPage.waitForFunction(() => !document.querySelector('.approval-item[data-identifier="3.2.1"]'));
+
+        const { status, body } = await apiCall(baseUrl, 'GET', '/api/policies/3.2.1');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'approved');
+    });
+
+    it('shows changes to a published policy as a redline and publishes them once approved', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        await openApprovals(page, baseUrl);
+
+        const item = '.approval-item[data-identifier="3.1.1"]';
+        const label = await page.$eval(`${item} .approval-diff-label`, el => el.textContent);
+        assert.match(label, /^Changes to the published policy/);
+        const added = await page.$$eval(`${item} ins.diff-added`, els => els.map(el => el.textContent).join(' '));
+        assert.match(added, /Quarterly financial statements/);
+        const newLabel = await page.$eval('.approval-item[data-identifier="2.2.1"] .approval-diff-label', el => el.textContent);
+        assert.equal(newLabel, 'New policy');
+
+        await actOnPendingPolicy(page, '3.1.1', 'btn-approve', 2);
+        await page.waitForSelector(`${item} .approval-signed`);
+
+        // The published text stays until the changes are approved
+        let published = await apiCall(baseUrl, 'GET', '/api/policies/3.1.1');
+        assert.match(published.body.policy_content, /\$500/);
+
+        const pwgPage = await e2e.newPage();
+        await loginAs(pwgPage, baseUrl, 'pwg');
+        await openApprovals(pwgPage, baseUrl);
+        const pwgDialogs = await actOnPendingPolicy(pwgPage, '3.1.1', 'btn-approve', 2);
+        assert.equal(pwgDialogs[1], 'Policy approved and published!');
+
+        published = await apiCall(baseUrl, 'GET', '/api/policies/3.1.1');
+        assert.match(published.body.policy_content, /\$1,000/);
+        assert.equal(published.body.revision, undefined);
+    });
+
+    it('sends a draft back with a comment and resubmits it from the form', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        await openApprovals(page, baseUrl);
+
+        const comment = 'Say where the meetings are held.';
+        const dialogs = await actOnPendingPolicy(page, '2.2.1', 'btn-disapprove', 2, comment);
+        assert.match(dialogs[1], /Changes requested/);
+        await page.waitForFunction(() => !document.querySelector('.approval-item[data-identifier="2.2.1"]'));
+
+        let policy = await getStaffPolicy(baseUrl, '2.2.1');
+        assert.equal(policy.status, 'changes_requested');
+        assert.equal(policy.review_comments.at(-1).comment, comment);
+
+        await page.goto(`${baseUrl}/admin/policy-form.html?id=${policy.id}`);
+        await page.waitForSelector('#changeRequestNotice:not([hidden])');
+        const notice = await page.$eval('#changeRequestNotice', el => el.textContent);
+        assert.match(notice, /Say where the meetings are held\./);
+        const submitLabel = await page.$eval('#policyForm button[type="submit"]', el => el.textContent);
+        assert.equal(submitLabel, 'Resubmit for Approval');
+
+        const resubmitted = acceptDialogs(page);
+        await Promise.all([
+            page.waitForNavigation(),
+            page.click('#policyForm button[type="submit"]')
+        ]);
+        assert.deepEqual(await resubmitted, ['Policy resubmitted for approval']);
+
+        policy = await getStaffPolicy(baseUrl, '2.2.1');
+        assert.equal(policy.status, 'draft');
+    });
+
+    it('lets the policy working group request changes as well as approve', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'pwg');
+        await openApprovals(page, baseUrl);
+
+        const item = '.approval-item[data-identifier="3.2.1"]';
+        assert.ok(await isShown(page, `${item} .btn-approve`), 'Approve is offered');
+        assert.ok(await isShown(page, `${item} .btn-disapprove`), 'Request Changes is offered');
+
+        const comment = 'Name who keeps the minutes.';
+        const dialogs = await actOnPendingPolicy(page, '3.2.1', 'btn-disapprove', 2, comment);
+        assert.match(dialogs[1], /Changes requested/);
+
+        const policy = await getStaffPolicy(baseUrl, '3.2.1');
+        assert.equal(policy.status, 'changes_requested');
+        assert.equal(policy.review_comments.at(-1).comment, comment);
+    });
+});
+
+describe('Suggestion manager', () => {
+    it('filters verified suggestions by status', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        await page.goto(`${baseUrl}/admin/suggestions-manage.html`);
+        await page.waitForSelector('#suggestionsList .suggestion-item');
+
+        // SUG-C1D56F's email isn't verified yet
+        const references = await page.$$eval('#suggestionsList .suggestion-policy', els => els.map(el => el.textContent));
+        assert.ok(references.some(reference => reference.startsWith('SUG-4A7C21')));
+        assert.equal(references.some(reference => reference.startsWith('SUG-C1D56F')), false);
+
+        await page.select('#suggestionStatusFilter', 'under_review');
+        const shown = await page.$$eval('#suggestionsList .suggestion-item', els => els.map(el => ({
+            reference: el.querySelector('.suggestion-policy').textContent,
+            assignee: el.querySelector('.suggestion-assignee').textContent
+        })));
+        assert.equal(shown.length, 1);
+        assert.match(shown[0].reference, /^SUG-4A7C21 · /);
+        assert.match(shown[0].assignee, /^Assigned to /);
+    });
+});
+
+describe('Master dashboard', () => {
+    /**
+     * Opens the master dashboard and waits for the users table.
+     * @param {Object} page - Puppeteer page (logged in).
+     * @param {string} baseUrl - Where the site is served.
+     */
+    async function openMasterDashboard(page, baseUrl) {
+        await page.goto(`${baseUrl}/admin/master-dashboard.html`);
+        await page.waitForSelector('#membersList .members-table');
+    }
+
+    it('lets admins add users, change roles and delete users', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'admin');
+        await openMasterDashboard(page, baseUrl);
+
+        await page.waitForSelector('#addUserButton', { visible: true });
+        assert.equal((await page.$$('#membersList .role-select')).length, 3);
+        assert.equal((await page.$$('#membersList .btn-danger')).length, 3);
+        assert.ok(await isShown(page, '.audit-log-link'));
+        assert.ok(await isShown(page, '#resetReviewsButton'));
+
+        // Passwords are never listed
+        const headers = await page.$$eval('#membersList th', els => els.map(el => el.textContent));
+        assert.deepEqual(headers, ['Name', 'Email', 'Role', 'Actions']);
+    });
+
+    it('only shows the policy working group the user list', async () => {
+        const { page, baseUrl } = e2e;
+        await loginAs(page, baseUrl, 'pwg');
+        await openMasterDashboard(page, baseUrl);
+
+        assert.equal((await page.$$('#membersList .role-badge')).length, 3);
+        assert.equal((await page.$$('#membersList .role-select')).length, 0);
+        assert.equal((await page.$$('#membersList .btn-danger')).length, 0);
+        assert.equal(await isShown(page, '#addUserButton'), false);
+        assert.equal(await isShown(page, '.audit-log-link'), false);
+        assert.equal(await isShown(page, '#resetReviewsButton'), false);
+    });
+});
+
+describe('Audit log', () => {
+    it('lists who created a policy', async () => {
+        const { page, baseUrl } = e2e;
+        const token = await getToken(baseUrl, 'admin');
+        const created = await apiCall(baseUrl, 'POST', '/api/policies', {
+            token,
+            body: {
+                policy_id: '3.3.1',
+                policy_name: 'Club Funding',
+                section: 'Operations, Staff & Finance',
+                policy_content: '<p>Clubs may apply for funding twice a year.</p>'
+            }
+        });
+        assert.equal(created.status, 201);
+
+        await loginAs(page, baseUrl, 'admin');
+        await page.goto(`${baseUrl}/admin/audit-log.html`);
+        await page.waitForSelector('#auditLog tbody tr');
+
+        // Newest first
+        const cells = await page.$$eval('#auditLog tbody tr:first-child td', els => els.map(el => el.textContent.trim()));
+        assert.match(cells[1], /admin@example\.com/);
+        assert.equal(cells[2], 'Created policy');
+        assert.equal(cells[3], '3.3.1');
+    });
+});
+
+describe('Trash', () => {
+    it('restores a deleted policy', async () => {
+        const { page, baseUrl } = e2e;
+        const token = await getToken(baseUrl, 'admin');
+        assert.equal((await apiCall(baseUrl, 'DELETE', '/api/policies/1.1.1', { token })).status, 204);
+        assert.equal((await apiCall(baseUrl, 'GET', '/api/policies/1.1.1')).status, 404);
+
+        await loginAs(page, baseUrl, 'admin');
+        await page.goto(`${baseUrl}/admin/trash.html`);
+        await page.waitForSelector('#trashList tbody tr');
+        assert.equal(await page.$eval('#trashList .trash-item-label', el => el.textContent), '1.1.1');
+
+        const dialogs = acceptDialogs(page);
+        await page.click('#trashList .btn-secondary');
+        assert.deepEqual(await dialogs, ['1.1.1 has been restored.']);
+        await page.waitForSelector('#trashList .empty-state');
+
+        assert.equal((await apiCall(baseUrl, 'GET', '/api/policies/1.1.1')).status, 200);
+    });
+});
@@ -0,0 +1,293 @@
+// ============================================
+// ASA Policy App - End-to-End Test Helpers
+// ============================================
+// Each test file starts its own mock backend (mock-server/server.js) on a free
+// port and drives the site in headless Chromium through Puppeteer. The seed data is
+// restored before every test, and every test gets a fresh browser context so no
+// token or cached user leaks from one test into the next.
+
+const { before, after, beforeEach, afterEach } = require('node:test');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+
+const SITE_ROOT = path.resolve(__dirname, '..', '..');
+const SERVER_START_TIMEOUT_MS = 10 * 1000;
+
+// The policy form loads Quill from its CDN; serve the same version from
+// node_modules so the tests don't need the network
+const CDN_FILES = {
+    'https://cdn.quilljs.com/1.3.6/quill.js': {
+        file: require.resolve('quill/dist/quill.js'),
+        contentType: 'application/javascript'
+    },
+    'https://cdn.quilljs.com/1.3.6/quill.snow.css': {
+        file: require.resolve('quill/dist/quill.snow.css'),
+        contentType: 'text/css'
+    }
+};
+
+const SEED_USERS = {
+    admin: { email: 'admin@example.com', password: 'alex' },
+    pwg: { email: 'pwg@example.com', password: 'jordan' },
+    member: { email: 'member@example.com', password: 'sam' }
+};
+
+/**
+ * Picks the browser to test with: PUPPETEER_EXECUTABLE_PATH if set, else the
+ * self-contained @sparticuz/chromium build on Linux x64 (it needs no system
+ * libraries, so it runs in bare CI containers), else the installed Chrome.
+ * @returns {Promise<Object>} Options for puppeteer.launch().
+ */
+async function getLaunchOptions() {
+    // CI containers usually run as root, where Chromium's sandbox can't start
+    const options = { headless: true, args: ['--no-sandbox'] };
+    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+        return { ...options, executablePath: process.env.PUPPETEER_EXECUTABLE_PATH };
+    }
+    if (process.platform === 'linux' && process.arch === 'x64') {
+        const chromium = require('@sparticuz/chromium');
+        return { ...options, executablePath: await chromium.executablePath() };
+    }
+    return { ...options, channel: 'chrome' };
+}
+
+/**
+ * Finds a port nothing is listening on.
+ * @returns {Promise<number>} The port.
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts the mock backend and waits until it answers.
+ * @returns {Promise<{baseUrl: string, stop: Function}>} Where the site is served,
+ *   and a function that shuts the server down.
+ */
+async function startMockServer() {
+    const port = await getFreePort();
+    const baseUrl = `http://localhost:${port}`;
+    const child = spawn(process.execPath, [path.join(SITE_ROOT, 'mock-server', 'server.js')], {
+        env: { ...process.env, PORT: String(port) },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+
+    const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+    while (true) {
+        if (child.exitCode !== null) {
+            throw new Error(`Mock server exited with code ${child.exitCode}`);
+        }
+        try {
+            const response = await fetch(`${baseUrl}/config.json`);
+            if (response.ok) break;
+        } catch (err) {
+            // Not listening yet
+        }
+        if (Date.now() > deadline) {
+            child.kill();
+            throw new Error(`Mock server did not start on port ${port}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return {
+        baseUrl,
+        stop: () => new Promise(resolve => {
+            if (child.exitCode !== null) {
+                resolve();
+                return;
+            }
+            child.once('exit', resolve);
+            child.kill();
+        })
+    };
+}
+
+/**
+ * Opens a page that serves CDN scripts from node_modules and bypasses the
+ * service worker, so every request reaches the mock backend.
+ * @param {Object} context - Puppeteer browser context.
+ * @returns {Promise<Object>} The Puppeteer page.
+ */
+async function openPage(context) {
+    const page = await context.newPage();
+    await page.setBypassServiceWorker(true);
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        const cdnFile = CDN_FILES[request.url()];
+        if (cdnFile) {
+            request.respond({
+                status: 200,
+                contentType: cdnFile.contentType,
+                body: fs.readFileSync(cdnFile.file)
+            });
+        } else {
+            request.continue();
+        }
+    });
+    return page;
+}
+
+/**
+ * Registers the hooks that start the mock backend and the browser for a test file.
+ * @returns {Object} Test state: baseUrl, page (a fresh page for the current test)
+ *   and newPage() for a second, separate session in the same test.
+ */
+function setupE2E() {
+    const state = {
+        baseUrl: null,
+        page: null,
+        newPage: null
+    };
+    let server;
+    let browser;
+    let contexts = [];
+
+    before(async () => {
+        server = await startMockServer();
+        state.baseUrl = server.baseUrl;
+        browser = await puppeteer.launch(await getLaunchOptions());
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+        if (server) await server.stop();
+    });
+
+    beforeEach(async () => {
+        await apiCall(state.baseUrl, 'POST', '/api/__mock__/reset');
+        state.newPage = async () => {
+            const context = await browser.createBrowserContext();
+            contexts.push(context);
+            return openPage(context);
+        };
+        state.page = await state.newPage();
+    });
+
+    afterEach(async () => {
+        await Promise.all(contexts.map(context => context.close()));
+        contexts = [];
+    });
+
+    return state;
+}
+
+/**
+ * Calls the mock backend directly, e.g. to check what a page saved.
+ * @param {string} baseUrl - Where the mock backend is served.
+ * @param {string} method - HTTP method.
+ * @param {string} endpoint - API path, e.g. '/api/policies/1.1.1'.
+ * @param {Object} [options] - token (a bearer token) and body (sent as JSON).
+ * @returns {Promise<{status: number, body: *}>} The status and parsed JSON body.
+ */
+async function apiCall(baseUrl, method, endpoint, { token, body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Logs a seed user in through the API, for checks made outside the browser.
+ * @param {string} baseUrl - Where the mock backend is served.
+ * @param {string} user - Key of SEED_USERS, e.g. 'admin'.
+ * @returns {Promise<string>} The access token.
+ */
+async function getToken(baseUrl, user) {
+    const { body } = await apiCall(baseUrl, 'POST', '/api/auth/login', { body: SEED_USERS[user] });
+    return body.access_token;
+}
+
+/**
+ * Accepts the next dialogs (alert, confirm or prompt) the page opens.
+ * Call it before the action that opens them.
+ * @param {Object} page - Puppeteer page.
+ * @param {number} [count=1] - How many dialogs to wait for.
+ * @param {string} [promptAnswer] - Text to answer a prompt with.
+ * @returns {Promise<Array<string>>} The dialog messages, in order.
+ */
+function acceptDialogs(page, count = 1, promptAnswer) {
+    const messages = [];
+    return new Promise(resolve => {
+        const onDialog = async dialog => {
+            messages.push(dialog.message());
+            await dialog.accept(dialog.type() === 'prompt' ? promptAnswer : undefined);
+            if (messages.length === count) {
+                page.off('dialog', onDialog);
+                resolve(messages);
+            }
+        };
+        page.on('dialog', onDialog);
+    });
+}
+
+/**
+ * Logs a seed user in through the admin login form and waits for the page it
+ * lands on.
+ * @param {Object} page - Puppeteer page.
+ * @param {string} baseUrl - Where the site is served.
+ * @param {string} user - Key of SEED_USERS, e.g. 'admin'.
+ */
+async function loginAs(page, baseUrl, user) {
+    const { email, password } = SEED_USERS[user];
+    await page.goto(`${baseUrl}/admin/login.html`);
+    await page.type('#email', email);
+    await page.type('#password', password);
+    await Promise.all([
+        page.waitForNavigation(),
+        page.click('#loginForm button[type="submit"]')
+    ]);
+}
+
+/**
+ * Sets a text input's value at once and fires a single input event, the way
+ * pasting a search term would.
+ * @param {Object} page - Puppeteer page.
+ * @param {string} selector - The input.
+ * @param {string} value - The new value.
+ */
+async function setInputValue(page, selector, value) {
+    await page.$eval(selector, (input, text) => {
+        input.value = text;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }, value);
+}
+
+/**
+ * Checks whether an element is shown (present and not display: none).
+ * @param {Object} page - Puppeteer page.
+ * @param {string} selector - The element.
+ * @returns {Promise<boolean>} True if it is rendered.
+ */
+async function isShown(page, selector) {
+    const element = await page.$(selector);
+    if (!element) return false;
+    return element.evaluate(el => el.getClientRects().length > 0);
+}
+
+module.exports = {
+    SEED_USERS,
+    setupE2E,
+    apiCall,
+    getToken,
+    acceptDialogs,
+    loginAs,
+    setInputValue,
+    isShown
+};
@@ -0,0 +1,281 @@
+// Public pages: the policy sections, policy and bylaw search, policy history,
+// the search page and the suggestion form
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupE2E, apiCall, getToken, acceptDialogs, setInputValue } = require('./helpers');
+
+const e2e = setupE2E();
+
+/**
+ * Gets the IDs on the policy or bylaw cards currently shown.
+ * @param {Object} page - Puppeteer page.
+ * @returns {Promise<Array<string>>} The text of each card's ID line.
+ */
+function getCardIds(page) {
+    return page.$$eval('.card .card-policy-id', ids => ids.map(id => id.textContent.trim()));
+}
+
+/**
+ * Publishes a draft policy through the API, with the sign-offs the approval rule needs.
+ * @param {string} baseUrl - Where the mock backend is served.
+ * @param {string} policyId - Policy ID, e.g. '3.2.1'.
+ */
+async function publishPolicy(baseUrl, policyId) {
+    // An admin and the policy working group both sign off
+    for (const user of ['admin', 'pwg']) {
+        const token = await getToken(baseUrl, user);
+        const { status } = await apiCall(baseUrl, 'PUT', `/api/policies/${policyId}/approve`, { token });
+        assert.equal(status, 200);
+    }
+}
+
+describe('Policies page', () => {
+    it('renders each section with its approved policies', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/public/policies.html`);
+        await page.waitForSelector('#sectionsContainer .card');
+
+        const titles = await page.$$eval('.section-title', els => els.map(el => el.textContent.trim()));
+        assert.deepEqual(titles, [
+            'Organizational Identity & Values',
+            'Governance & Elections',
+            'Operations, Staff & Finance'
+        ]);
+
+        // Drafts (2.2.1, 3.2.1) are not public
+        const ids = await getCardIds(page);
+        assert.deepEqual([...ids].sort(), ['1.1.1', '1.2.1', '2.1.1', '3.1.1']);
+
+        // 3.1.1 has changes waiting for approval; the published name is shown
+        const name = await page.$eval('.card[data-policy-id="3.1.1"] .card-policy-name', el => el.textContent);
+        assert.equal(name, 'Budget and Financial Oversight');
+    });
+
+    it('adds a policy to its section as soon as it is approved', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/public/policies.html`);
+        await page.waitForSelector('#sectionsContainer .card');
+
+        await publishPolicy(baseUrl, '3.2.1');
+
+        // Pushed over the event stream, without reloading the page
+        await page.waitForSelector('.card[data-policy-id="3.2.1"]');
+    });
+
+    it('marks a policy that takes effect later as upcoming', async () => {
+        const { page, baseUrl } = e2e;
+        // 2.2.1 takes effect on 2027-05-01
+        await publishPolicy(baseUrl, '2.2.1');
+        await page.goto(`${baseUrl}/public/policies.html`);
+
+        const badge = await page.waitForSelector('.card[data-policy-id="2.2.1"] .card-upcoming');
+        assert.match(await badge.evaluate(el => el.textContent), /^Upcoming · Takes effect/);
+        assert.equal(await page.$('.card[data-policy-id="1.1.1"] .card-upcoming'), null);
+    });
+
+    it('filters policies by a phrase from their text and highlights it', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/public/policies.html`);
+        await page.waitForSelector('#sectionsContainer .card');
+
+        await setInputValue(page, '#searchInput', 'Chief Returning Officer');
+        await page.waitForFunction(() => document.querySelectorAll('#sectionsContainer .card').length === 1);
+
+        assert.deepEqual(await getCardIds(page), ['2.1.1']);
+        const highlighted = await page.$eval('.card-snippet mark', el => el.textContent);
+        assert.match(highlighted, /Chief/i);
+    });
+
+    it('shows no results for a search nothing matches', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/public/policies.html`);
+        await page.waitForSelector('#sectionsContainer .card');
+
+        await setInputValue(page, '#searchInput', 'zzzz no such policy');
+        await page.waitForSelector('#sectionsContainer .no-results');
+
+        assert.deepEqual(await getCardIds(page), []);
+    });
+});
+
+describe('Policy detail page', () => {
+    it('lists the versions of a policy and marks what the latest one changed', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/public/policy-detail.html?id=1.2.1`);
+        await page.waitForSelector('#policyHistory:not([hidden]) .policy-history-item');
+
+        const versions = await page.$$eval('.policy-history-item span', els => els.map(el => el.textContent));
+        assert.equal(versions.length, 2);
+        assert.match(versions[0], /^Version 2 .*\(current\)$/);
+
+        await page.waitForSelector('#policyDiff ins.diff-added');
+        assert.ok((await page.$$('#policyDiff del.diff-removed')).length > 0);
+    });
+});
+
+describe('Bylaws page', () => {
+    it('renders approved bylaws and filters them by search', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/public/bylaws.html`);
+        await page.waitForSelector('#bylawsContainer .card');
+
+        // Bylaw 3 is still a draft
+        assert.deepEqual(await getCardIds(page), ['Bylaw #1', 'Bylaw #2']);
+
+        await setInputValue(page, '#searchInput', 'undergraduate');
+        await page.waitForFunction(() => document.querySelectorAll('#bylawsContainer .card').length === 1);
+
+        assert.deepEqual(await getCardIds(page), ['Bylaw #2']);
+    });
+});
+
+describe('Search page', () => {
+    it('groups matches from policies and bylaws for the query in the address', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/public/search.html?q=undergraduate`);
+        await page.waitForSelector('#searchResults .search-group');
+
+        const groups = await page.$$eval('#searchResults .section-title', els => els.map(el => el.textContent.trim()));
+        assert.deepEqual(groups, ['Bylaws (1)']);
+        assert.deepEqual(await getCardIds(page), ['Bylaw #2']);
+        assert.equal(await page.$eval('#searchInput', el => el.value), 'undergraduate');
+    });
+});
+
+describe('Suggestion form', () => {
+    /**
+     * Opens the suggestion form and waits for the policy dropdown to fill.
+     * @param {Object} page - Puppeteer page.
+     * @param {string} baseUrl - Where the site is served.
+     */
+    async function openSuggestionForm(page, baseUrl) {
+        await page.goto(`${baseUrl}/public/suggestions.html`);
+        await page.waitForSelector('#policySelect option[value="1.1.1"]');
+    }
+
+    /**
+     * Submits the form and returns the alert it shows.
+     * @param {Object} page - Puppeteer page.
+     * @returns {Promise<string>} The alert message.
+     */
+    async function submitExpectingAlert(page) {
+        const dialogs = acceptDialogs(page);
+        await page.click('#suggestionForm button[type="submit"]');
+        const [message] = await dialogs;
+        return message;
+    }
+
+    it('rejects a submission with no email, policy or text, or a non-UAlberta email', async () => {
+        const { page, baseUrl } = e2e;
+        await openSuggestionForm(page, baseUrl);
+
+        assert.equal(await submitExpectingAlert(page), 'Please enter your UAlberta email address');
+
+        await page.type('#emailInput', 'student@ualberta.ca');
+        assert.equal(await submitExpectingAlert(page), 'Please select a policy to refer to.');
+
+        await page.select('#policySelect', '1.1.1');
+        assert.equal(await submitExpectingAlert(page), 'Please enter your suggestion.');
+
+        await page.type('#suggestionText', 'Mention the Camrose campus by name.');
+        await page.$eval('#emailInput', input => { input.value = 'student@gmail.com'; });
+        assert.equal(await submitExpectingAlert(page), 'Please enter a valid UAlberta email address');
+
+        // Nothing reached the backend
+        const token = await getToken(baseUrl, 'admin');
+        const { body } = await apiCall(baseUrl, 'GET', '/api/suggestions?include_unverified=true', { token });
+        assert.equal(body.some(suggestion => suggestion.suggestion === 'Mention the Camrose campus by name.'), false);
+    });
+
+    it('posts a valid suggestion and opens the confirmation page', async () => {
+        const { page, baseUrl } = e2e;
+        await openSuggestionForm(page, baseUrl);
+
+        await page.type('#emailInput', 'student@ualberta.ca');
+        await page.select('#policySelect', '1.1.1');
+        await page.type('#suggestionText', 'Mention the Camrose campus by name.');
+
+        const postRequest = page.waitForRequest(request =>
+            request.url() === `${baseUrl}/api/suggestions` && request.method() === 'POST');
+        const postResponse = page.waitForResponse(response =>
+            response.url() === `${baseUrl}/api/suggestions` && response.request().method() === 'POST');
+        await Promise.all([
+            page.waitForNavigation(),
+            page.click('#suggestionForm button[type="submit"]')
+        ]);
+
+        const sent = JSON.parse((await postRequest).postData());
+        assert.equal(sent.topic, 'policy');
+        assert.equal(sent.policy_id, '1.1.1');
+        assert.equal(sent.email, 'student@ualberta.ca');
+        assert.equal(sent.suggestion, 'Mention the Camrose campus by name.');
+
+        assert.equal((await postResponse).status(), 201);
+        const confirmUrl = new URL(page.url());
+        assert.equal(confirmUrl.pathname, '/public/suggestion-confirm.html');
+
+        // Saved, but not shown to staff until the email is confirmed
+        const token = await getToken(baseUrl, 'admin');
+        const { body } = await apiCall(baseUrl, 'GET', '/api/suggestions?include_unverified=true', { token });
+        const saved = body.find(suggestion => suggestion.id === confirmUrl.searchParams.get('id'));
+        assert.equal(saved.suggestion, 'Mention the Camrose campus by name.');
+        assert.equal(saved.verified, false);
+        assert.match(saved.reference, /^SUG-[0-9A-F]{6}$/);
+    });
+
+    it('proposes a new policy with a suggested title', async () => {
+        const { page, baseUrl } = e2e;
+        await openSuggestionForm(page, baseUrl);
+
+        await page.type('#emailInput', 'student@ualberta.ca');
+        await page.select('#topicSelect', 'new_policy');
+        assert.equal(await page.$eval('#policySelect', el => el.closest('.form-group').hidden), true);
+        await page.type('#suggestionText', 'Clubs should be able to apply for funding.');
+        assert.equal(await submitExpectingAlert(page), 'Please suggest a title for the new policy.');
+
+        await page.type('#proposedTitleInput', 'Club Funding');
+        const postRequest = page.waitForRequest(request =>
+            request.url() === `${baseUrl}/api/suggestions` && request.method() === 'POST');
+        await Promise.all([
+            page.waitForNavigation(),
+            page.click('#suggestionForm button[type="submit"]')
+        ]);
+
+        const sent = JSON.parse((await postRequest).postData());
+        assert.equal(sent.topic, 'new_policy');
+        assert.equal(sent.proposed_policy_title, 'Club Funding');
+        assert.equal(sent.policy_id, undefined);
+    });
+
+    it('brings a passage highlighted on a policy page into the form', async () => {
+        const { page, baseUrl } = e2e;
+        await page.goto(`${baseUrl}/public/policy-detail.html?id=1.1.1`);
+        const paragraph = await page.waitForSelector('.policy-content p:not(:empty)');
+
+        // Highlight the paragraph's text, then press the button that appears under it
+        const passage = await paragraph.evaluate(el => {
+            const range = document.createRange();
+            range.selectNodeContents(el);
+            window.getSelection().removeAllRanges();
+            window.getSelection().addRange(range);
+            document.dispatchEvent(new MouseEvent('mouseup'));
+            return el.textContent.replace(/\s+/g, ' ').trim();
+        });
+        await page.waitForSelector('#suggestPassageBtn:not([hidden])');
+        await Promise.all([
+            page.waitForNavigation(),
+            page.click('#suggestPassageBtn')
+        ]);
+
+        await page.waitForSelector('#policySelect option[value="1.1.1"]');
+        await page.waitForFunction(() => document.getElementById('policySelect').value === '1.1.1');
+        assert.equal(await page.$eval('#topicSelect', el => el.value), 'policy');
+        assert.equal(await page.$eval('#quotedPassage', el => el.textContent), passage);
+
+        await page.type('#emailInput', 'student@ualberta.ca');
+        await page.type('#suggestionText', 'This should name the Camrose campus.');
+        assert.equal(await submitExpectingAlert(page),
+            'Please enter the wording you would like in place of the quoted passage.');
+    });
+});